@@ -0,0 +1,484 @@
+/**
+ * EVM <-> Cosmos address conversion for SEI Voting Monitor
+ *
+ * Addresses are resolved from the chain first (the EVM module's association
+ * queries over REST, then the addr precompile over EVM RPC). Accounts that are
+ * not associated yet are derived from a public key: the one recovered from a
+ * transaction signature, or the one stored on the Cosmos account. The
+ * third-party converter API is only tried last. Resolved pairs are kept in an
+ * address map file so restarts do not query them again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { ethers } from 'ethers';
+import {
+  PATHS,
+  WALLET_CONVERTER_API,
+  ADDR_PRECOMPILE_ADDRESS,
+  SEI_BECH32_PREFIX
+} from './config.js';
+import { ensureDirectoryExists } from './utils.js';
+import { getEndpointPool, withEvmProvider } from './endpointPool.js';
+import { addressCache, reverseAddressCache } from './cache.js';
+
+const LOOKUP_TIMEOUT_MS = 5000;
+
+const ADDR_PRECOMPILE_ABI = [
+  'function getSeiAddr(address addr) view returns (string)',
+  'function getEvmAddr(string addr) view returns (address)'
+];
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// Persisted address pairs keyed by lowercase EVM address (lazily read from disk)
+let addressMap = null;
+
+// EVM addresses of the persisted pairs keyed by Sei address (built alongside addressMap)
+const reverseAddressMap = new Map();
+
+/**
+ * Compute the bech32 checksum polynomial
+ * @param {Array<number>} values 5-bit values
+ * @returns {number} Checksum state
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        checksum ^= BECH32_GENERATOR[i];
+      }
+    }
+  }
+  return checksum;
+}
+
+/**
+ * Expand the human-readable part for checksum computation
+ * @param {string} prefix Human-readable part
+ * @returns {Array<number>} Expanded values
+ */
+function bech32HrpExpand(prefix) {
+  const high = Array.from(prefix, char => char.charCodeAt(0) >>> 5);
+  const low = Array.from(prefix, char => char.charCodeAt(0) & 31);
+  return [...high, 0, ...low];
+}
+
+/**
+ * Regroup bits between word sizes
+ * @param {Uint8Array|Array<number>} data Input words
+ * @param {number} fromBits Input word size
+ * @param {number} toBits Output word size
+ * @param {boolean} pad Pad the final word (encoding) or require zero padding (decoding)
+ * @returns {Array<number>} Output words
+ */
+function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >>> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((accumulator << (toBits - bits)) & maxValue);
+    }
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid bech32 padding');
+  }
+
+  return result;
+}
+
+/**
+ * Encode bytes as a bech32 address
+ * @param {string} prefix Human-readable part (e.g. 'sei')
+ * @param {Uint8Array} bytes Address bytes
+ * @returns {string} Bech32 address
+ */
+export function bech32Encode(prefix, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const polymod = bech32Polymod([...bech32HrpExpand(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = Array.from({ length: 6 }, (_, i) => (polymod >>> (5 * (5 - i))) & 31);
+
+  return `${prefix}1${[...words, ...checksum].map(word => BECH32_CHARSET[word]).join('')}`;
+}
+
+/**
+ * Decode a bech32 address
+ * @param {string} address Bech32 address
+ * @returns {{prefix: string, bytes: Uint8Array}} Human-readable part and address bytes
+ */
+export function bech32Decode(address) {
+  const lower = address.toLowerCase();
+  if (lower !== address && address.toUpperCase() !== address) {
+    throw new Error(`Mixed-case bech32 address: ${address}`);
+  }
+
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw new Error(`Invalid bech32 address: ${address}`);
+  }
+
+  const prefix = lower.slice(0, separator);
+  const values = Array.from(lower.slice(separator + 1), char => {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid bech32 character "${char}" in ${address}`);
+    }
+    return value;
+  });
+
+  if (bech32Polymod([...bech32HrpExpand(prefix), ...values]) !== 1) {
+    throw new Error(`Invalid bech32 checksum: ${address}`);
+  }
+
+  return {
+    prefix,
+    bytes: Uint8Array.from(convertBits(values.slice(0, -6), 5, 8, false))
+  };
+}
+
+/**
+ * Derive the Sei (Cosmos) address for a secp256k1 public key
+ * @param {string} publicKey Public key (hex, compressed or uncompressed)
+ * @returns {string} Sei address
+ */
+export function deriveSeiAddress(publicKey) {
+  const compressed = ethers.SigningKey.computePublicKey(publicKey, true);
+  const hash = ethers.ripemd160(ethers.sha256(compressed));
+  return bech32Encode(SEI_BECH32_PREFIX, ethers.getBytes(hash));
+}
+
+/**
+ * Derive the EVM address for a secp256k1 public key
+ * @param {string} publicKey Public key (hex, compressed or uncompressed)
+ * @returns {string} Lowercase EVM address
+ */
+export function deriveEvmAddress(publicKey) {
+  return ethers.computeAddress(publicKey).toLowerCase();
+}
+
+/**
+ * Get the address map file path
+ * @returns {string} Address map file path
+ */
+function getAddressMapFile() {
+  return path.join(PATHS.DATA_DIR, PATHS.ADDRESS_MAP);
+}
+
+/**
+ * Load the persisted address map
+ * @returns {Map<string, Object>} Address pairs keyed by lowercase EVM address
+ */
+function loadAddressMap() {
+  if (addressMap) return addressMap;
+
+  addressMap = new Map();
+  try {
+    const mapFile = getAddressMapFile();
+    if (fs.existsSync(mapFile)) {
+      for (const [evmAddress, entry] of Object.entries(JSON.parse(fs.readFileSync(mapFile, 'utf8')))) {
+        addressMap.set(evmAddress, entry);
+        reverseAddressMap.set(entry.seiAddress, evmAddress);
+      }
+    }
+  } catch (error) {
+    console.error('Error loading address map:', error.message);
+  }
+
+  return addressMap;
+}
+
+/**
+ * Remember a resolved address pair in memory and on disk
+ * @param {string} evmAddress EVM address
+ * @param {string} seiAddress Sei address
+ * @param {string} source How the pair was resolved
+ */
+function rememberAddressPair(evmAddress, seiAddress, source) {
+  const normalizedEvm = evmAddress.toLowerCase();
+  const map = loadAddressMap();
+
+  addressCache.set(normalizedEvm, seiAddress);
+  reverseAddressCache.set(seiAddress, normalizedEvm);
+
+  const previous = map.get(normalizedEvm);
+  if (previous?.seiAddress === seiAddress) return;
+  if (previous) reverseAddressMap.delete(previous.seiAddress);
+  map.set(normalizedEvm, { seiAddress, source, resolvedAt: new Date().toISOString() });
+  reverseAddressMap.set(seiAddress, normalizedEvm);
+
+  try {
+    const mapFile = getAddressMapFile();
+    ensureDirectoryExists(path.dirname(mapFile));
+    fs.writeFileSync(`${mapFile}.tmp`, JSON.stringify(Object.fromEntries(map), null, 2), 'utf8');
+    fs.renameSync(`${mapFile}.tmp`, mapFile);
+  } catch (error) {
+    console.error('Error saving address map:', error.message);
+  }
+}
+
+/**
+ * Run a promise with a timeout
+ * @param {Promise} promise Promise to run
+ * @param {string} label Description for the timeout error
+ * @returns {Promise<any>} Promise result
+ */
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), LOOKUP_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Query the EVM module's association endpoint
+ * @param {string} endpoint Endpoint path with query string
+ * @param {string} field Response field holding the associated address
+ * @returns {Promise<string|null>} Associated address or null
+ */
+async function queryAssociation(endpoint, field) {
+  try {
+    return await getEndpointPool('rest').run(async (restUrl) => {
+      try {
+        const response = await axios.get(`${restUrl}${endpoint}`, {
+          timeout: LOOKUP_TIMEOUT_MS,
+          headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.data?.associated !== false && response.data?.[field]) {
+          return response.data[field];
+        }
+        return null;
+      } catch (error) {
+        // Unassociated accounts are reported as errors; try the next source
+        if (error.response?.status >= 400 && error.response?.status < 500 && error.response.status !== 429) {
+          return null;
+        }
+        throw error;
+      }
+    }, 'Association lookup');
+  } catch (error) {
+    console.log(`Association lookup failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Call the addr precompile
+ * @param {string} method 'getSeiAddr' or 'getEvmAddr'
+ * @param {string} address Address argument
+ * @returns {Promise<string|null>} Associated address or null
+ */
+async function queryAddrPrecompile(method, address) {
+  try {
+    return await withEvmProvider(async (provider) => {
+      try {
+        const contract = new ethers.Contract(ADDR_PRECOMPILE_ADDRESS, ADDR_PRECOMPILE_ABI, provider);
+        const result = await withTimeout(contract[method](address), `addr precompile ${method}`);
+        if (result && result !== ethers.ZeroAddress) {
+          return result;
+        }
+        return null;
+      } catch (error) {
+        // The precompile reverts for unassociated addresses
+        if (error.code === 'CALL_EXCEPTION') {
+          return null;
+        }
+        throw error;
+      }
+    }, `addr precompile ${method}`);
+  } catch (error) {
+    console.log(`addr precompile ${method} failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Recover the sender's public key from a transaction signature
+ * @param {string} txHash Transaction hash
+ * @returns {Promise<{from: string, publicKey: string}|null>} Sender and public key, or null
+ */
+async function recoverTransactionPublicKey(txHash) {
+  try {
+    return await withEvmProvider(async (provider) => {
+      const response = await withTimeout(provider.getTransaction(txHash), 'Transaction lookup');
+      if (!response) return null;
+
+      const tx = ethers.Transaction.from(response);
+      return { from: response.from.toLowerCase(), publicKey: tx.fromPublicKey };
+    }, `Public key recovery for ${txHash}`);
+  } catch (error) {
+    console.log(`Public key recovery for ${txHash} failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the public key stored on a Cosmos account
+ * @param {string} seiAddress Sei address
+ * @returns {Promise<string|null>} Compressed public key (hex) or null
+ */
+async function getAccountPublicKey(seiAddress) {
+  try {
+    return await getEndpointPool('rest').run(async (restUrl) => {
+      try {
+        const response = await axios.get(`${restUrl}/cosmos/auth/v1beta1/accounts/${seiAddress}`, {
+          timeout: LOOKUP_TIMEOUT_MS,
+          headers: { 'Accept': 'application/json' }
+        });
+
+        const account = response.data?.account || {};
+        const pubKey = account.pub_key || account.base_account?.pub_key || account.base_vesting_account?.base_account?.pub_key;
+        if (pubKey?.key && pubKey['@type']?.endsWith('secp256k1.PubKey')) {
+          return ethers.hexlify(ethers.decodeBase64(pubKey.key));
+        }
+        return null;
+      } catch (error) {
+        if (error.response?.status >= 400 && error.response?.status < 500 && error.response.status !== 429) {
+          return null;
+        }
+        throw error;
+      }
+    }, 'Account lookup');
+  } catch (error) {
+    console.log(`Account lookup failed for ${seiAddress}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Ask the third-party converter API (last resort)
+ * @param {string} endpoint Path under WALLET_CONVERTER_API
+ * @returns {Promise<string|null>} Converted address or null
+ */
+async function queryConverterApi(endpoint) {
+  if (!WALLET_CONVERTER_API) return null;
+
+  try {
+    const response = await axios.get(`${WALLET_CONVERTER_API}${endpoint}`, {
+      timeout: LOOKUP_TIMEOUT_MS,
+      headers: { 'Accept': 'application/json' }
+    });
+    return response.data?.result || null;
+  } catch (error) {
+    console.log(`Wallet converter API failed for ${endpoint}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Convert an EVM address to its Sei (Cosmos) address
+ * @param {string} evmAddress EVM address
+ * @param {string} txHash A transaction sent by the address, used to recover its public key (optional)
+ * @returns {Promise<string>} Sei address
+ */
+export async function evmToSeiAddress(evmAddress, txHash = null) {
+  const normalizedAddr = evmAddress.toLowerCase();
+
+  // The persisted map outlives the cache's TTL and size limit
+  const cachedAddress = addressCache.get(normalizedAddr) || loadAddressMap().get(normalizedAddr)?.seiAddress;
+  if (cachedAddress) {
+    return cachedAddress;
+  }
+
+  // Method 1: On-chain association via REST
+  let seiAddress = await queryAssociation(
+    `/sei-protocol/seichain/evm/sei_address?evm_address=${normalizedAddr}`,
+    'sei_address'
+  );
+  if (seiAddress) {
+    rememberAddressPair(normalizedAddr, seiAddress, 'association');
+    return seiAddress;
+  }
+
+  // Method 2: On-chain association via the addr precompile
+  seiAddress = await queryAddrPrecompile('getSeiAddr', ethers.getAddress(normalizedAddr));
+  if (seiAddress) {
+    rememberAddressPair(normalizedAddr, seiAddress, 'precompile');
+    return seiAddress;
+  }
+
+  // Method 3: Derive from the public key recovered from one of the address's transactions
+  if (txHash) {
+    const recovered = await recoverTransactionPublicKey(txHash);
+    if (recovered && recovered.from === normalizedAddr) {
+      seiAddress = deriveSeiAddress(recovered.publicKey);
+      rememberAddressPair(normalizedAddr, seiAddress, 'pubkey');
+      return seiAddress;
+    }
+  }
+
+  // Method 4: Third-party converter API
+  seiAddress = await queryConverterApi(`/${normalizedAddr}`);
+  if (seiAddress) {
+    rememberAddressPair(normalizedAddr, seiAddress, 'converter-api');
+    return seiAddress;
+  }
+
+  throw new Error(`Could not convert EVM address ${normalizedAddr} to a Sei address`);
+}
+
+/**
+ * Convert a Sei (Cosmos) address to its EVM address
+ * @param {string} seiAddress Sei address
+ * @returns {Promise<string>} Lowercase EVM address
+ */
+export async function seiToEvmAddress(seiAddress) {
+  bech32Decode(seiAddress);
+
+  loadAddressMap();
+  const cachedAddress = reverseAddressCache.get(seiAddress) || reverseAddressMap.get(seiAddress);
+  if (cachedAddress) {
+    return cachedAddress;
+  }
+
+  // Method 1: On-chain association via REST
+  let evmAddress = await queryAssociation(
+    `/sei-protocol/seichain/evm/evm_address?sei_address=${seiAddress}`,
+    'evm_address'
+  );
+  if (evmAddress) {
+    rememberAddressPair(evmAddress, seiAddress, 'association');
+    return evmAddress.toLowerCase();
+  }
+
+  // Method 2: On-chain association via the addr precompile
+  evmAddress = await queryAddrPrecompile('getEvmAddr', seiAddress);
+  if (evmAddress) {
+    rememberAddressPair(evmAddress, seiAddress, 'precompile');
+    return evmAddress.toLowerCase();
+  }
+
+  // Method 3: Derive from the public key stored on the Cosmos account
+  const publicKey = await getAccountPublicKey(seiAddress);
+  if (publicKey && deriveSeiAddress(publicKey) === seiAddress) {
+    evmAddress = deriveEvmAddress(publicKey);
+    rememberAddressPair(evmAddress, seiAddress, 'pubkey');
+    return evmAddress;
+  }
+
+  // Method 4: Third-party converter API
+  evmAddress = await queryConverterApi(`/reverse/${seiAddress}`);
+  if (evmAddress) {
+    rememberAddressPair(evmAddress, seiAddress, 'converter-api');
+    return evmAddress.toLowerCase();
+  }
+
+  throw new Error(`Could not convert Sei address ${seiAddress} to an EVM address`);
+}
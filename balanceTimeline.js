@@ -0,0 +1,348 @@
+/**
+ * Balance timeline reconstruction for SEI Voting Monitor
+ *
+ * A wallet's balance can only change at heights where it sent or received
+ * funds. Collecting those heights from EVM traces and Cosmos bank events and
+ * querying the balance at each of them gives the exact minimum balance over a
+ * block interval, rather than a few point samples.
+ *
+ * Balance changes outside transactions (e.g. begin/end block rewards) are not
+ * indexed by either source and are not seen here.
+ *
+ * The same sources list the transfers a wallet received, which is how the
+ * funding analysis (sybilAnalysis.js) finds who funded a voting wallet.
+ */
+
+import axios from 'axios';
+import { retry, decimalToHex, aseiToUsei } from './utils.js';
+import { getEndpointPool, withEvmProvider } from './endpointPool.js';
+
+// trace_filter paging (same limits as vote discovery)
+const TRACE_PAGE_SIZE = 10000;
+const TRACE_BLOCK_WINDOW = 10000;
+
+// Tendermint tx_search paging
+const TX_SEARCH_PAGE_SIZE = 100;
+const TX_SEARCH_TIMEOUT_MS = 15000;
+
+/**
+ * Check whether an error means the RPC method is not available
+ * @param {Error} error Error thrown by the provider
+ * @returns {boolean} True if the method is unsupported
+ */
+function isMethodNotFoundError(error) {
+  const rpcError = error?.error || error?.info?.error || {};
+  const code = rpcError.code ?? error?.code;
+  const message = `${rpcError.message || ''} ${error?.message || ''}`.toLowerCase();
+
+  return code === -32601 ||
+    message.includes('method not found') ||
+    message.includes('does not exist/is not available') ||
+    message.includes('not supported');
+}
+
+/**
+ * Get all successful traces matching a trace_filter address filter
+ * @param {Object} filter Address filter, e.g. { toAddress: [evmAddress] }
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @param {ethers.JsonRpcProvider} provider Provider
+ * @returns {Promise<Array<Object>>} Traces
+ */
+async function filterTraces(filter, fromBlock, toBlock, provider) {
+  const found = [];
+
+  for (let windowStart = fromBlock; windowStart <= toBlock; windowStart += TRACE_BLOCK_WINDOW) {
+    const windowEnd = Math.min(windowStart + TRACE_BLOCK_WINDOW - 1, toBlock);
+    let after = 0;
+
+    while (true) {
+      const traces = await retry(() => provider.send('trace_filter', [{
+        fromBlock: decimalToHex(windowStart),
+        toBlock: decimalToHex(windowEnd),
+        ...filter,
+        after,
+        count: TRACE_PAGE_SIZE
+      }]), 3, 1000);
+
+      for (const trace of traces || []) {
+        // Reverted calls move no value
+        if (!trace.error) {
+          found.push(trace);
+        }
+      }
+
+      if (!traces || traces.length < TRACE_PAGE_SIZE) break;
+      after += TRACE_PAGE_SIZE;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Get all heights with a trace sent from or to an address
+ * @param {string} evmAddress EVM address
+ * @param {string} direction 'fromAddress' or 'toAddress'
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @param {ethers.JsonRpcProvider} provider Provider
+ * @returns {Promise<Set<number>>} Block heights
+ */
+async function getTraceHeights(evmAddress, direction, fromBlock, toBlock, provider) {
+  const traces = await filterTraces({ [direction]: [evmAddress] }, fromBlock, toBlock, provider);
+  return new Set(traces.map(trace => Number(trace.blockNumber)));
+}
+
+/**
+ * Get heights where an EVM address sent or received value (including gas payments)
+ * @param {string} evmAddress EVM address
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @returns {Promise<Set<number>|null>} Block heights, or null if trace_filter is unavailable
+ */
+export async function getEvmTransferHeights(evmAddress, fromBlock, toBlock) {
+  const address = evmAddress.toLowerCase();
+
+  try {
+    return await withEvmProvider(async (provider) => {
+      const sent = await getTraceHeights(address, 'fromAddress', fromBlock, toBlock, provider);
+      const received = await getTraceHeights(address, 'toAddress', fromBlock, toBlock, provider);
+      return new Set([...sent, ...received]);
+    }, `trace_filter for ${address}`);
+  } catch (error) {
+    if (isMethodNotFoundError(error)) {
+      console.log('trace_filter is not available on any EVM endpoint');
+    } else {
+      console.error(`EVM transfer lookup failed for ${address}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Get all transactions matching a Tendermint tx_search query
+ * @param {string} rpcUrl Tendermint RPC URL
+ * @param {string} query Event query
+ * @returns {Promise<Array<Object>>} Transactions (with height and tx_result)
+ */
+async function searchTxs(rpcUrl, query) {
+  const found = [];
+
+  for (let page = 1; ; page++) {
+    const response = await retry(() => axios.get(`${rpcUrl}/tx_search`, {
+      params: {
+        query: `"${query}"`,
+        page,
+        per_page: TX_SEARCH_PAGE_SIZE,
+        order_by: '"asc"'
+      },
+      timeout: TX_SEARCH_TIMEOUT_MS
+    }), 3, 1000);
+
+    const result = response.data?.result || response.data || {};
+    const txs = result.txs || [];
+    found.push(...txs);
+
+    const totalCount = Number(result.total_count || 0);
+    if (txs.length < TX_SEARCH_PAGE_SIZE || page * TX_SEARCH_PAGE_SIZE >= totalCount) break;
+  }
+
+  return found;
+}
+
+/**
+ * Get all heights matching a Tendermint tx_search query
+ * @param {string} rpcUrl Tendermint RPC URL
+ * @param {string} query Event query
+ * @returns {Promise<Set<number>>} Block heights
+ */
+async function searchTxHeights(rpcUrl, query) {
+  const txs = await searchTxs(rpcUrl, query);
+  return new Set(txs.map(tx => Number(tx.height)));
+}
+
+/**
+ * Get heights where the bank module moved funds out of or into a Cosmos address
+ * (coin_spent / coin_received cover sends, fees, staking and IBC transfers)
+ * @param {string} cosmosAddress Cosmos address
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @returns {Promise<Set<number>|null>} Block heights, or null if no endpoint could be searched
+ */
+export async function getCosmosTransferHeights(cosmosAddress, fromBlock, toBlock) {
+  const heightRange = `tx.height>=${fromBlock} AND tx.height<=${toBlock}`;
+  const queries = [
+    `coin_spent.spender='${cosmosAddress}' AND ${heightRange}`,
+    `coin_received.receiver='${cosmosAddress}' AND ${heightRange}`
+  ];
+
+  try {
+    return await getEndpointPool('rpc').run(async (rpcUrl) => {
+      const heights = new Set();
+      for (const query of queries) {
+        for (const height of await searchTxHeights(rpcUrl, query)) {
+          heights.add(height);
+        }
+      }
+      return heights;
+    }, `tx_search for ${cosmosAddress}`);
+  } catch (error) {
+    console.error(`Cosmos transfer lookup failed for ${cosmosAddress}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the value transfers an EVM address received (top-level and internal calls)
+ * @param {string} evmAddress EVM address
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @returns {Promise<Array<Object>|null>} Transfers ({from, blockNumber, amount (usei), txHash, source}),
+ *   or null if trace_filter is unavailable
+ */
+export async function getEvmIncomingTransfers(evmAddress, fromBlock, toBlock) {
+  const address = evmAddress.toLowerCase();
+
+  try {
+    const traces = await withEvmProvider(
+      (provider) => filterTraces({ toAddress: [address] }, fromBlock, toBlock, provider),
+      `trace_filter for ${address}`
+    );
+
+    return traces
+      .filter(trace => trace.action?.to?.toLowerCase() === address && BigInt(trace.action.value || 0) > 0n)
+      .map(trace => ({
+        from: trace.action.from.toLowerCase(),
+        blockNumber: Number(trace.blockNumber),
+        amount: aseiToUsei(trace.action.value).toString(),
+        txHash: trace.transactionHash,
+        source: 'evm'
+      }));
+  } catch (error) {
+    if (isMethodNotFoundError(error)) {
+      console.log('trace_filter is not available on any EVM endpoint');
+    } else {
+      console.error(`EVM transfer lookup failed for ${address}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Read an event attribute (base64-encoded by Tendermint versions before 0.37)
+ * @param {Object} attribute Event attribute ({key, value})
+ * @param {boolean} encoded Whether the attributes are base64-encoded
+ * @returns {Array<string>} Key and value
+ */
+function readAttribute(attribute, encoded) {
+  const decode = value => encoded && value ? Buffer.from(value, 'base64').toString('utf8') : value || '';
+  return [decode(attribute.key), decode(attribute.value)];
+}
+
+/**
+ * Get the usei bank transfers a Cosmos address received
+ * @param {string} cosmosAddress Cosmos address
+ * @param {number} fromBlock Start block (inclusive)
+ * @param {number} toBlock End block (inclusive)
+ * @returns {Promise<Array<Object>|null>} Transfers ({from, blockNumber, amount (usei), txHash, source}),
+ *   or null if no endpoint could be searched
+ */
+export async function getCosmosIncomingTransfers(cosmosAddress, fromBlock, toBlock) {
+  const query = `transfer.recipient='${cosmosAddress}' AND tx.height>=${fromBlock} AND tx.height<=${toBlock}`;
+
+  try {
+    const txs = await getEndpointPool('rpc').run(
+      (rpcUrl) => searchTxs(rpcUrl, query),
+      `tx_search for ${cosmosAddress}`
+    );
+
+    const transfers = [];
+    for (const tx of txs) {
+      for (const event of tx.tx_result?.events || []) {
+        if (event.type !== 'transfer') continue;
+
+        const attributes = event.attributes || [];
+        const encoded = attributes.length > 0 && !['recipient', 'sender', 'amount', 'msg_index'].includes(attributes[0].key);
+        const fields = Object.fromEntries(attributes.map(attribute => readAttribute(attribute, encoded)));
+        if (fields.recipient !== cosmosAddress) continue;
+
+        // Amounts list every denom moved, e.g. "5000usei,10factory/..."
+        const usei = (fields.amount || '').split(',').map(coin => /^(\d+)usei$/.exec(coin.trim())).find(Boolean);
+        if (!usei || BigInt(usei[1]) === 0n) continue;
+
+        transfers.push({
+          from: fields.sender,
+          blockNumber: Number(tx.height),
+          amount: usei[1],
+          txHash: tx.hash,
+          source: 'cosmos'
+        });
+      }
+    }
+    return transfers;
+  } catch (error) {
+    console.error(`Cosmos transfer lookup failed for ${cosmosAddress}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reconstruct a wallet's balance over a block interval
+ * @param {string} evmAddress EVM address
+ * @param {string} cosmosAddress Cosmos address
+ * @param {number} fromBlock Start of the interval (inclusive)
+ * @param {number} toBlock End of the interval (inclusive)
+ * @param {Function} getBalanceAt Async callback returning the usei balance (BigInt) at a height, or null if unknown
+ * @returns {Promise<Object>} Timeline with points, minBalance, minBalanceBlock, unknownPoints and complete flag
+ */
+export async function getBalanceTimeline(
+  evmAddress,
+  cosmosAddress,
+  fromBlock,
+  toBlock,
+  getBalanceAt
+) {
+  const evmHeights = await getEvmTransferHeights(evmAddress, fromBlock, toBlock);
+  const cosmosHeights = await getCosmosTransferHeights(cosmosAddress, fromBlock, toBlock);
+
+  // The balance is constant between change heights, so sampling the interval
+  // boundaries and every change height covers the whole interval
+  const heights = new Set([fromBlock, toBlock]);
+  for (const height of [...(evmHeights || []), ...(cosmosHeights || [])]) {
+    if (height >= fromBlock && height <= toBlock) {
+      heights.add(height);
+    }
+  }
+
+  const sortedHeights = Array.from(heights).sort((a, b) => a - b);
+  console.log(`Reconstructing balance of ${evmAddress} over blocks ${fromBlock}-${toBlock} (${sortedHeights.length} points)`);
+
+  const points = [];
+  let minBalance = null;
+  let minBalanceBlock = null;
+  let unknownPoints = 0;
+
+  for (const blockNumber of sortedHeights) {
+    const balance = await getBalanceAt(blockNumber);
+    points.push({ blockNumber, balance });
+
+    if (balance === null) {
+      unknownPoints++;
+    } else if (minBalance === null || balance < minBalance) {
+      minBalance = balance;
+      minBalanceBlock = blockNumber;
+    }
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    points,
+    minBalance,
+    minBalanceBlock,
+    unknownPoints,
+    // Without both sources a change could have been missed
+    complete: evmHeights !== null && cosmosHeights !== null && unknownPoints === 0
+  };
+}
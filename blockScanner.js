@@ -1,17 +1,17 @@
 // blockScanner.js - Enhanced for detecting SEI voting transactions
 
 import { ethers } from 'ethers';
-import { retry, sleep, decimalToHex } from './utils.js';
+import { retry, sleep, decimalToHex, ensureDirectoryExists } from './utils.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import os from 'os';
-import { 
-  PROXY_ADDRESS, 
-  IMPLEMENTATION_ADDRESS, 
-  VOTE_METHOD_SIG,
-  RPC_ENDPOINTS 
-} from './config.js';
+import { RPC_BATCH, RANGE_LEDGER, PATHS } from './config.js';
+import { getEndpointPool, withEvmProvider } from './endpointPool.js';
+import { openRangeLedger } from './rangeLedger.js';
+import { batchGetBlocks, batchGetTransactions, batchGetReceipts } from './rpcBatch.js';
+import { getRound, getRoundByProxy, getRoundPaths } from './rounds.js';
+import { decodeVote } from './voteDecoder.js';
 import { 
   blockCache, 
   txCache, 
@@ -33,13 +33,50 @@ const REQUEST_THROTTLE_MS = 50;
 const BLOCK_TIMEOUT_MS = 8000;
 const RECEIPT_TIMEOUT_MS = 5000;
 
+// trace_filter paging - matches the query documented in the README
+const TRACE_PAGE_SIZE = 10000;
+const TRACE_BLOCK_WINDOW = 10000;
+
+// Vote discovery modes accepted by discoverVotes
+export const DISCOVERY_MODES = ['auto', 'trace', 'logs', 'blocks'];
+
+// eth_getLogs window sizing - shrinks when the node rejects a range, grows back on success
+const LOG_WINDOW_INITIAL = 2000;
+const LOG_WINDOW_MIN = 10;
+const LOG_WINDOW_MAX = 20000;
+
+// Whether each EVM endpoint supports trace_filter, by URL (missing = not asked yet)
+const traceFilterSupport = new Map();
+
+/**
+ * Run a request with the healthiest EVM endpoint, failing it (and moving on to
+ * the next endpoint) if it does not answer in time
+ * @param {Function} fn Async callback receiving an ethers provider
+ * @param {string} label Request description (for logging and the timeout error)
+ * @param {number} timeoutMs Request timeout
+ * @returns {Promise<any>} The callback's result
+ */
+async function evmRequest(fn, label, timeoutMs) {
+  return withEvmProvider(async (provider) => {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out`)), timeoutMs);
+    });
+    
+    try {
+      return await Promise.race([fn(provider), timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }, label);
+}
+
 /**
  * Get block with transactions
  * @param {number} blockNumber Block number
- * @param {ethers.JsonRpcProvider} provider Ethers provider
  * @returns {Promise<Object>} Block with transactions
  */
-async function getBlockWithTransactions(blockNumber, provider) {
+async function getBlockWithTransactions(blockNumber) {
   // Check cache first
   const cacheKey = `block-${blockNumber}`;
   const cachedBlock = blockCache.get(cacheKey);
@@ -48,13 +85,7 @@ async function getBlockWithTransactions(blockNumber, provider) {
   }
   
   try {
-    // Get block with timeout
-    const blockPromise = provider.getBlock(blockNumber, true);
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`Block ${blockNumber} retrieval timed out`)), BLOCK_TIMEOUT_MS);
-    });
-    
-    const block = await Promise.race([blockPromise, timeoutPromise]);
+    const block = await evmRequest(provider => provider.getBlock(blockNumber, true), `Block ${blockNumber} request`, BLOCK_TIMEOUT_MS);
     
     if (!block) {
       throw new Error(`Block ${blockNumber} not found`);
@@ -66,12 +97,7 @@ async function getBlockWithTransactions(blockNumber, provider) {
   } catch (error) {
     // Try fallback approach - get block header then fetch transactions separately
     try {
-      const blockHeaderPromise = provider.getBlock(blockNumber);
-      const headerTimeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Block header ${blockNumber} timed out`)), BLOCK_TIMEOUT_MS);
-      });
-      
-      const blockHeader = await Promise.race([blockHeaderPromise, headerTimeoutPromise]);
+      const blockHeader = await evmRequest(provider => provider.getBlock(blockNumber), `Block header ${blockNumber} request`, BLOCK_TIMEOUT_MS);
       
       if (!blockHeader) {
         throw new Error(`Block ${blockNumber} header not found`);
@@ -97,12 +123,32 @@ async function getBlockWithTransactions(blockNumber, provider) {
 }
 
 /**
- * Get transaction receipt
+ * Drop cached blocks, with their transactions and receipts (their blocks were
+ * replaced by a chain reorganization)
+ * @param {number} fromBlock First block
+ * @param {number} toBlock Last block
+ */
+export function forgetBlocks(fromBlock, toBlock) {
+  for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+    const cacheKey = `block-${blockNumber}`;
+    const block = blockCache.get(cacheKey);
+    if (!block) continue;
+    
+    for (const tx of block.prefetchedTransactions || block.transactions || []) {
+      const txHash = typeof tx === 'string' ? tx : tx.hash;
+      txCache.delete(`tx-${txHash}`);
+      receiptCache.delete(`receipt-${txHash}`);
+    }
+    blockCache.delete(cacheKey);
+  }
+}
+
+/**
+ * Get transaction receipt, throwing if the request fails or times out on every endpoint
  * @param {string} txHash Transaction hash
- * @param {ethers.JsonRpcProvider} provider Ethers provider
- * @returns {Promise<Object>} Transaction receipt
+ * @returns {Promise<Object|null>} Transaction receipt (null if the node has none)
  */
-async function getTransactionReceipt(txHash, provider) {
+async function getTransactionReceipt(txHash) {
   // Check cache first
   const cacheKey = `receipt-${txHash}`;
   const cachedReceipt = receiptCache.get(cacheKey);
@@ -110,73 +156,226 @@ async function getTransactionReceipt(txHash, provider) {
     return cachedReceipt;
   }
   
-  try {
-    // Get receipt with timeout
-    const receiptPromise = provider.getTransactionReceipt(txHash);
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`Receipt for ${txHash} timed out`)), RECEIPT_TIMEOUT_MS);
-    });
+  const receipt = await evmRequest(provider => provider.getTransactionReceipt(txHash), `Receipt for ${txHash}`, RECEIPT_TIMEOUT_MS);
+  
+  if (receipt) {
+    receiptCache.set(cacheKey, receipt);
+  }
+  
+  return receipt;
+}
+
+/**
+ * Get transaction details
+ * @param {string} txHash Transaction hash
+ * @returns {Promise<Object>} Transaction
+ */
+async function getTransaction(txHash) {
+  // Check cache first
+  const cacheKey = `tx-${txHash}`;
+  const cachedTx = txCache.get(cacheKey);
+  if (cachedTx) {
+    return cachedTx;
+  }
+  
+  const tx = await evmRequest(provider => provider.getTransaction(txHash), `Transaction ${txHash} request`, RECEIPT_TIMEOUT_MS);
+  if (tx) {
+    txCache.set(cacheKey, tx);
+  }
+  
+  return tx;
+}
+
+/**
+ * Get blocks using JSON-RPC batch requests. Blocks whose batched call failed
+ * are fetched individually.
+ * @param {Array<number>} blockNumbers Block numbers
+ * @returns {Promise<Array<Object>>} Blocks, in the order requested
+ */
+async function getBlocksBatched(blockNumbers) {
+  const blocks = new Map();
+  const missing = [];
+  
+  for (const blockNumber of blockNumbers) {
+    const cachedBlock = blockCache.get(`block-${blockNumber}`);
+    if (cachedBlock) {
+      blocks.set(blockNumber, cachedBlock);
+    } else {
+      missing.push(blockNumber);
+    }
+  }
+  
+  if (missing.length > 0) {
+    const results = await getEndpointPool('evmRpc').run(
+      (rpcUrl) => batchGetBlocks(rpcUrl, missing, true, RPC_BATCH.SIZE),
+      'Batched block request'
+    );
     
-    const receipt = await Promise.race([receiptPromise, timeoutPromise]);
+    for (const { blockNumber, block, error } of results) {
+      if (block) {
+        blockCache.set(`block-${blockNumber}`, block);
+        blocks.set(blockNumber, block);
+      } else {
+        console.error(`Batched fetch of block ${blockNumber} failed (${error.message}), retrying individually`);
+        blocks.set(blockNumber, await getBlockWithTransactions(blockNumber));
+      }
+    }
+  }
+  
+  return blockNumbers.map(blockNumber => blocks.get(blockNumber));
+}
+
+/**
+ * Get transactions using JSON-RPC batch requests. Transactions whose batched
+ * call failed are fetched individually; if that fails too, the error is thrown.
+ * @param {Array<string>} txHashes Transaction hashes
+ * @returns {Promise<Map<string, Object>>} Transactions by hash (missing if not found)
+ */
+async function getTransactionsBatched(txHashes) {
+  const transactions = new Map();
+  const missing = [];
+  
+  for (const txHash of txHashes) {
+    const cachedTx = txCache.get(`tx-${txHash}`);
+    if (cachedTx) {
+      transactions.set(txHash, cachedTx);
+    } else {
+      missing.push(txHash);
+    }
+  }
+  
+  if (missing.length > 0) {
+    const results = await getEndpointPool('evmRpc').run(
+      (rpcUrl) => batchGetTransactions(rpcUrl, missing, RPC_BATCH.SIZE),
+      'Batched transaction request'
+    );
     
-    if (receipt) {
-      receiptCache.set(cacheKey, receipt);
+    for (const { txHash, transaction, error } of results) {
+      if (error) {
+        console.error(`Batched fetch of tx ${txHash} failed (${error.message}), retrying individually`);
+      }
+      
+      const tx = transaction || (error ? await getTransaction(txHash) : null);
+      if (tx) {
+        txCache.set(`tx-${txHash}`, tx);
+        transactions.set(txHash, tx);
+      }
     }
+  }
+  
+  return transactions;
+}
+
+/**
+ * Get transaction receipts using JSON-RPC batch requests. Receipts whose
+ * batched call failed are fetched individually; if that fails too, the error is thrown.
+ * @param {Array<string>} txHashes Transaction hashes
+ * @returns {Promise<Map<string, Object>>} Receipts by transaction hash (missing if not found)
+ */
+async function getReceiptsBatched(txHashes) {
+  const receipts = new Map();
+  const missing = [];
+  
+  for (const txHash of txHashes) {
+    const cachedReceipt = receiptCache.get(`receipt-${txHash}`);
+    if (cachedReceipt) {
+      receipts.set(txHash, cachedReceipt);
+    } else {
+      missing.push(txHash);
+    }
+  }
+  
+  if (missing.length > 0) {
+    const results = await getEndpointPool('evmRpc').run(
+      (rpcUrl) => batchGetReceipts(rpcUrl, missing, RPC_BATCH.SIZE),
+      'Batched receipt request'
+    );
     
-    return receipt;
-  } catch (error) {
-    console.error(`Failed to get receipt for ${txHash}:`, error.message);
-    return null;
+    for (const { txHash, receipt, error } of results) {
+      if (error) {
+        console.error(`Batched fetch of receipt ${txHash} failed (${error.message}), retrying individually`);
+      }
+      
+      const result = receipt || (error ? await getTransactionReceipt(txHash) : null);
+      if (result) {
+        receiptCache.set(`receipt-${txHash}`, result);
+        receipts.set(txHash, result);
+      }
+    }
   }
+  
+  return receipts;
 }
 
 /**
- * Get provider with automatic fallback
- * @param {string} primaryRpc Primary RPC endpoint
- * @param {string} fallbackRpc Fallback RPC endpoint
- * @returns {Promise<ethers.JsonRpcProvider>} Ethers provider
+ * Get block header (without transactions)
+ * @param {number} blockNumber Block number
+ * @returns {Promise<Object>} Block header
  */
-async function getProvider(primaryRpc, fallbackRpc) {
-  try {
-    const provider = new ethers.JsonRpcProvider(primaryRpc);
-    await provider.getBlockNumber(); // Test connection
-    console.log('Using primary RPC provider');
-    return provider;
-  } catch (error) {
-    console.error(`Primary RPC failed: ${error.message}`);
-    console.log('Using fallback RPC provider');
-    return new ethers.JsonRpcProvider(fallbackRpc);
+async function getBlockHeader(blockNumber) {
+  // A cached full block works just as well as a header
+  const cachedBlock = blockCache.get(`block-${blockNumber}`) || blockCache.get(`header-${blockNumber}`);
+  if (cachedBlock) {
+    return cachedBlock;
+  }
+  
+  const header = await evmRequest(provider => provider.getBlock(blockNumber), `Block header ${blockNumber} request`, BLOCK_TIMEOUT_MS);
+  if (!header) {
+    throw new Error(`Block ${blockNumber} not found`);
   }
+  
+  blockCache.set(`header-${blockNumber}`, header);
+  return header;
+}
+
+/**
+ * Check if a transaction targets the voting contracts and is worth a receipt lookup
+ * @param {Object} tx Transaction object
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @returns {boolean} True if the transaction is a potential vote
+ */
+export function isCandidateTransaction(tx, proxyAddress, implAddress) {
+  return typeof tx === 'object' && !!tx.to && (
+    tx.to.toLowerCase() === proxyAddress || 
+    (tx.to.toLowerCase() === implAddress && !!tx.data && tx.data.length > 2)
+  );
 }
 
 /**
  * Check if a transaction is a vote based on enhanced detection criteria
  * @param {Object} tx Transaction object 
  * @param {Object} receipt Transaction receipt
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
  * @returns {Object} Vote check result
  */
-function isVoteTransaction(tx, receipt) {
+export function isVoteTransaction(tx, receipt, proxyAddress, implAddress) {
+  // Vote method signatures (and the vote ABI) come from the round that owns this proxy
+  const round = getRoundByProxy(proxyAddress);
+  const voteMethodSigs = round?.voteMethodSignatures || [];
+  
   // Method 1: Direct transfer to proxy
   const isDirectTransfer = 
     tx.to && 
-    tx.to.toLowerCase() === PROXY_ADDRESS && 
+    tx.to.toLowerCase() === proxyAddress && 
     tx.value > 0n;
   
   // Method 2: Method call to proxy with vote signature
   const isMethodCall = 
     tx.to && 
-    tx.to.toLowerCase() === PROXY_ADDRESS && 
+    tx.to.toLowerCase() === proxyAddress && 
     tx.data && 
-    tx.data.startsWith(VOTE_METHOD_SIG);
+    voteMethodSigs.some(sig => tx.data.toLowerCase().startsWith(sig));
   
   // Method 3: Check logs for implementation contract
   const hasImplLogs = receipt?.logs && receipt.logs.some(log => 
-    log.address && log.address.toLowerCase() === IMPLEMENTATION_ADDRESS
+    log.address && log.address.toLowerCase() === implAddress
   );
   
   // Method 4: Check logs for proxy contract
   const hasProxyLogs = receipt?.logs && receipt.logs.some(log => 
-    log.address && log.address.toLowerCase() === PROXY_ADDRESS
+    log.address && log.address.toLowerCase() === proxyAddress
   );
   
   // Final determination - ANY method is valid
@@ -194,243 +393,980 @@ function isVoteTransaction(tx, receipt) {
     detectionMethod: detectionMethod || 'none',
     value: tx.value,
     valueInSei: ethers.formatEther(tx.value),
-    data: tx.data
+    data: tx.data,
+    decoded: isVote ? decodeVote(tx, receipt, round) : null
   };
 }
 
-export async function scanBlockRangeForVotes(
+/**
+ * Build the vote record shared by all discovery methods
+ * @param {Object} tx Transaction object
+ * @param {Object} block Block (or header) containing the transaction
+ * @param {Object} voteCheck Result of isVoteTransaction
+ * @param {string} method Detection method override (optional)
+ * @returns {Object} Vote info
+ */
+export function buildVoteInfo(tx, block, voteCheck, method = voteCheck.detectionMethod) {
+  return {
+    transactionHash: tx.hash,
+    blockNumber: Number(block.number),
+    from: tx.from,
+    to: tx.to,
+    value: voteCheck.valueInSei,
+    voteAmount: parseFloat(voteCheck.valueInSei), // For consistent type
+    timestamp: new Date(Number(block.timestamp) * 1000),
+    method,
+    allocations: voteCheck.decoded?.allocations || [],
+    decodedFrom: voteCheck.decoded?.decodedFrom || null,
+    decodedMethod: voteCheck.decoded?.decodedMethod || null,
+    success: true
+  };
+}
+
+/**
+ * Get the checkpoint file path for a saveProgress argument
+ * @param {string|boolean} saveProgress Checkpoint file path, or true for the default round's
+ * @returns {string} Path of the checkpoint file
+ */
+function getCheckpointFile(saveProgress) {
+  return typeof saveProgress === 'string' ? saveProgress : getRoundPaths().LAST_BLOCK_FILE;
+}
+
+/**
+ * Get the range ledger kept next to a checkpoint file
+ * @param {string|boolean} saveProgress Checkpoint file path, true for the default round's, or false for an in-memory ledger
+ * @returns {RangeLedger} Range ledger
+ */
+export function getScanLedger(saveProgress) {
+  if (!saveProgress) {
+    return openRangeLedger(null);
+  }
+  return openRangeLedger(path.join(path.dirname(getCheckpointFile(saveProgress)), PATHS.ROUND_FILES.RANGE_LEDGER));
+}
+
+/**
+ * Save the range ledger and the last processed block to the checkpoint file.
+ * The checkpoint is held below the first range that is not done yet, and moves
+ * up to the ledger's watermark once every range below it is done.
+ * @param {number} blockNumber Last processed block
+ * @param {string|boolean} saveProgress Checkpoint file path, or true for the default round's
+ * @returns {{saveFile: string, checkpoint: number}} Path of the checkpoint file and the block written
+ */
+function saveProgressBlock(blockNumber, saveProgress) {
+  const saveFile = getCheckpointFile(saveProgress);
+  const ledger = getScanLedger(saveProgress);
+  const checkpoint = ledger.limitCheckpoint(Math.max(blockNumber, ledger.getWatermark() ?? blockNumber));
+  
+  // Ensure directory exists
+  ensureDirectoryExists(path.dirname(saveFile));
+  
+  ledger.save();
+  fs.writeFileSync(saveFile, checkpoint.toString(), 'utf8');
+  return { saveFile, checkpoint };
+}
+
+/**
+ * Check whether an RPC error means the method is not available on the node
+ * @param {Error} error Error thrown by the provider
+ * @returns {boolean} True if the method is unsupported
+ */
+function isMethodNotFoundError(error) {
+  const rpcError = error?.error || error?.info?.error || {};
+  const code = rpcError.code ?? error?.code;
+  const message = `${rpcError.message || ''} ${error?.message || ''}`.toLowerCase();
+  
+  return code === -32601 || 
+    message.includes('method not found') || 
+    message.includes('does not exist/is not available') ||
+    message.includes('not supported');
+}
+
+/**
+ * Fetch one page of traces for calls from the proxy to the implementation
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @param {number} after Number of traces to skip
+ * @returns {Promise<Array>} Trace entries
+ */
+async function fetchTracePage(fromBlock, toBlock, proxyAddress, implAddress, after) {
+  const traces = await withEvmProvider(async (provider, url) => {
+    try {
+      const result = await provider.send('trace_filter', [{
+        fromBlock: decimalToHex(fromBlock),
+        toBlock: decimalToHex(toBlock),
+        fromAddress: [proxyAddress],
+        toAddress: [implAddress],
+        after,
+        count: TRACE_PAGE_SIZE
+      }]);
+      traceFilterSupport.set(url, true);
+      return result;
+    } catch (error) {
+      if (isMethodNotFoundError(error)) {
+        traceFilterSupport.set(url, false);
+      }
+      throw error;
+    }
+  }, 'trace_filter request');
+  
+  return Array.isArray(traces) ? traces : [];
+}
+
+/**
+ * Check whether any configured EVM endpoint supports trace_filter, probing
+ * only while no endpoint is known to support it and some have not been asked
+ * @param {number} blockNumber Block to probe with
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @returns {Promise<boolean>} True if trace_filter is available
+ */
+async function probeTraceFilter(blockNumber, proxyAddress, implAddress) {
+  const urls = getEndpointPool('evmRpc').endpoints.map(endpoint => endpoint.url);
+  if (urls.some(url => traceFilterSupport.get(url) === true)) {
+    return true;
+  }
+  if (urls.every(url => traceFilterSupport.get(url) === false)) {
+    return false;
+  }
+  
+  let supported = true;
+  try {
+    await fetchTracePage(blockNumber, blockNumber, proxyAddress, implAddress, 0);
+  } catch (error) {
+    if (!isMethodNotFoundError(error)) {
+      throw error;
+    }
+    supported = false;
+  }
+  
+  console.log(`trace_filter ${supported ? 'is' : 'is not'} available on the configured endpoints`);
+  return supported;
+}
+
+/**
+ * Fetch a transaction with its receipt and block, and run the vote checks on it
+ * @param {string} txHash Transaction hash
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @returns {Promise<Object|null>} { tx, block, voteCheck }, or null if the transaction failed
+ */
+async function resolveVoteTransaction(txHash, proxyAddress, implAddress) {
+  const tx = await getTransaction(txHash);
+  if (!tx) {
+    throw new Error(`Transaction ${txHash} not found`);
+  }
+  
+  const receipt = await getTransactionReceipt(txHash);
+  if (!receipt) {
+    throw new Error(`Receipt for ${txHash} not found`);
+  }
+  if (receipt.status !== 1) return null; // Skip failed transactions
+  
+  const block = await getBlockHeader(Number(tx.blockNumber));
+  const voteCheck = isVoteTransaction(tx, receipt, proxyAddress, implAddress);
+  
+  return { tx, block, voteCheck };
+}
+
+/**
+ * Convert the traces of one transaction into a vote record
+ * @param {string} txHash Transaction hash
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @returns {Promise<Object|null>} Vote info, or null if the transaction failed
+ */
+async function traceToVoteInfo(txHash, proxyAddress, implAddress) {
+  const resolved = await resolveVoteTransaction(txHash, proxyAddress, implAddress);
+  if (!resolved) return null;
+  
+  const { tx, block, voteCheck } = resolved;
+  
+  // The internal call is itself proof of a vote, whatever the other criteria say
+  const methods = voteCheck.detectionMethod === 'none' ? [] : [voteCheck.detectionMethod];
+  methods.push('internal-trace');
+  
+  return buildVoteInfo(tx, block, voteCheck, methods.join(','));
+}
+
+/**
+ * Re-scan the failed ranges of a scan with backoff until they succeed or run out of attempts
+ * @param {RangeLedger} ledger Range ledger
+ * @param {number} fromBlock Starting block of the scan
+ * @param {number} toBlock Ending block of the scan
+ * @param {Function} rescan Called with the failed ranges to scan again
+ */
+async function retryFailedRanges(ledger, fromBlock, toBlock, rescan) {
+  const isRetryable = range => range.from >= fromBlock && range.to <= toBlock && range.attempts < RANGE_LEDGER.MAX_ATTEMPTS;
+  for (let pass = 1; ledger.getRanges('failed').some(isRetryable); pass++) {
+    const retryRanges = ledger.getRanges('failed').filter(isRetryable);
+    const delay = RANGE_LEDGER.RETRY_DELAY_MS * 2 ** (pass - 1);
+    console.log(`Retrying ${retryRanges.length} failed ranges in ${delay}ms...`);
+    await sleep(delay);
+    await rescan(retryRanges);
+  }
+}
+
+/**
+ * Warn about the ranges of a scan that stayed failed (they hold back the checkpoint)
+ * @param {RangeLedger} ledger Range ledger
+ * @param {number} fromBlock Starting block of the scan
+ * @param {number} toBlock Ending block of the scan
+ */
+function warnFailedRanges(ledger, fromBlock, toBlock) {
+  const failedRanges = ledger.getRanges('failed').filter(range => range.from <= toBlock && range.to >= fromBlock);
+  if (failedRanges.length > 0) {
+    console.warn(`${failedRanges.length} block ranges could not be scanned: ${failedRanges.map(range => `${range.from}-${range.to}`).join(', ')}`);
+    console.warn('They will be re-scanned on the next run, or with "scan --repair"');
+  }
+}
+
+/**
+ * Scan a block range for votes using trace_filter (proxy -> implementation internal calls)
+ * Failed windows are retried with backoff; windows that still fail stay marked failed
+ * in the range ledger, holding back the checkpoint.
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {string} primaryRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {string} fallbackRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string|boolean} saveProgress Checkpoint file to write progress to (true for the default round's)
+ * @param {RangeLedger} ledger Ledger to record scanned windows in (defaults to the checkpoint's, or an in-memory one)
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function scanTracesForVotes(
   fromBlock, 
   toBlock, 
-  addresses = [PROXY_ADDRESS, IMPLEMENTATION_ADDRESS], 
-  primaryRpc = RPC_ENDPOINTS.primary.evmRpc, 
-  fallbackRpc = RPC_ENDPOINTS.fallback.evmRpc,
+  addresses = getRound().addresses, 
+  primaryRpc = null, 
+  fallbackRpc = null,
   onVoteFound = null,
-  saveProgress = false
+  saveProgress = false,
+  ledger = getScanLedger(saveProgress)
 ) {
-  console.log(`Scanning blocks ${fromBlock} to ${toBlock} for votes...`);
-  
-  // Get provider
-  const provider = await getProvider(primaryRpc, fallbackRpc);
+  console.log(`Tracing blocks ${fromBlock} to ${toBlock} for votes...`);
   
-  // Make sure addresses are lowercase
   const proxyAddress = addresses[0].toLowerCase();
   const implAddress = addresses[1].toLowerCase();
   
-  // Track votes by their hash
   const votes = new Map();
+  let lastProgressReport = Date.now();
   
-  // Create batches for parallel processing
-  const batches = [];
-  for (let start = fromBlock; start <= toBlock; start += BATCH_SIZE) {
-    const end = Math.min(start + BATCH_SIZE - 1, toBlock);
-    batches.push({ start, end });
-  }
+  /**
+   * Trace a block range window by window, recording each window in the ledger
+   * @param {number} rangeFrom First block
+   * @param {number} rangeTo Last block
+   */
+  const scanRange = async (rangeFrom, rangeTo) => {
+    for (let windowStart = rangeFrom; windowStart <= rangeTo; windowStart += TRACE_BLOCK_WINDOW) {
+      const windowEnd = Math.min(windowStart + TRACE_BLOCK_WINDOW - 1, rangeTo);
+      const txHashes = new Set();
+    
+      try {
+        // Page through the traces for this window
+        for (let after = 0; ; after += TRACE_PAGE_SIZE) {
+          const traces = await retry(
+            () => fetchTracePage(windowStart, windowEnd, proxyAddress, implAddress, after),
+            3,
+            1000
+          );
+        
+          for (const trace of traces) {
+            // Reverted internal calls are not votes
+            if (trace.error || !trace.transactionHash) continue;
+            txHashes.add(trace.transactionHash);
+          }
+        
+          if (traces.length < TRACE_PAGE_SIZE) break;
+          await sleep(REQUEST_THROTTLE_MS);
+        }
+      
+        // Resolve each traced transaction into a vote record
+        for (const txHash of txHashes) {
+          if (votes.has(txHash)) continue;
+        
+          const voteInfo = await traceToVoteInfo(txHash, proxyAddress, implAddress);
+          if (!voteInfo) continue;
+        
+          votes.set(txHash, voteInfo);
+        
+          // Notify callback if provided
+          if (onVoteFound) {
+            onVoteFound(voteInfo);
+          }
+        }
+      
+        ledger.markDone(windowStart, windowEnd);
+      } catch (error) {
+        // Without tracing the whole scan has to fall back to another mode
+        if (isMethodNotFoundError(error)) {
+          throw error;
+        }
+      
+        const range = ledger.markFailed(windowStart, windowEnd, error);
+        console.error(`Error tracing blocks ${windowStart}-${windowEnd} (attempt ${range.attempts}):`, error.message);
+      }
+    
+      // Report progress
+      const now = Date.now();
+      if (now - lastProgressReport > 5000) {
+        const progress = (((windowEnd - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100).toFixed(1);
+        console.log(`Trace progress: ${progress}% (block ${windowEnd}, ${votes.size} votes found)`);
+        lastProgressReport = now;
+      }
+    
+      if (saveProgress) {
+        saveProgressBlock(windowEnd, saveProgress);
+      }
+    }
+  };
   
-  console.log(`Processing ${batches.length} batches using ${MAX_CONCURRENT_BATCHES} concurrent processes`);
+  await scanRange(fromBlock, toBlock);
   
-  // Process batches with controlled concurrency
-  let processedBatches = 0;
-  let totalBlocksProcessed = 0;
-  let lastProgressReport = Date.now();
-  let lastProgressSave = Date.now();
+  // Retry failed windows with backoff until they succeed or run out of attempts
+  await retryFailedRanges(ledger, fromBlock, toBlock, async (ranges) => {
+    for (const range of ranges) {
+      await scanRange(range.from, range.to);
+    }
+  });
+  
+  console.log(`Trace scan complete. Found ${votes.size} votes across ${toBlock - fromBlock + 1} blocks.`);
+  warnFailedRanges(ledger, fromBlock, toBlock);
+  
+  return Array.from(votes.values());
+}
+
+/**
+ * Check whether an eth_getLogs error means the block range returned too many results
+ * @param {Error} error Error thrown by the provider
+ * @returns {boolean} True if the range should be shrunk
+ */
+function isTooManyResultsError(error) {
+  const rpcError = error?.error || error?.info?.error || {};
+  const code = rpcError.code ?? error?.code;
+  const message = `${rpcError.message || ''} ${error?.message || ''}`.toLowerCase();
+  
+  return code === -32005 ||
+    message.includes('too many') ||
+    message.includes('limit exceeded') ||
+    message.includes('more than') ||
+    message.includes('range too large') ||
+    message.includes('block range') ||
+    message.includes('response size');
+}
+
+/**
+ * Scan a block range for votes using eth_getLogs on the proxy and implementation contracts
+ * Failed windows are retried with backoff; windows that still fail stay marked failed
+ * in the range ledger, holding back the checkpoint.
+ * Votes that emit no logs (plain SEI transfers to the proxy) are not found - trace
+ * and block scanning catch those, which is why 'auto' discovery never uses logs.
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {string} primaryRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {string} fallbackRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string|boolean} saveProgress Checkpoint file to write progress to (true for the default round's)
+ * @param {RangeLedger} ledger Ledger to record scanned windows in (defaults to the checkpoint's, or an in-memory one)
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function scanLogsForVotes(
+  fromBlock, 
+  toBlock, 
+  addresses = getRound().addresses, 
+  primaryRpc = null, 
+  fallbackRpc = null,
+  onVoteFound = null,
+  saveProgress = false,
+  ledger = getScanLedger(saveProgress)
+) {
+  console.log(`Querying logs for blocks ${fromBlock} to ${toBlock}...`);
+  console.warn('Log queries miss votes that emit no logs (plain SEI transfers to the proxy); cross-check with scan --compare');
   
-  // Last processed block for saving progress
-  let lastProcessedBlock = fromBlock - 1;
+  const proxyAddress = addresses[0].toLowerCase();
+  const implAddress = addresses[1].toLowerCase();
   
-  // Process batches with concurrency control
-  for (let i = 0; i < batches.length; i += MAX_CONCURRENT_BATCHES) {
-    const currentBatches = batches.slice(i, i + MAX_CONCURRENT_BATCHES);
-    const batchPromises = currentBatches.map(async ({ start, end }) => {
+  const votes = new Map();
+  let windowSize = LOG_WINDOW_INITIAL;
+  let lastProgressReport = Date.now();
+  
+  /**
+   * Query a block range for logs, adapting the window size to what the endpoint accepts
+   * @param {number} rangeFrom First block
+   * @param {number} rangeTo Last block
+   */
+  const scanRange = async (rangeFrom, rangeTo) => {
+    let cursor = rangeFrom;
+    
+    while (cursor <= rangeTo) {
+      const windowEnd = Math.min(cursor + windowSize - 1, rangeTo);
+    
+      let logs;
       try {
-        // Process smaller sub-batches
-        const subBatchResults = [];
+        logs = await withEvmProvider(provider => provider.getLogs({
+          address: [proxyAddress, implAddress],
+          fromBlock: cursor,
+          toBlock: windowEnd
+        }), 'Log query');
+      } catch (error) {
+        if (isTooManyResultsError(error) && windowSize > LOG_WINDOW_MIN) {
+          // Shrink the window and retry the same starting block
+          windowSize = Math.max(LOG_WINDOW_MIN, Math.floor(windowSize / 2));
+          console.log(`Log query for ${cursor}-${windowEnd} too large, shrinking window to ${windowSize} blocks`);
+          continue;
+        }
+      
+        const range = ledger.markFailed(cursor, windowEnd, error);
+        console.error(`Error querying logs for blocks ${cursor}-${windowEnd} (attempt ${range.attempts}):`, error.message);
+      }
+    
+      if (logs) {
+        try {
+          // Only fetch each transaction once, however many logs it emitted
+          const txHashes = new Set(logs.map(log => log.transactionHash).filter(Boolean));
         
-        for (let blockNum = start; blockNum <= end; blockNum += SUB_BATCH_SIZE) {
-          const subBatchEnd = Math.min(blockNum + SUB_BATCH_SIZE - 1, end);
+          for (const txHash of txHashes) {
+            if (votes.has(txHash)) continue;
           
-          // Process sub-batch blocks
-          const subBatchVotes = await processBlockRange(
-            blockNum, 
-            subBatchEnd, 
-            proxyAddress, 
-            implAddress, 
-            provider, 
-            onVoteFound
-          );
+            const resolved = await resolveVoteTransaction(txHash, proxyAddress, implAddress);
+            if (!resolved) continue;
           
-          subBatchResults.push(...subBatchVotes);
+            const { tx, block, voteCheck } = resolved;
           
-          // Brief pause between sub-batches
-          await sleep(10);
-        }
+            // Apply the same candidate filter as block scanning so both modes agree
+            if (!isCandidateTransaction(tx, proxyAddress, implAddress) || !voteCheck.isVote) continue;
+          
+            const voteInfo = buildVoteInfo(tx, block, voteCheck);
+            votes.set(txHash, voteInfo);
+          
+            // Notify callback if provided
+            if (onVoteFound) {
+              onVoteFound(voteInfo);
+            }
+          }
         
-        return subBatchResults;
-      } catch (batchError) {
-        console.error(`Error processing batch ${start}-${end}:`, batchError.message);
-        return []; // Return empty array to continue with other batches
+          ledger.markDone(cursor, windowEnd);
+        } catch (error) {
+          const range = ledger.markFailed(cursor, windowEnd, error);
+          console.error(`Error resolving logs for blocks ${cursor}-${windowEnd} (attempt ${range.attempts}):`, error.message);
+        }
       }
-    });
     
-    // Wait for all current batches to complete
-    const batchResults = await Promise.all(batchPromises);
+      // Report progress
+      const now = Date.now();
+      if (now - lastProgressReport > 5000) {
+        const progress = (((windowEnd - fromBlock + 1) / (toBlock - fromBlock + 1)) * 100).toFixed(1);
+        console.log(`Log progress: ${progress}% (block ${windowEnd}, window ${windowSize}, ${votes.size} votes found)`);
+        lastProgressReport = now;
+      }
     
-    // Process results
-    for (const results of batchResults) {
-      for (const vote of results) {
-        votes.set(vote.transactionHash, vote);
+      if (saveProgress) {
+        saveProgressBlock(windowEnd, saveProgress);
       }
-    }
     
-    // Update progress
-    processedBatches += currentBatches.length;
-    totalBlocksProcessed += currentBatches.reduce((sum, { start, end }) => sum + (end - start + 1), 0);
+      cursor = windowEnd + 1;
+      windowSize = Math.min(LOG_WINDOW_MAX, windowSize * 2);
+      await sleep(REQUEST_THROTTLE_MS);
+    }
+  };
+  
+  await scanRange(fromBlock, toBlock);
+  
+  // Retry failed windows with backoff until they succeed or run out of attempts
+  await retryFailedRanges(ledger, fromBlock, toBlock, async (ranges) => {
+    for (const range of ranges) {
+      await scanRange(range.from, range.to);
+    }
+  });
+  
+  console.log(`Log scan complete. Found ${votes.size} votes across ${toBlock - fromBlock + 1} blocks.`);
+  warnFailedRanges(ledger, fromBlock, toBlock);
+  
+  return Array.from(votes.values());
+}
+
+/**
+ * Get a vote field for comparison, leaving out the 'internal-trace' label only
+ * trace discovery adds to the detection method
+ * @param {Object} vote Vote info
+ * @param {string} field Field name
+ * @returns {string} Comparable value
+ */
+function compareValue(vote, field) {
+  if (field === 'method') {
+    return String(vote.method).split(',').filter(method => method !== 'internal-trace').join(',');
+  }
+  return String(vote[field]);
+}
+
+/**
+ * Compare the votes found by two discovery methods
+ * @param {Array} expected Votes from the reference method (e.g. block scanning)
+ * @param {Array} actual Votes from the method being checked (e.g. log scanning)
+ * @returns {Object} Missing, unexpected and mismatched transaction hashes
+ */
+export function compareVoteResults(expected, actual) {
+  const expectedByHash = new Map(expected.map(vote => [vote.transactionHash, vote]));
+  const actualByHash = new Map(actual.map(vote => [vote.transactionHash, vote]));
+  const fields = ['blockNumber', 'from', 'to', 'value', 'method'];
+  
+  const missing = [];
+  const mismatched = [];
+  
+  for (const [txHash, vote] of expectedByHash) {
+    const other = actualByHash.get(txHash);
+    if (!other) {
+      missing.push(txHash);
+      continue;
+    }
     
-    // Update the last processed block
-    const lastBatchEnd = Math.max(...currentBatches.map(batch => batch.end));
-    lastProcessedBlock = Math.max(lastProcessedBlock, lastBatchEnd);
+    const differences = fields.filter(field => compareValue(vote, field) !== compareValue(other, field));
+    if (differences.length > 0) {
+      mismatched.push({ txHash, fields: differences });
+    }
+  }
+  
+  const unexpected = [...actualByHash.keys()].filter(txHash => !expectedByHash.has(txHash));
+  
+  return {
+    matches: missing.length === 0 && unexpected.length === 0 && mismatched.length === 0,
+    missing,
+    unexpected,
+    mismatched
+  };
+}
+
+/**
+ * Discover votes in a block range, preferring trace_filter and falling back to block scanning
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {string} primaryRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {string} fallbackRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string|boolean} saveProgress Checkpoint file to write progress to (true for the default round's)
+ * @param {string} mode Discovery mode: 'auto' (trace, then blocks), 'trace', 'logs' or 'blocks'
+ * @param {RangeLedger} ledger Ledger to record scanned ranges in (defaults to the checkpoint's, or an in-memory one)
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function discoverVotes(
+  fromBlock, 
+  toBlock, 
+  addresses = getRound().addresses, 
+  primaryRpc = null, 
+  fallbackRpc = null,
+  onVoteFound = null,
+  saveProgress = false,
+  mode = 'auto',
+  ledger = getScanLedger(saveProgress)
+) {
+  if (!DISCOVERY_MODES.includes(mode)) {
+    throw new Error(`Unknown discovery mode "${mode}" (expected ${DISCOVERY_MODES.join(', ')})`);
+  }
+  
+  if (mode === 'logs') {
+    return scanLogsForVotes(fromBlock, toBlock, addresses, null, null, onVoteFound, saveProgress, ledger);
+  }
+  
+  if (mode === 'trace') {
+    return scanTracesForVotes(fromBlock, toBlock, addresses, null, null, onVoteFound, saveProgress, ledger);
+  }
+  
+  if (mode === 'auto') {
+    const supported = await probeTraceFilter(fromBlock, addresses[0].toLowerCase(), addresses[1].toLowerCase());
     
-    // Report progress
-    const now = Date.now();
-    if (now - lastProgressReport > 5000) {
-      const progress = ((processedBatches / batches.length) * 100).toFixed(1);
-      console.log(`Progress: ${progress}% (${processedBatches}/${batches.length} batches, ${votes.size} votes found)`);
-      lastProgressReport = now;
+    if (supported) {
+      try {
+        return await scanTracesForVotes(fromBlock, toBlock, addresses, null, null, onVoteFound, saveProgress, ledger);
+      } catch (error) {
+        // The endpoint may have been swapped for one without tracing
+        if (!isMethodNotFoundError(error)) {
+          throw error;
+        }
+        console.log('trace_filter became unavailable, falling back to block scanning');
+      }
+    }
+  }
+  
+  return scanBlockRangeForVotes(fromBlock, toBlock, addresses, null, null, onVoteFound, saveProgress, ledger);
+}
+
+/**
+ * Scan every block in a range for votes. Each batch of blocks is recorded in the
+ * range ledger: failed batches are retried with backoff, and batches that still
+ * fail stay marked failed, holding back the checkpoint until they are re-scanned
+ * (on the next run, or with scan --repair).
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {string} primaryRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {string} fallbackRpc Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string|boolean} saveProgress Checkpoint file to write progress to (true for the default round's)
+ * @param {RangeLedger} ledger Ledger to record batches in (defaults to the checkpoint's, or an in-memory one)
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function scanBlockRangeForVotes(
+  fromBlock, 
+  toBlock, 
+  addresses = getRound().addresses, 
+  primaryRpc = null, 
+  fallbackRpc = null,
+  onVoteFound = null,
+  saveProgress = false,
+  ledger = getScanLedger(saveProgress)
+) {
+  console.log(`Scanning blocks ${fromBlock} to ${toBlock} for votes...`);
+  
+  // Make sure addresses are lowercase
+  const proxyAddress = addresses[0].toLowerCase();
+  const implAddress = addresses[1].toLowerCase();
+  
+  // Track votes by their hash
+  const votes = new Map();
+  
+  // Create batches for the parts of the range not scanned yet
+  const batches = [];
+  for (const gap of ledger.getUnfinished(fromBlock, toBlock)) {
+    for (let start = gap.from; start <= gap.to; start += BATCH_SIZE) {
+      const end = Math.min(start + BATCH_SIZE - 1, gap.to);
+      batches.push({ start, end });
+      ledger.markPending(start, end);
     }
+  }
+  
+  const skippedBlocks = (toBlock - fromBlock + 1) - batches.reduce((sum, { start, end }) => sum + (end - start + 1), 0);
+  if (skippedBlocks > 0) {
+    console.log(`Skipping ${skippedBlocks} blocks already scanned`);
+  }
+  
+  console.log(`Processing ${batches.length} batches using ${MAX_CONCURRENT_BATCHES} concurrent processes`);
+  
+  let totalBlocksProcessed = 0;
+  let lastProgressSave = Date.now();
+  
+  /**
+   * Scan batches with controlled concurrency, recording each in the ledger
+   * @param {Array<{start: number, end: number}>} batchList Batches to scan
+   */
+  const scanBatches = async (batchList) => {
+    let processedBatches = 0;
+    let lastProgressReport = Date.now();
     
-    // Save progress to disk if enabled
-    if (saveProgress && now - lastProgressSave > 30000) {
-      const saveFile = path.join(__dirname, 'data', 'last_processed_block.txt');
+    for (let i = 0; i < batchList.length; i += MAX_CONCURRENT_BATCHES) {
+      const currentBatches = batchList.slice(i, i + MAX_CONCURRENT_BATCHES);
+      const batchPromises = currentBatches.map(async ({ start, end }) => {
+        try {
+          const batchVotes = await scanBatch(start, end, proxyAddress, implAddress, onVoteFound);
+          ledger.markDone(start, end);
+          totalBlocksProcessed += end - start + 1;
+          return batchVotes;
+        } catch (batchError) {
+          const range = ledger.markFailed(start, end, batchError);
+          console.error(`Error processing batch ${start}-${end} (attempt ${range.attempts}):`, batchError.message);
+          return []; // Continue with other batches; the range is retried
+        }
+      });
+      
+      // Wait for all current batches to complete
+      const batchResults = await Promise.all(batchPromises);
       
-      // Ensure directory exists
-      const dir = path.dirname(saveFile);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+      // Process results
+      for (const results of batchResults) {
+        for (const vote of results) {
+          votes.set(vote.transactionHash, vote);
+        }
       }
       
-      fs.writeFileSync(saveFile, lastProcessedBlock.toString(), 'utf8');
-      console.log(`Saved progress to ${saveFile}: block ${lastProcessedBlock}`);
-      lastProgressSave = now;
-    }
-    
-    // Brief pause between batches to avoid overwhelming the node
-    if (i + MAX_CONCURRENT_BATCHES < batches.length) {
-      await sleep(REQUEST_THROTTLE_MS);
+      processedBatches += currentBatches.length;
+      
+      // Report progress
+      const now = Date.now();
+      if (now - lastProgressReport > 5000) {
+        const progress = ((processedBatches / batchList.length) * 100).toFixed(1);
+        console.log(`Progress: ${progress}% (${processedBatches}/${batchList.length} batches, ${votes.size} votes found)`);
+        lastProgressReport = now;
+      }
+      
+      // Save progress to disk if enabled (the checkpoint stops below the first unfinished batch)
+      if (saveProgress && now - lastProgressSave > 30000) {
+        const { saveFile, checkpoint } = saveProgressBlock(toBlock, saveProgress);
+        console.log(`Saved progress to ${saveFile}: block ${checkpoint}`);
+        lastProgressSave = now;
+      }
+      
+      // Brief pause between batches to avoid overwhelming the node
+      if (i + MAX_CONCURRENT_BATCHES < batchList.length) {
+        await sleep(REQUEST_THROTTLE_MS);
+      }
     }
-  }
+  };
+  
+  await scanBatches(batches);
+  
+  // Retry failed ranges with backoff until they succeed or run out of attempts
+  await retryFailedRanges(ledger, fromBlock, toBlock,
+    ranges => scanBatches(ranges.map(range => ({ start: range.from, end: range.to }))));
   
   console.log(`Scan complete. Found ${votes.size} votes across ${totalBlocksProcessed} blocks.`);
   
+  warnFailedRanges(ledger, fromBlock, toBlock);
+  
   // Final save if enabled
   if (saveProgress) {
-    const saveFile = path.join(__dirname, 'data', 'last_processed_block.txt');
-    fs.writeFileSync(saveFile, lastProcessedBlock.toString(), 'utf8');
-    console.log(`Saved final progress to ${saveFile}: block ${lastProcessedBlock}`);
+    const { saveFile, checkpoint } = saveProgressBlock(toBlock, saveProgress);
+    console.log(`Saved final progress to ${saveFile}: block ${checkpoint}`);
   }
   
   return Array.from(votes.values());
 }
 
 /**
-* Process a range of blocks to find votes
+ * Scan one batch of blocks for votes, throwing if any block could not be processed
+ * @param {number} start First block
+ * @param {number} end Last block
+ * @param {string} proxyAddress Proxy contract address
+ * @param {string} implAddress Implementation contract address
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @returns {Promise<Array>} Votes found in the batch
+ */
+async function scanBatch(start, end, proxyAddress, implAddress, onVoteFound) {
+  // Process smaller sub-batches (batched RPC requests handle a whole batch at once)
+  const batchVotes = [];
+  const subBatchSize = RPC_BATCH.SIZE > 1 ? BATCH_SIZE : SUB_BATCH_SIZE;
+  
+  for (let blockNum = start; blockNum <= end; blockNum += subBatchSize) {
+    const subBatchEnd = Math.min(blockNum + subBatchSize - 1, end);
+    
+    // Process sub-batch blocks
+    const subBatchVotes = await processBlockRange(
+      blockNum, 
+      subBatchEnd, 
+      proxyAddress, 
+      implAddress, 
+      onVoteFound
+    );
+    
+    batchVotes.push(...subBatchVotes);
+    
+    // Brief pause between sub-batches
+    await sleep(10);
+  }
+  
+  return batchVotes;
+}
+
+/**
+ * Re-scan the block ranges the ledger has marked failed, or left pending when
+ * an earlier run was interrupted
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string|boolean} saveProgress Checkpoint file whose ledger to repair (true for the default round's)
+ * @returns {Promise<{repaired: Array, stillFailed: Array, votes: Array}>} Ranges re-scanned, ranges still failing and the votes found
+ */
+export async function repairFailedRanges(
+  addresses = getRound().addresses, 
+  onVoteFound = null,
+  saveProgress = true
+) {
+  const ledger = getScanLedger(saveProgress);
+  const failedRanges = [...ledger.getRanges('failed'), ...ledger.getRanges('pending')]
+    .sort((a, b) => a.from - b.from)
+    .map(({ from, to }) => ({ from, to }));
+  const votes = new Map();
+  
+  if (failedRanges.length === 0) {
+    console.log('No failed block ranges to repair');
+  }
+  
+  for (const { from, to } of failedRanges) {
+    console.log(`Repairing block range ${from}-${to}...`);
+    const rangeVotes = await scanBlockRangeForVotes(from, to, addresses, null, null, onVoteFound, saveProgress);
+    for (const vote of rangeVotes) {
+      votes.set(vote.transactionHash, vote);
+    }
+  }
+  
+  const stillFailed = ledger.getRanges('failed');
+  return {
+    repaired: failedRanges.filter(range => !stillFailed.some(failed => failed.from <= range.to && failed.to >= range.from)),
+    stillFailed,
+    votes: Array.from(votes.values())
+  };
+}
+
+/**
+* Process a range of blocks to find votes, throwing if any block, transaction
+* or candidate receipt could not be fetched
 * @param {number} fromBlock Starting block
 * @param {number} toBlock Ending block
 * @param {string} proxyAddress Proxy contract address
 * @param {string} implAddress Implementation contract address
-* @param {ethers.Provider} provider Ethers provider
 * @param {Function} onVoteFound Callback for each vote found (optional)
 * @returns {Promise<Array>} Voting transactions
 */
-async function processBlockRange(fromBlock, toBlock, proxyAddress, implAddress, provider, onVoteFound) {
+async function processBlockRange(fromBlock, toBlock, proxyAddress, implAddress, onVoteFound) {
   const blockVotes = [];
+  const useBatching = RPC_BATCH.SIZE > 1;
   
-  // Get all blocks in parallel
-  const blockPromises = [];
+  const blockNumbers = [];
   for (let blockNum = fromBlock; blockNum <= toBlock; blockNum++) {
-      blockPromises.push(getBlockWithTransactions(blockNum, provider));
+    blockNumbers.push(blockNum);
   }
   
-  const blocks = await Promise.all(blockPromises);
+  // Get all blocks, packed into batch requests when the endpoint allows it
+  const blocks = useBatching
+    ? await getBlocksBatched(blockNumbers)
+    : await Promise.all(blockNumbers.map(blockNum => getBlockWithTransactions(blockNum)));
+  
+  // Fetch details for blocks that only came with transaction hashes
+  const hashesNeedingDetails = blocks
+    .filter(block => block && block._needsTransactionDetails)
+    .flatMap(block => block.transactions);
+  
+  let fetchedTransactions = new Map();
+  if (hashesNeedingDetails.length > 0) {
+    if (useBatching) {
+      fetchedTransactions = await getTransactionsBatched(hashesNeedingDetails);
+    } else {
+      for (const txHash of hashesNeedingDetails) {
+        const tx = await getTransaction(txHash);
+        if (tx) {
+          fetchedTransactions.set(txHash, tx);
+        }
+      }
+    }
+  }
   
-  // Process each block
+  // Filter for transactions that might be votes
+  const candidates = [];
   for (const block of blocks) {
-      if (!block || !block.transactions) continue;
-      
-      let transactions;
-      
-      // If we only have transaction hashes, fetch full details
-      if (block._needsTransactionDetails) {
-        transactions = [];
-        for (const txHash of block.transactions) {
-            try {
-            // Check cache first
-            const cacheKey = `tx-${txHash}`;
-            const cachedTx = txCache.get(cacheKey);
-            if (cachedTx) {
-                transactions.push(cachedTx);
-                continue;
-            }
-            
-            const tx = await provider.getTransaction(txHash);
-            if (tx) {
-                txCache.set(cacheKey, tx);
-                transactions.push(tx);
-            }
-            } catch (error) {
-            console.error(`Error fetching tx ${txHash}:`, error.message);
-            }
+    if (!block || !block.transactions) continue;
+    
+    // A transaction the block lists but the node did not return could be a vote.
+    // ethers keeps the full transactions of a prefetched block in prefetchedTransactions.
+    const transactions = block._needsTransactionDetails
+      ? block.transactions.map(txHash => {
+        const tx = fetchedTransactions.get(txHash);
+        if (!tx) {
+          throw new Error(`Transaction ${txHash} in block ${block.number} could not be fetched`);
         }
-      } else {
-        transactions = block.transactions;
+        return tx;
+      })
+      : block.prefetchedTransactions || block.transactions;
+    
+    for (const tx of transactions) {
+      if (isCandidateTransaction(tx, proxyAddress, implAddress)) {
+        candidates.push({ tx, block });
       }
+    }
+  }
+  
+  if (candidates.length === 0) {
+    return blockVotes;
+  }
+  
+  // Get receipts for all candidates at once when batching
+  const receipts = useBatching
+    ? await getReceiptsBatched(candidates.map(({ tx }) => tx.hash))
+    : null;
+  
+  // Check each potential vote
+  for (const { tx, block } of candidates) {
+    // Check receipt - a missing one fails the range instead of dropping a possible vote
+    const receipt = receipts ? receipts.get(tx.hash) : await getTransactionReceipt(tx.hash);
+    if (!receipt) {
+      throw new Error(`Receipt for ${tx.hash} in block ${block.number} could not be fetched`);
+    }
+    if (receipt.status !== 1) continue; // Skip failed transactions
+    
+    try {
+      // Determine if this is a vote using our enhanced criteria
+      const voteCheck = isVoteTransaction(tx, receipt, proxyAddress, implAddress);
       
-      // Filter for transactions that might be votes
-      const potentialVotes = transactions.filter(tx => 
-        typeof tx === 'object' && tx.to && (
-          tx.to.toLowerCase() === proxyAddress || 
-          (tx.to.toLowerCase() === implAddress && tx.data && tx.data.length > 2)
-        )
-      );
-      
-      if (potentialVotes.length > 0) {
-        // Check each potential vote
-        for (const tx of potentialVotes) {
-          try {
-            // Check receipt
-            const receipt = await getTransactionReceipt(tx.hash, provider);
-            if (!receipt || receipt.status !== 1) continue; // Skip failed transactions
-            
-            // Determine if this is a vote using our enhanced criteria
-            const voteCheck = isVoteTransaction(tx, receipt);
-            
-            if (voteCheck.isVote) {
-              const voteInfo = {
-                transactionHash: tx.hash,
-                blockNumber: Number(block.number),
-                from: tx.from,
-                to: tx.to,
-                value: voteCheck.valueInSei,
-                voteAmount: parseFloat(voteCheck.valueInSei), // For consistent type
-                timestamp: new Date(Number(block.timestamp) * 1000),
-                method: voteCheck.detectionMethod,
-                success: true
-              };
-              
-              blockVotes.push(voteInfo);
-              
-              // Notify callback if provided
-              if (onVoteFound) {
-                onVoteFound(voteInfo);
-              }
-            }
-          } catch (txError) {
-            console.error(`Error processing transaction ${tx.hash}:`, txError.message);
-          }
+      if (voteCheck.isVote) {
+        const voteInfo = buildVoteInfo(tx, block, voteCheck);
+        
+        blockVotes.push(voteInfo);
+        
+        // Notify callback if provided
+        if (onVoteFound) {
+          onVoteFound(voteInfo);
         }
       }
+    } catch (txError) {
+      console.error(`Error processing transaction ${tx.hash}:`, txError.message);
+    }
   }
   
   return blockVotes;
 }
 
+/**
+ * Check a single transaction against the vote detection criteria
+ * @param {string} txHash Transaction hash
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @returns {Promise<Object>} Verification result, with the vote record if it is a vote
+ */
+export async function verifyVoteTransaction(
+  txHash,
+  addresses = getRound().addresses
+) {
+  const proxyAddress = addresses[0].toLowerCase();
+  const implAddress = addresses[1].toLowerCase();
+  
+  const tx = await getTransaction(txHash);
+  if (!tx) {
+    return { txHash, found: false, isVote: false };
+  }
+  
+  const receipt = await getTransactionReceipt(txHash);
+  const block = await getBlockHeader(Number(tx.blockNumber));
+  const voteCheck = isVoteTransaction(tx, receipt, proxyAddress, implAddress);
+  const success = !!receipt && receipt.status === 1;
+  const isVote = success && voteCheck.isVote;
+  
+  return {
+    txHash,
+    found: true,
+    success,
+    isVote,
+    detectionMethod: voteCheck.detectionMethod,
+    blockNumber: Number(tx.blockNumber),
+    from: tx.from,
+    to: tx.to,
+    value: voteCheck.valueInSei,
+    vote: isVote ? buildVoteInfo(tx, block, voteCheck) : null
+  };
+}
+
+/**
+ * Discover the votes of a configured round in a block range
+ * @param {string} roundId Round id (defaults to the active round)
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {string} mode Discovery mode: 'auto', 'trace', 'logs' or 'blocks'
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function scanRoundForVotes(roundId, fromBlock, toBlock, onVoteFound = null, mode = 'auto') {
+  const round = getRound(roundId);
+  console.log(`Scanning round ${round.id} (${round.name})`);
+  
+  return discoverVotes(
+    fromBlock,
+    toBlock,
+    round.addresses,
+    null,
+    null,
+    onVoteFound,
+    false,
+    mode
+  );
+}
+
 // Export the required functions and caches
 export { clearCaches, getCacheStats, limitCacheSizes };
\ No newline at end of file
@@ -56,6 +56,11 @@ export class Cache {
     this.timestamps.set(key, Date.now());
   }
   
+  delete(key) {
+    this.cache.delete(key);
+    this.timestamps.delete(key);
+  }
+  
   clear() {
     this.cache.clear();
     this.timestamps.clear();
@@ -0,0 +1,743 @@
+#!/usr/bin/env node
+// cli.js - Unified command line interface for SEI Voting Monitor
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+// Import configuration
+import { applyRuntimeOverrides } from './config.js';
+import { getRound, getRoundPaths } from './rounds.js';
+import { openVoteStore } from './voteStore.js';
+import { openRangeLedger } from './rangeLedger.js';
+import { openCoverage } from './coverage.js';
+import { getCurrentBlockNumber, probeEndpoints } from './endpointPool.js';
+import { formatSeiBalance } from './utils.js';
+
+// Import functionality modules
+import * as walletBalances from './walletBalances.js';
+import { scanRoundForVotes, verifyVoteTransaction, compareVoteResults, DISCOVERY_MODES } from './blockScanner.js';
+import { findStartBlock } from './findStartBlock.js';
+import { generateReport } from './generateReport.js';
+import { analyzeFunding } from './sybilAnalysis.js';
+import { listReportSnapshots, diffReportSnapshots } from './reportSnapshots.js';
+import { schedulePeriodicChecks, repairScanRanges, rescanCoverageGaps } from './index.js';
+
+// Keep a handle on stdout before --json redirects progress logging
+const print = console.log.bind(console);
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = {
+    round: { type: 'string' },
+    rpc: { type: 'string' },
+    'data-dir': { type: 'string' },
+    'rpc-batch-size': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Print a result as JSON (BigInt-safe)
+ * @param {any} result Result to print
+ */
+function printJson(result) {
+    print(JSON.stringify(result, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+}
+
+/**
+ * Print the decoded allocations of a vote
+ * @param {Array<Object>} allocations Allocations ({project, token, amount})
+ * @param {string|null} decodedFrom How they were decoded
+ */
+function printAllocations(allocations, decodedFrom) {
+    if (!allocations || allocations.length === 0) {
+        print('  Allocations: not decoded');
+        return;
+    }
+
+    print(`  Allocations (from ${decodedFrom}${decodedFrom === 'heuristic' ? ', a guess - not in the project report' : ''}):`);
+    for (const allocation of allocations) {
+        print(`    ${allocation.project ?? 'unknown project'}: ${allocation.amount ?? '?'} ${allocation.token ?? '(native SEI, wei)'}`);
+    }
+}
+
+/**
+ * Print an eligibility decision trace
+ * @param {string} title Section title
+ * @param {Object|null} decision Decision trace
+ * @param {boolean|null} outcome Recorded outcome
+ */
+function printDecision(title, decision, outcome) {
+    print(`\n${title}: ${outcome === null ? 'pending' : outcome ? 'valid' : 'invalid'}`);
+    if (!decision) {
+        print('  No decision trace recorded');
+        return;
+    }
+
+    print(`  Rule: ${decision.rule}`);
+    print(`  Decided at: ${decision.decidedAt}`);
+    if (decision.error) {
+        print(`  Error: ${decision.error}`);
+    }
+    for (const check of decision.checks) {
+        const required = `required ${formatSeiBalance(check.required)} SEI`;
+        if (check.passed === null || check.balance === null) {
+            print(`  UNKNOWN ${check.name} at block ${check.blockHeight}: balance unknown (queued for retry) (${required})`);
+        } else {
+            print(`  ${check.passed ? 'PASS' : 'FAIL'} ${check.name} at block ${check.blockHeight}: ${formatSeiBalance(check.balance)} SEI (${required})`);
+        }
+        if (check.source) {
+            print(`       ${check.source.method} via ${check.source.endpoint}, raw amount ${check.source.rawAmount}, queried ${check.source.timestamp}`);
+        } else if (check.lookupStatus === 'failed') {
+            print('       all lookup methods failed');
+        } else {
+            print('       source not recorded');
+        }
+        for (const { method, error } of check.errors) {
+            print(`       ${method} failed: ${error}`);
+        }
+        if (check.window) {
+            print(`       window blocks ${check.window.fromBlock}-${check.window.toBlock}, ${check.window.points} points${check.window.complete ? '' : ' (incomplete)'}`);
+        }
+    }
+}
+
+/**
+ * Print the balances sampled around a vote to detect a borrowed balance
+ * @param {Object|null} borrowed Borrowed balance check of the vote
+ */
+function printBorrowedBalance(borrowed) {
+    if (!borrowed) {
+        return;
+    }
+
+    const outcome = borrowed.flagged === null
+        ? 'unknown'
+        : borrowed.flagged ? 'flagged (below the minimum before and after the vote)' : 'not flagged';
+    print(`\nBorrowed balance: ${outcome}`);
+    print(`  Window: ${borrowed.lookback} blocks before, ${borrowed.lookahead} blocks after${borrowed.complete ? '' : ' (checked again on the next report)'}`);
+    for (const sample of borrowed.samples) {
+        print(`  Block ${sample.blockNumber}: ${sample.balance === null ? 'unknown' : `${formatSeiBalance(sample.balance)} SEI`}`);
+    }
+}
+
+/**
+ * Print the differences between two report snapshots
+ * @param {Object} diff Result of diffReportSnapshots
+ */
+function printReportDiff({ from, to, added, removed, flipped, totals }) {
+    const outcome = (value) => value === null ? 'unknown' : value ? 'valid' : 'invalid';
+    const sei = (balance) => balance === null ? '?' : balance;
+
+    print(`Comparing report ${from.id} (${from.status}) with ${to.id} (${to.status})`);
+
+    const totalEntries = Object.entries(totals);
+    print(totalEntries.length > 0 ? '\nTotals:' : '\nTotals: unchanged');
+    for (const [key, { from: before, to: after, change }] of totalEntries) {
+        print(`  ${key}: ${before} -> ${after} (${change > 0 ? '+' : ''}${change})`);
+    }
+
+    print(`\nValidity flips: ${flipped.length}`);
+    for (const vote of flipped) {
+        print(`  ${vote.txHash} (${vote.evmAddress}, block ${vote.blockNumber}): ${outcome(vote.from.valid)} -> ${outcome(vote.to.valid)}`);
+        for (const field of ['balanceAtVote', 'balanceBeforeVote', 'finalBalance', 'minBalance']) {
+            if (vote.from[field] !== vote.to[field]) {
+                print(`    ${field}: ${sei(vote.from[field])} -> ${sei(vote.to[field])} SEI`);
+            }
+        }
+    }
+
+    print(`\nAdded votes: ${added.length}`);
+    for (const vote of added) {
+        print(`  ${vote.txHash} (${vote.evmAddress}, block ${vote.blockNumber}): ${outcome(vote.valid)}`);
+    }
+    print(`\nRemoved votes: ${removed.length}`);
+    for (const vote of removed) {
+        print(`  ${vote.txHash} (${vote.evmAddress}, block ${vote.blockNumber}): was ${outcome(vote.valid)}`);
+    }
+}
+
+/**
+ * Parse a comma-separated list option
+ * @param {string|undefined} value Raw option value
+ * @returns {Array<string>|undefined} List items, or undefined if the option was not given
+ */
+function parseListOption(value) {
+    return value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a required integer option
+ * @param {string} value Raw option value
+ * @param {string} name Option name (for the error message)
+ * @returns {number} Parsed integer
+ */
+function parseBlockOption(value, name) {
+    const parsed = Number(value);
+    if (value === undefined || !Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`--${name} must be a block number`);
+    }
+    return parsed;
+}
+
+// Subcommands - each wraps an existing exported function
+const COMMANDS = {
+    monitor: {
+        usage: 'monitor',
+        description: 'Backfill historical votes and monitor new ones until the round ends',
+        longRunning: true,
+        run: async ({ round }) => {
+            await schedulePeriodicChecks(round.id);
+            return null;
+        }
+    },
+
+    scan: {
+        usage: 'scan --from <block> --to <block> [--mode auto|trace|logs|blocks] [--compare] | --repair',
+        description: 'Discover votes in a block range (--compare: cross-check against block scanning), or re-scan the ranges that failed',
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            mode: { type: 'string', default: 'auto' },
+            compare: { type: 'boolean', default: false },
+            repair: { type: 'boolean', default: false }
+        },
+        run: async ({ round, values }) => {
+            if (!DISCOVERY_MODES.includes(values.mode)) {
+                throw new Error(`--mode must be one of ${DISCOVERY_MODES.join(', ')}`);
+            }
+
+            if (values.repair) {
+                const { repaired, stillFailed, votes } = await repairScanRanges(round.id);
+                return { round: round.id, repair: true, repaired, stillFailed, votes };
+            }
+
+            const fromBlock = parseBlockOption(values.from, 'from');
+            const toBlock = parseBlockOption(values.to, 'to');
+            if (toBlock < fromBlock) {
+                throw new Error('--to must not be lower than --from');
+            }
+
+            const votes = await scanRoundForVotes(round.id, fromBlock, toBlock, null, values.mode);
+            const result = { round: round.id, fromBlock, toBlock, mode: values.mode, votes };
+
+            if (values.compare) {
+                // Block scanning examines every transaction, so it is the reference
+                const reference = await scanRoundForVotes(round.id, fromBlock, toBlock, null, 'blocks');
+                result.comparison = compareVoteResults(reference, votes);
+                if (!result.comparison.matches) {
+                    process.exitCode = 2;
+                }
+            }
+
+            return result;
+        },
+        format: ({ repair, repaired, stillFailed, fromBlock, toBlock, mode, votes, comparison }) => {
+            if (repair) {
+                print(`Repaired ${repaired.length} block ranges, found ${votes.length} votes`);
+                for (const range of stillFailed) {
+                    print(`  Still failing: ${range.from}-${range.to} (${range.attempts} attempts): ${range.lastError}`);
+                }
+            } else {
+                print(`Found ${votes.length} votes in blocks ${fromBlock} to ${toBlock}`);
+            }
+            for (const vote of votes) {
+                print(`  ${vote.transactionHash} block ${vote.blockNumber} from ${vote.from} (${vote.value} SEI, ${vote.method})`);
+            }
+
+            if (comparison) {
+                print(comparison.matches
+                    ? `\nBlock scanning found the same votes as ${mode} discovery`
+                    : `\n${mode} discovery differs from block scanning:`);
+                for (const txHash of comparison.missing) {
+                    print(`  Missed: ${txHash}`);
+                }
+                for (const txHash of comparison.unexpected) {
+                    print(`  Not found by block scanning: ${txHash}`);
+                }
+                for (const { txHash, fields } of comparison.mismatched) {
+                    print(`  Different ${fields.join(', ')}: ${txHash}`);
+                }
+            }
+        }
+    },
+
+    coverage: {
+        usage: 'coverage [--from <block>] [--to <block>] [--rescan]',
+        description: 'List blocks of the voting window no scanner examined, and optionally rescan them',
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            rescan: { type: 'boolean', default: false }
+        },
+        run: async ({ round, paths, values }) => {
+            // Voting window: round start to round end, or to the current block while voting is open
+            const fromBlock = values.from !== undefined
+                ? parseBlockOption(values.from, 'from')
+                : await findStartBlock(round.votingStartDate);
+            const toBlock = values.to !== undefined
+                ? parseBlockOption(values.to, 'to')
+                : new Date() >= round.votingEndDate
+                    ? await findStartBlock(round.votingEndDate)
+                    : await getCurrentBlockNumber();
+            if (toBlock < fromBlock) {
+                throw new Error('--to must not be lower than --from');
+            }
+
+            const before = openCoverage(paths.COVERAGE_FILE).getReport(fromBlock, toBlock);
+            let report = before;
+            let rescanned = null;
+            if (values.rescan && before.gaps.length > 0) {
+                const votes = await rescanCoverageGaps(round.id, before.gaps);
+                report = openCoverage(paths.COVERAGE_FILE).getReport(fromBlock, toBlock);
+                rescanned = { gaps: before.gaps, votes };
+            }
+
+            // Unexamined blocks mean votes may be missing; signal it to scripts
+            if (report.gaps.length > 0) {
+                process.exitCode = 2;
+            }
+
+            return { round: round.id, ...report, rescanned };
+        },
+        format: ({ fromBlock, toBlock, totalBlocks, coveredBlocks, missingBlocks, bySource, gaps, rescanned }) => {
+            if (rescanned) {
+                print(`Rescanned ${rescanned.gaps.length} gaps, found ${rescanned.votes.length} votes`);
+            }
+            print(`Coverage of blocks ${fromBlock} to ${toBlock}: ${coveredBlocks}/${totalBlocks} examined, ${missingBlocks} missing`);
+            for (const [source, blocks] of Object.entries(bySource)) {
+                print(`  ${source.padEnd(10)} ${blocks} blocks`);
+            }
+            if (gaps.length > 0) {
+                print('Gaps:');
+                for (const gap of gaps) {
+                    print(`  ${gap.from}-${gap.to} (${gap.to - gap.from + 1} blocks)`);
+                }
+            }
+        }
+    },
+
+    'find-block': {
+        usage: 'find-block --date <ISO date>',
+        description: 'Find the block closest to a date (defaults to the round start)',
+        options: {
+            date: { type: 'string' }
+        },
+        run: async ({ round, values }) => {
+            const date = values.date ? new Date(values.date) : round.votingStartDate;
+            if (isNaN(date.getTime())) {
+                throw new Error('--date must be a valid date');
+            }
+
+            const blockNumber = await findStartBlock(date);
+            return { date: date.toISOString(), blockNumber };
+        },
+        format: ({ date, blockNumber }) => print(`Block for ${date}: ${blockNumber}`)
+    },
+
+    balances: {
+        usage: 'balances --address <0x...|sei1...> [--block <block>]',
+        description: 'Look up the SEI balance of an address at a block',
+        options: {
+            address: { type: 'string' },
+            block: { type: 'string' }
+        },
+        run: async ({ values }) => {
+            if (!values.address) {
+                throw new Error('--address is required');
+            }
+
+            const blockNumber = values.block !== undefined
+                ? parseBlockOption(values.block, 'block')
+                : await getCurrentBlockNumber();
+
+            const cosmosAddress = values.address.startsWith('0x')
+                ? await walletBalances.convertEvmToCosmos(values.address)
+                : values.address;
+
+            const lookup = await walletBalances.lookupSeiBalance(cosmosAddress, blockNumber);
+
+            return {
+                address: values.address,
+                cosmosAddress,
+                blockNumber,
+                status: lookup.status,
+                balanceUsei: lookup.balance,
+                balance: lookup.status === 'ok' ? formatSeiBalance(lookup.balance) : null,
+                source: lookup.source,
+                errors: lookup.errors
+            };
+        },
+        format: ({ address, cosmosAddress, blockNumber, status, balance, source, errors }) => {
+            if (status !== 'ok') {
+                print(`${address} (${cosmosAddress}) at block ${blockNumber}: lookup failed`);
+                errors.forEach(({ method, error }) => print(`  ${method}: ${error}`));
+                return;
+            }
+            print(`${address} (${cosmosAddress}) at block ${blockNumber}: ${balance} SEI`);
+            print(`  Source: ${source.method} via ${source.endpoint} (raw amount ${source.rawAmount})`);
+        }
+    },
+
+    report: {
+        usage: 'report [--format csv|json] [--strict] [--vote-columns <keys>] [--wallet-columns <keys>] [--human-headers] | report diff [<a>] [<b>] | report snapshots',
+        description: 'Check final balances and generate the round reports, or compare saved report snapshots',
+        options: {
+            format: { type: 'string', default: 'csv' },
+            strict: { type: 'boolean' },
+            'vote-columns': { type: 'string' },
+            'wallet-columns': { type: 'string' },
+            'human-headers': { type: 'boolean' }
+        },
+        run: async ({ round, paths, values, positionals }) => {
+            if (!['csv', 'json'].includes(values.format)) {
+                throw new Error('--format must be csv or json');
+            }
+
+            if (positionals[0] === 'snapshots') {
+                return { snapshots: listReportSnapshots(paths) };
+            }
+            if (positionals[0] === 'diff') {
+                return { diff: diffReportSnapshots(paths, positionals[1] ?? 'previous', positionals[2] ?? 'latest') };
+            }
+            if (positionals.length > 0) {
+                throw new Error(`Unknown report action: ${positionals[0]} (expected diff or snapshots)`);
+            }
+
+            const summary = await generateReport(round.id, values.strict ?? null, {
+                voteColumns: parseListOption(values['vote-columns']),
+                walletColumns: parseListOption(values['wallet-columns']),
+                humanHeaders: values['human-headers']
+            });
+
+            // A report with unresolved votes is provisional; signal it to scripts
+            if (summary.unresolvedVotes > 0) {
+                process.exitCode = 2;
+            }
+
+            if (values.format === 'json') {
+                return JSON.parse(fs.readFileSync(paths.REPORT.STATS, 'utf8'));
+            }
+
+            return {
+                votes: paths.REPORT.VOTES,
+                wallets: paths.REPORT.WALLETS,
+                statistics: paths.REPORT.STATS,
+                html: paths.REPORT.HTML,
+                unresolved: paths.REPORT.UNRESOLVED,
+                projects: paths.REPORT.PROJECTS,
+                projectsJson: paths.REPORT.PROJECTS_JSON,
+                snapshot: summary.snapshot,
+                unresolvedVotes: summary.unresolvedVotes
+            };
+        },
+        format: (result, { values }) => {
+            if (values.format === 'json') {
+                printJson(result);
+                return;
+            }
+            if (result.snapshots) {
+                print(result.snapshots.length > 0 ? result.snapshots.join('\n') : 'No report snapshots saved yet');
+                return;
+            }
+            if (result.diff) {
+                printReportDiff(result.diff);
+                return;
+            }
+            print(`Vote report: ${result.votes}`);
+            print(`Wallet report: ${result.wallets}`);
+            print(`Statistics: ${result.statistics}`);
+            print(`HTML report: ${result.html}`);
+            print(`Unresolved votes: ${result.unresolved}`);
+            print(`Project report: ${result.projects} (${result.projectsJson})`);
+            print(`Snapshot: ${result.snapshot}`);
+            if (result.unresolvedVotes > 0) {
+                print(`\nPROVISIONAL: ${result.unresolvedVotes} votes have unresolved balance lookups; run the report again once they resolve`);
+            }
+        }
+    },
+
+    sybil: {
+        usage: 'sybil [--lookback <blocks>] [--refresh]',
+        description: 'Trace who funded each voting wallet and report clusters of wallets sharing funders',
+        options: {
+            lookback: { type: 'string' },
+            refresh: { type: 'boolean', default: false }
+        },
+        run: async ({ round, values }) => {
+            const lookbackBlocks = values.lookback !== undefined
+                ? parseBlockOption(values.lookback, 'lookback')
+                : undefined;
+
+            return await analyzeFunding(round.id, values.refresh, lookbackBlocks);
+        },
+        format: (result) => {
+            print(`Analyzed ${result.walletsAnalyzed} wallets (${result.walletsFundedInWindow} funded within ${result.lookbackBlocks} blocks of their first vote)`);
+            if (result.incompleteWallets > 0) {
+                print(`  ${result.incompleteWallets} wallets could not be fully traced; run again to retry them`);
+            }
+            print(`Found ${result.totalClusters} clusters covering ${result.clusteredWallets} wallets`);
+            for (const cluster of result.topClusters) {
+                const funders = cluster.funders.map(funder => funder.address).join(', ');
+                print(`  #${cluster.id}: ${cluster.size} wallets, ${cluster.votes.total} votes (${cluster.votes.valid} valid), funded in blocks ${cluster.timing.firstFundingBlock}-${cluster.timing.lastFundingBlock} by ${funders}`);
+            }
+            print(`Cluster report: ${result.csvFile} (${result.jsonFile})`);
+        }
+    },
+
+    'import-csv': {
+        usage: 'import-csv <file> [--column <name>] [--note-column <name>]',
+        description: 'Load reviewer overrides from an edited vote report into the store',
+        options: {
+            column: { type: 'string', default: 'reviewOverride' },
+            'note-column': { type: 'string', default: 'reviewNote' }
+        },
+        run: async ({ round, paths, positionals, values }) => {
+            const file = positionals[0];
+            if (!file) {
+                throw new Error('import-csv requires the path of an edited vote report');
+            }
+            if (!fs.existsSync(file)) {
+                throw new Error(`${file} does not exist`);
+            }
+
+            const result = walletBalances.importReviewOverrides(file, openVoteStore(paths), values.column, values['note-column']);
+
+            // Rows that could not be applied need the reviewer's attention; signal it to scripts
+            if (result.rejected.length > 0 || result.unknownVotes.length > 0) {
+                process.exitCode = 2;
+            }
+            return { round: round.id, file, ...result };
+        },
+        format: ({ file, rows, set, cleared, unchanged, unknownVotes, rejected }) => {
+            print(`Read ${rows} rows from ${file}: ${set} overrides set, ${cleared} cleared, ${unchanged} unchanged`);
+            for (const txHash of unknownVotes) {
+                print(`  Not a recorded vote of this round: ${txHash || '(empty txHash)'}`);
+            }
+            for (const { txHash, value } of rejected) {
+                print(`  Unreadable override for ${txHash}: "${value}" (use true/valid or false/invalid, or leave empty)`);
+            }
+            if (set + cleared > 0) {
+                print('Run the report again to apply the overrides');
+            }
+        }
+    },
+
+    'verify-vote': {
+        usage: 'verify-vote <txHash>',
+        description: 'Check whether a transaction is a vote and show its recorded status',
+        run: async ({ round, paths, positionals }) => {
+            const txHash = positionals[0];
+            if (!txHash || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+                throw new Error('verify-vote requires a transaction hash');
+            }
+
+            const verification = await verifyVoteTransaction(txHash, round.addresses);
+
+            return { ...verification, record: walletBalances.getVoteRecord(txHash, openVoteStore(paths)) };
+        },
+        format: (result) => {
+            if (!result.found) {
+                print(`Transaction ${result.txHash} not found`);
+                return;
+            }
+            print(`Transaction ${result.txHash}`);
+            print(`  Block: ${result.blockNumber}`);
+            print(`  From: ${result.from}`);
+            print(`  To: ${result.to}`);
+            print(`  Value: ${result.value} SEI`);
+            print(`  Succeeded: ${result.success}`);
+            print(`  Is vote: ${result.isVote} (${result.detectionMethod})`);
+            if (result.vote) {
+                printAllocations(result.vote.allocations, result.vote.decodedFrom);
+            }
+            if (result.record) {
+                print(`  Recorded: isValid=${result.record.isValid}, finalIsValid=${result.record.finalIsValid}`);
+            } else {
+                print('  Recorded: no');
+            }
+        }
+    },
+
+    explain: {
+        usage: 'explain <txHash>',
+        description: 'Show the balance checks and sources behind a vote\'s eligibility',
+        run: async ({ paths, positionals }) => {
+            const txHash = positionals[0];
+            if (!txHash || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+                throw new Error('explain requires a transaction hash');
+            }
+
+            const explanation = walletBalances.explainVote(txHash, openVoteStore(paths));
+            if (!explanation) {
+                throw new Error(`Vote ${txHash} is not recorded for this round`);
+            }
+            return explanation;
+        },
+        format: (result) => {
+            print(`Vote ${result.txHash}`);
+            print(`  Voter: ${result.evmAddress} (${result.cosmosAddress})`);
+            print(`  Block: ${result.blockNumber} at ${result.timestamp}`);
+            printAllocations(result.allocations, result.decodedFrom);
+            printDecision('Initial decision', result.initialDecision, result.isValid);
+            printDecision('Final decision', result.finalDecision, result.finalIsValid);
+            printBorrowedBalance(result.borrowedBalance);
+            if (result.reviewOverride) {
+                print(`\nReviewer override: ${result.reviewOverride.isValid ? 'valid' : 'invalid'} (imported ${result.reviewOverride.importedAt} from ${result.reviewOverride.file})`);
+                if (result.reviewOverride.note) {
+                    print(`  Note: ${result.reviewOverride.note}`);
+                }
+            }
+        }
+    },
+
+    status: {
+        usage: 'status',
+        description: 'Show round configuration, checkpoint, stored data counts and endpoint health',
+        run: async ({ round, paths }) => {
+            const lastProcessedBlock = fs.existsSync(paths.LAST_BLOCK_FILE)
+                ? parseInt(fs.readFileSync(paths.LAST_BLOCK_FILE, 'utf8'))
+                : null;
+
+            const endpoints = await probeEndpoints();
+
+            let currentBlock = null;
+            try {
+                currentBlock = await getCurrentBlockNumber();
+            } catch (error) {
+                console.error('Could not reach the EVM RPC endpoints:', error.message);
+            }
+
+            const now = new Date();
+            return {
+                round: round.id,
+                name: round.name,
+                votingPeriod: {
+                    start: round.votingStartDate.toISOString(),
+                    end: round.votingEndDate.toISOString(),
+                    state: now < round.votingStartDate ? 'not-started' : now < round.votingEndDate ? 'open' : 'ended'
+                },
+                dataDir: paths.DATA_DIR,
+                monitorRunning: fs.existsSync(paths.LOCK_FILE),
+                lastProcessedBlock,
+                currentBlock,
+                blocksBehind: lastProcessedBlock !== null && currentBlock !== null ? currentBlock - lastProcessedBlock : null,
+                scanRanges: openRangeLedger(paths.RANGE_LEDGER_FILE).getSummary(),
+                data: walletBalances.getVotingSummary(openVoteStore(paths)),
+                endpoints
+            };
+        },
+        format: (status) => {
+            print(`Round: ${status.round} (${status.name})`);
+            print(`Voting period: ${status.votingPeriod.start} to ${status.votingPeriod.end} [${status.votingPeriod.state}]`);
+            print(`Data directory: ${status.dataDir}`);
+            print(`Monitor running: ${status.monitorRunning}`);
+            print(`Last processed block: ${status.lastProcessedBlock ?? 'none'}`);
+            print(`Current block: ${status.currentBlock ?? 'unknown'}${status.blocksBehind !== null ? ` (${status.blocksBehind} behind)` : ''}`);
+            if (status.scanRanges.failed.ranges > 0 || status.scanRanges.pending.ranges > 0) {
+                print(`Scan ranges: ${status.scanRanges.failed.ranges} failed (${status.scanRanges.failed.blocks} blocks), ${status.scanRanges.pending.ranges} pending (re-scanned by "scan --repair")`);
+            }
+            print(`Votes: ${status.data.totalVotes} (${status.data.initiallyValidVotes} initially valid, ${status.data.finalValidVotes} final valid, ${status.data.unresolvedVotes} unresolved)`);
+            print(`Wallets: ${status.data.totalWallets}`);
+            print(`Finalized: ${status.data.finalized}`);
+            print('Endpoints:');
+            for (const [kind, endpoints] of Object.entries(status.endpoints)) {
+                for (const endpoint of endpoints) {
+                    const health = endpoint.ejected
+                        ? `ejected until ${endpoint.ejectedUntil}`
+                        : `${endpoint.latencyMs ?? '-'}ms, error rate ${endpoint.errorRate}, head ${endpoint.headHeight ?? 'unknown'}`;
+                    const history = endpoint.earliestHeight !== null ? `, state from ${endpoint.earliestHeight}` : '';
+                    print(`  ${kind.padEnd(7)} ${endpoint.url} (${health}${history}${endpoint.rateLimited > 0 ? `, rate limited ${endpoint.rateLimited}x` : ''})`);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+    print('Usage: sei-voting-monitor <command> [options]\n');
+    print('Commands:');
+    for (const command of Object.values(COMMANDS)) {
+        print(`  ${command.usage.padEnd(72)} ${command.description}`);
+    }
+    print('\nGlobal options:');
+    print('  --round <id>       Round from rounds.json (default: SEI_ROUND or defaultRound)');
+    print('  --rpc <url>        Preferred EVM RPC endpoint');
+    print('  --data-dir <dir>   Data directory (default: ./data)');
+    print('  --rpc-batch-size <n>  Calls per JSON-RPC batch when scanning blocks (default: 50, 1 disables batching)');
+    print('  --json             Print the result as JSON (progress goes to stderr)');
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv Command line arguments (without node and script)
+ */
+export async function main(argv = process.argv.slice(2)) {
+    const [commandName, ...args] = argv;
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        printUsage();
+        if (commandName && !['help', '--help', '-h'].includes(commandName)) {
+            console.error(`\nUnknown command: ${commandName}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const { values, positionals } = parseArgs({
+        args,
+        options: { ...GLOBAL_OPTIONS, ...(command.options || {}) },
+        allowPositionals: true
+    });
+
+    if (values.help) {
+        print(`Usage: sei-voting-monitor ${command.usage}\n\n${command.description}`);
+        return;
+    }
+
+    // Keep stdout clean for the JSON result
+    if (values.json) {
+        console.log = (...logArgs) => console.error(...logArgs);
+    }
+
+    const rpcBatchSize = values['rpc-batch-size'] !== undefined ? Number(values['rpc-batch-size']) : undefined;
+    if (rpcBatchSize !== undefined && (!Number.isInteger(rpcBatchSize) || rpcBatchSize < 1)) {
+        throw new Error('--rpc-batch-size must be a positive integer');
+    }
+
+    applyRuntimeOverrides({ evmRpc: values.rpc, dataDir: values['data-dir'], rpcBatchSize });
+
+    const round = getRound(values.round);
+    const paths = getRoundPaths(round);
+    const context = { round, paths, values, positionals };
+
+    const result = await command.run(context);
+    if (result === null) return;
+
+    if (values.json || !command.format) {
+        printJson(result);
+    } else {
+        command.format(result, context);
+    }
+}
+
+// Run the CLI if this file is executed directly
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))) {
+    const command = COMMANDS[process.argv[2]];
+    
+    main()
+        .then(() => {
+            // Providers keep timers alive; one-shot commands exit once their result is printed
+            if (!command?.longRunning) {
+                process.exit(process.exitCode || 0);
+            }
+        })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        });
+}
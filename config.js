@@ -2,42 +2,77 @@
  * Central configuration for SEI Voting Monitor
  */
 
-// Contract addresses - normalized to lowercase for consistency
-export const PROXY_ADDRESS = '0x1E18cdce56B3754c4Dca34CB3a7439C24E8363de'.toLowerCase();
-export const IMPLEMENTATION_ADDRESS = '0x05b939069163891997C879288f0BaaC3faaf4500'.toLowerCase();
-export const VOTE_METHOD_SIG = '0xc7b8896b'; // Verified vote method signature
-export const MIN_SEI_REQUIRED = 100; // 100 SEI minimum balance
+import { fileURLToPath } from 'url';
 
-// Voting period dates in UTC 
-export const VOTING_START_DATE = new Date('2025/02/27 05:00Z');
-export const VOTING_END_DATE = new Date('2025/03/12 17:00Z');
+// Round definitions (contract addresses, voting window, minimum balance) live in rounds.json
+// and are loaded through rounds.js
 
 // SEI blockchain parameters
 export const SEI_BLOCK_TIME_MS = 400; // Average block time in milliseconds
 export const USEI_TO_SEI = 1000000; // 1 SEI = 1,000,000 uSEI
 export const WEI_DECIMALS = 18;     // 1 SEI = 10^18 wei (asei)
 export const DISPLAY_DECIMALS = 6;  // Keep 6 decimal places for display
+export const ASEI_PER_USEI = 1000000000000n; // 1 uSEI = 10^12 asei (EVM balances are truncated to whole uSEI)
 
-// RPC endpoints with fallback options
+/**
+ * Read a comma-separated endpoint list from the environment
+ * @param {string} name Environment variable name
+ * @param {Array<string>} defaults Default endpoints
+ * @returns {Array<string>} Endpoint URLs
+ */
+function endpointList(name, defaults) {
+    const value = process.env[name];
+    return value ? value.split(',').map(url => url.trim()).filter(Boolean) : defaults;
+}
+
+// RPC endpoints by kind, in order of preference (any number per kind; see endpointPool.js)
 export const RPC_ENDPOINTS = {
-    primary: {
-        rpc: 'https://rpc.sei.basementnodes.ca',
-        rest: 'https://api.sei.basementnodes.ca',
-        evmRpc: 'https://evm-rpc.sei.basementnodes.ca',
-        evmWs: 'wss://evm-ws.sei.basementnodes.ca',
-        cosmos: 'https://rpc.sei.basementnodes.ca'
-    },
-    fallback: {
-        rpc: 'https://rpc.sei-main-eu.ccvalidators.com:443',
-        rest: 'https://rest.sei-main-eu.ccvalidators.com:443',
-        evmRpc: 'https://evm.sei-main-eu.ccvalidators.com:443',
-        evmWs: 'wss://evm-ws.sei-main-eu.ccvalidators.com:443',
-        cosmos: 'https://rpc.sei-main-eu.ccvalidators.com:443'
-    }
+    rpc: endpointList('SEI_RPC_URLS', [
+        'https://rpc.sei.basementnodes.ca',
+        'https://rpc.sei-main-eu.ccvalidators.com:443'
+    ]),
+    rest: endpointList('SEI_REST_URLS', [
+        'https://api.sei.basementnodes.ca',
+        'https://rest.sei-main-eu.ccvalidators.com:443'
+    ]),
+    evmRpc: endpointList('SEI_EVM_RPC_URLS', [
+        'https://evm-rpc.sei.basementnodes.ca',
+        'https://evm.sei-main-eu.ccvalidators.com:443'
+    ]),
+    evmWs: endpointList('SEI_EVM_WS_URLS', [
+        'wss://evm-ws.sei.basementnodes.ca',
+        'wss://evm-ws.sei-main-eu.ccvalidators.com:443'
+    ])
+};
+
+// Endpoint health tracking
+export const ENDPOINT_POOL = {
+    SMOOTHING: 0.2,                  // Weight of the latest request in latency and error rate averages
+    ERROR_RATE_PENALTY_MS: 5000,     // Score penalty at a 100% error rate (scores are in ms of latency)
+    EJECT_AFTER_FAILURES: 3,         // Consecutive failures before an endpoint is ejected
+    EJECT_MS: 30 * 1000,             // First ejection, doubled on each further ejection
+    MAX_EJECT_MS: 10 * 60 * 1000,
+    RATE_LIMIT_EJECT_MS: 60 * 1000,  // Ejection after a 429 without a Retry-After header
+    HEAD_LAG_TOLERANCE: 20,          // Blocks an endpoint may be behind the highest head seen
+    HEAD_LAG_PENALTY_MS: 10000,      // Score penalty for lagging endpoints
+    PROBE_TIMEOUT_MS: 5000,
+    EARLIEST_HEIGHT_TTL_MS: 60 * 60 * 1000, // Re-probe archive depth hourly (pruning moves it forward)
+    EARLIEST_HEIGHT_RETRY_MS: 5 * 60 * 1000 // Wait before probing again after a probe failed
+};
+
+// Third-party address converter, only used when the chain cannot resolve an address
+// (set WALLET_CONVERTER_API to an empty string to disable it)
+export const WALLET_CONVERTER_API = process.env.WALLET_CONVERTER_API ?? 'https://wallets.sei.basementnodes.ca';
+
+// Block explorer links in the HTML report ({txHash} and {address} are replaced)
+export const EXPLORER = {
+    TX_URL: process.env.SEI_EXPLORER_TX_URL ?? 'https://seitrace.com/tx/{txHash}?chain=pacific-1',
+    ADDRESS_URL: process.env.SEI_EXPLORER_ADDRESS_URL ?? 'https://seitrace.com/address/{address}?chain=pacific-1'
 };
 
-// API endpoints
-export const WALLET_CONVERTER_API = 'https://wallets.sei.basementnodes.ca';
+// Sei precompile exposing EVM <-> Cosmos address associations
+export const ADDR_PRECOMPILE_ADDRESS = '0x0000000000000000000000000000000000001004';
+export const SEI_BECH32_PREFIX = 'sei';
 
 // Performance tuning
 export const MEMORY = {
@@ -65,6 +100,57 @@ export const BATCH = {
     SAVE_CHECKPOINT_INTERVAL_MS: 5 * 60 * 1000 // 5 minutes
 };
 
+// JSON-RPC batch requests for block, transaction and receipt fetching
+export const RPC_BATCH = {
+    SIZE: 50,               // Calls per batch payload (1 disables batching)
+    MAX_RETRIES: 3,         // Retries for a failed call before falling back to a single request
+    RETRY_DELAY_MS: 500,    // Delay before the first retry, doubled on each further retry
+    TIMEOUT_MS: 15000
+};
+
+// Chain reorganization handling in the live monitor
+export const REORG = {
+    CONFIRMATIONS: 3,       // Blocks on top of a vote's block before the vote is committed (0 commits immediately)
+    MAX_DEPTH: 64           // Recent block hashes kept to find where a reorganization forked
+};
+
+// Block scan ranges (see rangeLedger.js)
+export const RANGE_LEDGER = {
+    MAX_ATTEMPTS: 3,        // Scan attempts for a failed range within one run (scan --repair retries it again)
+    RETRY_DELAY_MS: 2000    // Delay before retrying failed ranges, doubled on each further attempt
+};
+
+// Retry queue for balance lookups that failed on every method
+export const BALANCE_RETRY = {
+    BASE_DELAY_MS: 60 * 1000,          // 1 minute after the first failure
+    MAX_DELAY_MS: 6 * 60 * 60 * 1000,  // Back off to at most 6 hours
+    CHECK_INTERVAL_MS: 5 * 60 * 1000   // How often the monitor processes due retries
+};
+
+// CSV report output (report --vote-columns, --wallet-columns and --human-headers override these per run)
+export const REPORT_CSV = {
+    VOTE_COLUMNS: null,       // Column keys of voting_report.csv, in order (null writes all)
+    WALLET_COLUMNS: null,     // Column keys of wallet_report.csv, in order (null writes all)
+    HUMAN_HEADERS: false      // Write labels such as "Balance at vote (SEI)" instead of column keys
+};
+
+// Borrowed balance detection: balances sampled around each valid vote at report time
+// (a window in minutes, if set, replaces the one in blocks; converted with SEI_BLOCK_TIME_MS)
+export const BORROWED_BALANCE = {
+    LOOKBACK_BLOCKS: 150,     // Blocks before the vote to sample (about a minute)
+    LOOKAHEAD_BLOCKS: 150,    // Blocks after the vote to sample
+    LOOKBACK_MINUTES: null,
+    LOOKAHEAD_MINUTES: null,
+    SAMPLES: 4                // Heights sampled on each side of the vote
+};
+
+// Funding analysis of voting wallets (see sybilAnalysis.js)
+export const SYBIL = {
+    LOOKBACK_BLOCKS: 216000,  // Blocks before a wallet's first vote searched for funding transfers (about a day)
+    MIN_CLUSTER_SIZE: 2,      // Wallets sharing funders before they are reported as a cluster
+    IGNORED_FUNDERS: []       // Addresses never treated as a shared funder (e.g. exchange hot wallets)
+};
+
 // Connection settings
 export const CONNECTION = {
     MAX_RECONNECT_ATTEMPTS: 10,
@@ -75,14 +161,49 @@ export const CONNECTION = {
 // File paths
 export const PATHS = {
     DATA_DIR: './data',
-    WALLETS_FILE: './data/wallets.json',
-    VOTES_FILE: './data/votes.json', 
-    LAST_BLOCK_FILE: './data/last_processed_block.txt',
-    LOCK_FILE: './data/monitor.lock',
-    MONITOR_CHECKPOINT: './data/monitor_checkpoint.json',
-    REPORT: {
-        VOTES: './data/voting_report.csv',
-        WALLETS: './data/wallet_report.csv',
-        STATS: './data/voting_statistics.json'
+    ROUNDS_FILE: fileURLToPath(new URL('./rounds.json', import.meta.url)), // Next to this file, whatever the working directory
+    ADDRESS_MAP: 'address_map.json', // EVM <-> Cosmos address map shared by all rounds, inside DATA_DIR
+    // File names inside each round's data directory (see getRoundPaths in rounds.js)
+    ROUND_FILES: {
+        STORE: 'store.log',
+        WALLETS: 'wallets.json', // Legacy, imported into the store on first use
+        VOTES: 'votes.json',     // Legacy, imported into the store on first use
+        LAST_BLOCK: 'last_processed_block.txt',
+        RANGE_LEDGER: 'scan_ranges.json',
+        COVERAGE: 'coverage.json',
+        LOCK: 'monitor.lock',
+        MONITOR_CHECKPOINT: 'monitor_checkpoint.json',
+        BLOCK_RANGE: 'block_range.json',
+        REPORT_VOTES: 'voting_report.csv',
+        REPORT_WALLETS: 'wallet_report.csv',
+        REPORT_STATS: 'voting_statistics.json',
+        REPORT_UNRESOLVED: 'unresolved_votes.csv',
+        REPORT_PROJECTS: 'project_report.csv',
+        REPORT_PROJECTS_JSON: 'project_report.json',
+        REPORT_HTML: 'voting_report.html',
+        REPORT_SNAPSHOTS: 'report_snapshots', // One timestamped directory per report generation
+        REPORT_SYBIL: 'sybil_clusters.csv',
+        REPORT_SYBIL_JSON: 'sybil_clusters.json'
+    }
+};
+
+/**
+ * Override configuration at runtime (used by the CLI flags)
+ * @param {Object} overrides Values to override
+ * @param {string} overrides.evmRpc Preferred EVM RPC endpoint
+ * @param {string} overrides.dataDir Data directory
+ * @param {number} overrides.rpcBatchSize Calls per JSON-RPC batch payload
+ */
+export function applyRuntimeOverrides({ evmRpc, dataDir, rpcBatchSize } = {}) {
+    if (evmRpc) {
+        RPC_ENDPOINTS.evmRpc = [evmRpc, ...RPC_ENDPOINTS.evmRpc.filter(url => url !== evmRpc)];
+    }
+    
+    if (dataDir) {
+        PATHS.DATA_DIR = dataDir;
+    }
+
+    if (rpcBatchSize) {
+        RPC_BATCH.SIZE = rpcBatchSize;
     }
-};
\ No newline at end of file
+}
@@ -0,0 +1,228 @@
+/**
+ * Block coverage tracking for SEI Voting Monitor
+ *
+ * Records which block ranges were examined for votes, and by which source:
+ * the historical scanner, the WebSocket listener, the poller or a rescan.
+ * The union of all sources shows whether every block of the voting window
+ * was looked at; anything outside it is a gap.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDirectoryExists } from './utils.js';
+import { getRoundPaths } from './rounds.js';
+
+// Sources that examine blocks
+export const COVERAGE_SOURCES = ['historical', 'websocket', 'poller', 'rescan'];
+
+// Minimum time between writes (the WebSocket listener records every block)
+const SAVE_INTERVAL_MS = 10000;
+
+// Open trackers keyed by file path
+const openTrackers = new Map();
+
+/**
+ * Add a range to a sorted list of ranges, merging overlapping and adjacent ones
+ * @param {Array<{from: number, to: number}>} ranges Sorted, non-overlapping ranges
+ * @param {number} from First block
+ * @param {number} to Last block
+ * @returns {Array<{from: number, to: number}>} Merged ranges
+ */
+export function mergeRange(ranges, from, to) {
+  const merged = [];
+  let current = { from, to };
+
+  for (const range of ranges) {
+    if (range.to + 1 < current.from) {
+      merged.push(range);
+    } else if (range.from > current.to + 1) {
+      merged.push(current);
+      current = range;
+    } else {
+      current = { from: Math.min(current.from, range.from), to: Math.max(current.to, range.to) };
+    }
+  }
+
+  merged.push(current);
+  return merged;
+}
+
+export class CoverageTracker {
+  /**
+   * @param {string|null} coverageFile File to persist coverage to (null keeps it in memory)
+   */
+  constructor(coverageFile = null) {
+    this.coverageFile = coverageFile;
+    this.sources = Object.fromEntries(COVERAGE_SOURCES.map(source => [source, []]));
+    this.dirty = false;
+    this.lastSave = 0;
+
+    this.load();
+  }
+
+  /**
+   * Load coverage from disk
+   */
+  load() {
+    if (!this.coverageFile || !fs.existsSync(this.coverageFile)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.coverageFile, 'utf8'));
+      for (const [source, ranges] of Object.entries(data.sources || {})) {
+        this.sources[source] = ranges.sort((a, b) => a.from - b.from);
+      }
+    } catch (error) {
+      console.error(`Error loading coverage ${this.coverageFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Write coverage to disk (via a temporary file, so a crash cannot truncate it)
+   */
+  save() {
+    this.dirty = false;
+    this.lastSave = Date.now();
+    if (!this.coverageFile) return;
+
+    const tempFile = `${this.coverageFile}.tmp`;
+    ensureDirectoryExists(path.dirname(this.coverageFile));
+    fs.writeFileSync(tempFile, JSON.stringify({ updatedAt: new Date().toISOString(), sources: this.sources }, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.coverageFile);
+  }
+
+  /**
+   * Write pending changes to disk
+   */
+  flush() {
+    if (this.dirty) {
+      this.save();
+    }
+  }
+
+  /**
+   * Record that a block range was examined
+   * @param {string} source 'historical', 'websocket', 'poller' or 'rescan'
+   * @param {number} from First block
+   * @param {number} to Last block
+   */
+  record(source, from, to) {
+    if (!COVERAGE_SOURCES.includes(source)) {
+      throw new Error(`Unknown coverage source: ${source}`);
+    }
+    if (to < from) return;
+
+    this.sources[source] = mergeRange(this.sources[source], from, to);
+    this.dirty = true;
+
+    if (Date.now() - this.lastSave > SAVE_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  /**
+   * Forget that a block range was examined (its blocks were replaced by a chain reorganization)
+   * @param {number} from First block
+   * @param {number} to Last block
+   */
+  forget(from, to) {
+    if (to < from) return;
+
+    for (const [source, ranges] of Object.entries(this.sources)) {
+      this.sources[source] = ranges.flatMap(range => {
+        if (range.to < from || range.from > to) return [range];
+
+        const kept = [];
+        if (range.from < from) kept.push({ from: range.from, to: from - 1 });
+        if (range.to > to) kept.push({ from: to + 1, to: range.to });
+        return kept;
+      });
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Record the ranges a range ledger marked done
+   * @param {string} source Coverage source
+   * @param {RangeLedger} ledger Range ledger of a scan
+   * @param {number} from First block of the scan (ranges are clipped to it)
+   * @param {number} to Last block of the scan
+   */
+  recordLedger(source, ledger, from, to) {
+    for (const range of ledger.getRanges('done')) {
+      this.record(source, Math.max(range.from, from), Math.min(range.to, to));
+    }
+  }
+
+  /**
+   * Ranges examined by any source
+   * @returns {Array<{from: number, to: number}>} Merged ranges
+   */
+  getCovered() {
+    return Object.values(this.sources)
+      .flat()
+      .reduce((merged, range) => mergeRange(merged, range.from, range.to), []);
+  }
+
+  /**
+   * Ranges within [from, to] that no source examined
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @returns {Array<{from: number, to: number}>} Gaps
+   */
+  getGaps(from, to) {
+    const gaps = [];
+    let cursor = from;
+
+    for (const range of this.getCovered()) {
+      if (range.to < cursor) continue;
+      if (range.from > to) break;
+      if (range.from > cursor) gaps.push({ from: cursor, to: range.from - 1 });
+      cursor = range.to + 1;
+    }
+
+    if (cursor <= to) gaps.push({ from: cursor, to });
+    return gaps;
+  }
+
+  /**
+   * Coverage of a block window
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @returns {Object} Blocks examined per source, gaps and the number of unexamined blocks
+   */
+  getReport(from, to) {
+    const countWithin = ranges => ranges.reduce(
+      (sum, range) => sum + Math.max(0, Math.min(range.to, to) - Math.max(range.from, from) + 1),
+      0
+    );
+
+    const gaps = this.getGaps(from, to);
+    const missingBlocks = gaps.reduce((sum, gap) => sum + gap.to - gap.from + 1, 0);
+
+    return {
+      fromBlock: from,
+      toBlock: to,
+      totalBlocks: to - from + 1,
+      coveredBlocks: to - from + 1 - missingBlocks,
+      missingBlocks,
+      bySource: Object.fromEntries(Object.entries(this.sources).map(([source, ranges]) => [source, countWithin(ranges)])),
+      gaps
+    };
+  }
+}
+
+/**
+ * Open the coverage tracker stored in a file
+ * @param {string|null} coverageFile Coverage file path (defaults to the active round's; null for an in-memory tracker)
+ * @returns {CoverageTracker} Coverage tracker
+ */
+export function openCoverage(coverageFile = getRoundPaths().COVERAGE_FILE) {
+  if (!coverageFile) return new CoverageTracker(null);
+
+  const existing = openTrackers.get(coverageFile);
+  if (existing) return existing;
+
+  const tracker = new CoverageTracker(coverageFile);
+  openTrackers.set(coverageFile, tracker);
+  return tracker;
+}
@@ -0,0 +1,70 @@
+/**
+ * CSV reading and writing for SEI Voting Monitor reports
+ *
+ * A report is described by its columns: each has a key (the header by default),
+ * a human-readable label (the header with humanHeaders) and a function that
+ * produces the cell from a row. Quoting is left to papaparse, so cells with
+ * commas, quotes or line breaks survive a round trip through a spreadsheet.
+ */
+
+import fs from 'fs';
+import Papa from 'papaparse';
+
+/**
+ * Pick report columns by key, in the given order
+ * @param {Array<Object>} columns Column definitions ({key, label, value})
+ * @param {Array<string>|null} keys Column keys to keep (null keeps all)
+ * @returns {Array<Object>} Selected columns
+ */
+export function selectColumns(columns, keys = null) {
+  if (!keys || keys.length === 0) return columns;
+
+  const byKey = new Map(columns.map(column => [column.key, column]));
+  const unknown = keys.filter(key => !byKey.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report columns: ${unknown.join(', ')} (available: ${columns.map(column => column.key).join(', ')})`);
+  }
+
+  return keys.map(key => byKey.get(key));
+}
+
+/**
+ * Write rows to a CSV file
+ * @param {string} file File path
+ * @param {Iterable<Object>} rows Rows
+ * @param {Array<Object>} columns Column definitions ({key, label, value})
+ * @param {boolean} humanHeaders Use column labels instead of keys as headers
+ */
+export function writeCsvFile(file, rows, columns, humanHeaders = false) {
+  const csv = Papa.unparse({
+    fields: columns.map(column => humanHeaders ? column.label : column.key),
+    data: Array.from(rows, row => columns.map(column => column.value(row) ?? ''))
+  }, { newline: '\n' });
+
+  // papaparse ends the header with a newline only when there are no rows
+  fs.writeFileSync(file, csv.endsWith('\n') ? csv : csv + '\n', 'utf8');
+}
+
+/**
+ * Read a CSV file written by writeCsvFile (possibly edited since)
+ * @param {string} file File path
+ * @param {Array<Object>} columns Column definitions, used to map labels back to keys
+ * @returns {{fields: Array<string>, rows: Array<Object>}} Header keys and rows keyed by them
+ *   (headers that are neither a key nor a label are kept as they are)
+ */
+export function readCsvFile(file, columns = []) {
+  const keysByLabel = new Map(columns.map(column => [column.label, column.key]));
+
+  const result = Papa.parse(fs.readFileSync(file, 'utf8'), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => keysByLabel.get(header.trim()) ?? header.trim()
+  });
+
+  if (result.errors.length > 0) {
+    const error = result.errors[0];
+    throw new Error(`Could not parse ${file}: ${error.message}${error.row === undefined ? '' : ` (row ${error.row + 1})`}`);
+  }
+
+  return { fields: result.meta.fields || [], rows: result.data };
+}
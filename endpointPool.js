@@ -0,0 +1,646 @@
+/**
+ * Endpoint pool for SEI Voting Monitor
+ *
+ * Every network call goes through a pool holding all configured endpoints of
+ * one kind (EVM RPC, REST, Tendermint RPC, EVM WebSocket). The pool tracks
+ * latency, error rate, rate-limit responses and head height per endpoint,
+ * tries endpoints from healthiest to least healthy, and temporarily ejects
+ * endpoints that keep failing or rate-limit us.
+ */
+
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { RPC_ENDPOINTS, ENDPOINT_POOL } from './config.js';
+
+// Pools keyed by endpoint kind
+const pools = new Map();
+
+// JSON-RPC providers keyed by URL, shared by all callers
+const providers = new Map();
+
+/**
+ * Get a readable message from an axios or ethers error
+ * @param {Error} error Error
+ * @returns {string} Message
+ */
+function getErrorMessage(error) {
+  return error?.shortMessage || error?.message || String(error);
+}
+
+/**
+ * Classify an error for health tracking
+ * @param {Error} error Error thrown by a request
+ * @returns {string} 'rate-limit', 'answered' (the endpoint responded, e.g. a 4xx or JSON-RPC error) or 'failure'
+ */
+export function classifyError(error) {
+  const status = error?.response?.status;
+  const rpcCode = error?.error?.code ?? error?.info?.error?.code;
+  const rpcMessage = error?.error?.message ?? error?.info?.error?.message ?? '';
+  const message = `${getErrorMessage(error)} ${rpcMessage} ${error?.info?.responseStatus || ''}`.toLowerCase();
+
+  // -32005 is also "limit exceeded" on eth_getLogs, so the code alone is not a rate limit
+  if (status === 429 || message.includes('429') ||
+      message.includes('too many requests') || message.includes('rate limit')) {
+    return 'rate-limit';
+  }
+
+  if ((status >= 400 && status < 500 && status !== 408) ||
+      rpcCode !== undefined ||
+      error?.code === 'CALL_EXCEPTION') {
+    return 'answered';
+  }
+
+  return 'failure';
+}
+
+// Errors a node answers with when it has pruned the state at the requested height
+const PRUNED_ERROR_PATTERNS = [
+  /lowest height is/i,
+  /version does not exist/i,
+  /missing trie node/i,
+  /header not found/i,
+  /state (is )?not available/i,
+  /pruned/i
+];
+
+/**
+ * Check whether an error means the endpoint no longer holds the requested height
+ * @param {Error} error Error thrown by a request
+ * @returns {boolean} True for pruned-height errors
+ */
+function isPrunedError(error) {
+  const message = `${getErrorMessage(error)} ${error?.response?.data?.message || ''} ${error?.error?.message || ''}`;
+  return PRUNED_ERROR_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Get the lowest available height from a pruned-height error, when the node names it
+ * @param {Error} error Error thrown by a request
+ * @returns {number|null} Lowest available height
+ */
+function parseLowestHeight(error) {
+  const message = `${getErrorMessage(error)} ${error?.response?.data?.message || ''} ${error?.error?.message || ''}`;
+  const match = message.match(/lowest height is (\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Binary search for the earliest height an endpoint can serve
+ * @param {Function} isAvailable Async check for one height; throws if the endpoint could not be asked
+ * @param {number} headHeight Endpoint's head height (assumed available)
+ * @returns {Promise<number>} Earliest available height
+ */
+async function findEarliestHeight(isAvailable, headHeight) {
+  if (await isAvailable(1)) return 1;
+
+  let low = 1; // Not available
+  let high = headHeight; // Available
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (await isAvailable(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Check a height, treating an answered error as "not available" and
+ * rethrowing anything else (the endpoint could not be asked)
+ * @param {Function} request Async request for the height
+ * @returns {Promise<boolean>} True if the endpoint served the height
+ */
+async function servesHeight(request) {
+  try {
+    await request();
+    return true;
+  } catch (error) {
+    if (classifyError(error) === 'answered' || isPrunedError(error)) return false;
+    throw error;
+  }
+}
+
+/**
+ * Send a single JSON-RPC call, throwing JSON-RPC errors with their error object attached
+ * @param {string} url EVM RPC URL
+ * @param {string} method Method
+ * @param {Array} params Parameters
+ * @returns {Promise<any>} Result
+ */
+async function rpcCall(url, method, params) {
+  const response = await axios.post(url, { jsonrpc: '2.0', id: 1, method, params }, {
+    timeout: ENDPOINT_POOL.PROBE_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (response.data?.error) {
+    const error = new Error(response.data.error.message);
+    error.error = response.data.error;
+    throw error;
+  }
+  return response.data?.result;
+}
+
+// Earliest-height probes by endpoint kind (kinds without one are never used for historical state)
+const EARLIEST_HEIGHT_PROBES = {
+  rest: async (url) => {
+    const getBlock = (height) => axios.get(`${url}/cosmos/base/tendermint/v1beta1/blocks/${height}`, { timeout: ENDPOINT_POOL.PROBE_TIMEOUT_MS });
+
+    // Pruned nodes usually name their lowest height when asked for block 1
+    try {
+      await getBlock(1);
+      return 1;
+    } catch (error) {
+      if (classifyError(error) !== 'answered' && !isPrunedError(error)) throw error;
+      const lowest = parseLowestHeight(error);
+      if (lowest !== null) return lowest;
+    }
+
+    const latest = await getBlock('latest');
+    const headHeight = Number(latest.data?.block?.header?.height);
+    return findEarliestHeight(height => servesHeight(() => getBlock(height)), headHeight);
+  },
+  evmRpc: async (url) => {
+    const headHeight = Number(BigInt(await rpcCall(url, 'eth_blockNumber', [])));
+    return findEarliestHeight(
+      height => servesHeight(() => rpcCall(url, 'eth_getBalance', [ethers.ZeroAddress, ethers.toBeHex(height)])),
+      headHeight
+    );
+  }
+};
+
+export class EndpointPool {
+  /**
+   * @param {string} kind Endpoint kind ('evmRpc', 'rest', 'rpc' or 'evmWs')
+   * @param {Array<string>} urls Endpoint URLs, in order of preference
+   */
+  constructor(kind, urls) {
+    this.kind = kind;
+    this.endpoints = urls.map((url, order) => ({
+      url,
+      order,
+      latencyMs: null,
+      errorRate: 0,
+      requests: 0,
+      failures: 0,
+      rateLimited: 0,
+      consecutiveFailures: 0,
+      ejections: 0,
+      ejectedUntil: 0,
+      headHeight: null,
+      earliestHeight: null,
+      earliestHeightCheckedAt: 0,
+      earliestHeightProbeFailed: false,
+      lastError: null
+    }));
+    this.earliestHeightProbe = null;
+  }
+
+  /**
+   * Get an endpoint's health record
+   * @param {string} url Endpoint URL
+   * @returns {Object|null} Health record
+   */
+  get(url) {
+    return this.endpoints.find(endpoint => endpoint.url === url) || null;
+  }
+
+  /**
+   * Highest head height reported by any endpoint
+   * @returns {number|null} Head height
+   */
+  getHeadHeight() {
+    const heights = this.endpoints.map(endpoint => endpoint.headHeight).filter(height => height !== null);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+
+  /**
+   * Score an endpoint (lower is healthier)
+   * @param {Object} endpoint Health record
+   * @param {number|null} headHeight Pool head height
+   * @returns {number} Score
+   */
+  score(endpoint, headHeight) {
+    let score = (endpoint.latencyMs ?? 0) + endpoint.errorRate * ENDPOINT_POOL.ERROR_RATE_PENALTY_MS;
+
+    // Endpoints behind the chain head answer with stale data
+    if (headHeight !== null && endpoint.headHeight !== null &&
+        headHeight - endpoint.headHeight > ENDPOINT_POOL.HEAD_LAG_TOLERANCE) {
+      score += ENDPOINT_POOL.HEAD_LAG_PENALTY_MS;
+    }
+
+    return score;
+  }
+
+  /**
+   * Endpoints in the order they should be tried: available endpoints by score,
+   * then ejected endpoints by when they are due back (as a last resort)
+   * @returns {Array<Object>} Health records
+   */
+  rank() {
+    const now = Date.now();
+    const headHeight = this.getHeadHeight();
+
+    const available = this.endpoints
+      .filter(endpoint => endpoint.ejectedUntil <= now)
+      .sort((a, b) => this.score(a, headHeight) - this.score(b, headHeight) || a.order - b.order);
+    const ejected = this.endpoints
+      .filter(endpoint => endpoint.ejectedUntil > now)
+      .sort((a, b) => a.ejectedUntil - b.ejectedUntil);
+
+    return [...available, ...ejected];
+  }
+
+  /**
+   * Endpoints that may hold state at a height: known archive depth covers it,
+   * or the depth is not known yet (tried after the known ones)
+   * @param {Array<Object>} endpoints Ranked health records
+   * @param {number} height Block height
+   * @returns {Array<Object>} Health records
+   */
+  filterByHeight(endpoints, height) {
+    const known = endpoints.filter(endpoint => endpoint.earliestHeight !== null && endpoint.earliestHeight <= height);
+    const unknown = endpoints.filter(endpoint => endpoint.earliestHeight === null);
+    return [...known, ...unknown];
+  }
+
+  /**
+   * URL of the healthiest endpoint
+   * @returns {string} Endpoint URL
+   */
+  select() {
+    return this.rank()[0].url;
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} url Endpoint URL
+   * @param {number} latencyMs Request latency
+   */
+  recordSuccess(url, latencyMs) {
+    const endpoint = this.get(url);
+    if (!endpoint) return;
+
+    const smoothing = ENDPOINT_POOL.SMOOTHING;
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs * (1 - smoothing) + latencyMs * smoothing;
+    endpoint.errorRate *= (1 - smoothing);
+    endpoint.consecutiveFailures = 0;
+    endpoint.ejections = 0;
+  }
+
+  /**
+   * Record a failed request, ejecting the endpoint if it keeps failing
+   * @param {string} url Endpoint URL
+   * @param {Error} error Error thrown by the request
+   * @param {number} latencyMs Request latency
+   */
+  recordFailure(url, error, latencyMs = 0) {
+    const endpoint = this.get(url);
+    if (!endpoint) return;
+
+    const type = classifyError(error);
+
+    // The endpoint answered - it is healthy even though the request failed
+    if (type === 'answered') {
+      this.recordSuccess(url, latencyMs);
+      return;
+    }
+
+    const smoothing = ENDPOINT_POOL.SMOOTHING;
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - smoothing) + smoothing;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = getErrorMessage(error);
+
+    if (type === 'rate-limit') {
+      endpoint.rateLimited++;
+      const retryAfterMs = Number(error?.response?.headers?.['retry-after']) * 1000;
+      this.eject(endpoint, retryAfterMs > 0 ? retryAfterMs : ENDPOINT_POOL.RATE_LIMIT_EJECT_MS, 'rate limited');
+    } else if (endpoint.consecutiveFailures >= ENDPOINT_POOL.EJECT_AFTER_FAILURES) {
+      const durationMs = Math.min(ENDPOINT_POOL.EJECT_MS * 2 ** endpoint.ejections, ENDPOINT_POOL.MAX_EJECT_MS);
+      this.eject(endpoint, durationMs, `${endpoint.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * Take an endpoint out of rotation for a while
+   * @param {Object} endpoint Health record
+   * @param {number} durationMs Ejection duration
+   * @param {string} reason Reason (for logging)
+   */
+  eject(endpoint, durationMs, reason) {
+    endpoint.ejections++;
+    endpoint.ejectedUntil = Date.now() + durationMs;
+    endpoint.consecutiveFailures = 0;
+    console.warn(`Ejecting ${this.kind} endpoint ${endpoint.url} for ${Math.round(durationMs / 1000)}s (${reason})`);
+  }
+
+  /**
+   * Record an endpoint's head height
+   * @param {string} url Endpoint URL
+   * @param {number} height Head height
+   */
+  recordHead(url, height) {
+    const endpoint = this.get(url);
+    if (endpoint && Number.isFinite(height)) {
+      endpoint.headHeight = height;
+    }
+  }
+
+  /**
+   * Record the earliest height an endpoint still holds state for
+   * @param {string} url Endpoint URL
+   * @param {number} height Earliest available height
+   */
+  recordEarliestHeight(url, height) {
+    const endpoint = this.get(url);
+    if (endpoint && Number.isFinite(height)) {
+      endpoint.earliestHeight = height;
+      endpoint.earliestHeightCheckedAt = Date.now();
+      endpoint.earliestHeightProbeFailed = false;
+    }
+  }
+
+  /**
+   * Record that an endpoint could not serve a height because it is pruned,
+   * raising its earliest height past it
+   * @param {string} url Endpoint URL
+   * @param {number} height Height the endpoint could not serve
+   * @param {Error} error Error it answered with
+   */
+  recordPrunedHeight(url, height, error) {
+    const endpoint = this.get(url);
+    if (!endpoint) return;
+
+    const lowest = parseLowestHeight(error);
+    const earliest = Math.max(endpoint.earliestHeight ?? 0, lowest ?? height + 1);
+    if (earliest !== endpoint.earliestHeight) {
+      console.warn(`${this.kind} endpoint ${url} has no state at height ${height}, earliest available is ${lowest ?? `above ${height}`}`);
+    }
+    this.recordEarliestHeight(url, earliest);
+  }
+
+  /**
+   * Probe the earliest available height of endpoints whose depth is unknown or stale.
+   * Concurrent callers share one probe.
+   * @returns {Promise<void>}
+   */
+  async refreshEarliestHeights() {
+    const probe = EARLIEST_HEIGHT_PROBES[this.kind];
+    if (!probe) return;
+
+    const now = Date.now();
+    const stale = this.endpoints.filter(endpoint =>
+      now - endpoint.earliestHeightCheckedAt > (endpoint.earliestHeightProbeFailed
+        ? ENDPOINT_POOL.EARLIEST_HEIGHT_RETRY_MS
+        : ENDPOINT_POOL.EARLIEST_HEIGHT_TTL_MS)
+    );
+    if (stale.length === 0) return;
+
+    if (!this.earliestHeightProbe) {
+      this.earliestHeightProbe = Promise.all(stale.map(async ({ url }) => {
+        try {
+          const height = await probe(url);
+          this.recordEarliestHeight(url, height);
+          console.log(`${this.kind} endpoint ${url} holds state from height ${height}`);
+        } catch (error) {
+          // Left unknown; the endpoint is still tried after those known to cover a height,
+          // and only probed again once EARLIEST_HEIGHT_RETRY_MS has passed
+          const endpoint = this.get(url);
+          endpoint.earliestHeightCheckedAt = Date.now();
+          endpoint.earliestHeightProbeFailed = true;
+          console.warn(`Could not probe earliest height of ${url}: ${getErrorMessage(error)}`);
+        }
+      })).finally(() => {
+        this.earliestHeightProbe = null;
+      });
+    }
+
+    await this.earliestHeightProbe;
+  }
+
+  /**
+   * Run a request against the healthiest endpoint, moving on to the next one
+   * when it fails
+   * @param {Function} fn Async callback receiving the endpoint URL
+   * @param {string} label Request description (for logging)
+   * @param {number|null} height Historical height the request reads state at
+   *   (only endpoints that hold state at that height are used)
+   * @returns {Promise<any>} The callback's result
+   */
+  async run(fn, label = 'Request', height = null) {
+    let candidates = this.rank();
+
+    if (height !== null) {
+      await this.refreshEarliestHeights();
+      candidates = this.filterByHeight(candidates, height);
+
+      if (candidates.length === 0) {
+        const earliest = Math.min(...this.endpoints.map(endpoint => endpoint.earliestHeight));
+        throw new Error(`No ${this.kind} endpoint holds state at height ${height} (earliest available: ${earliest})`);
+      }
+    }
+
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const { url } = candidates[i];
+      const startedAt = Date.now();
+
+      try {
+        const result = await fn(url);
+        this.recordSuccess(url, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (height !== null && isPrunedError(error)) {
+          // The endpoint answered, it just does not go back that far
+          this.recordSuccess(url, Date.now() - startedAt);
+          this.recordPrunedHeight(url, height, error);
+        } else {
+          this.recordFailure(url, error, Date.now() - startedAt);
+        }
+        lastError = error;
+
+        if (i < candidates.length - 1) {
+          console.log(`${label} failed on ${url}: ${getErrorMessage(error)}, trying next endpoint...`);
+        }
+      }
+    }
+
+    throw lastError || new Error(`No ${this.kind} endpoints configured`);
+  }
+
+  /**
+   * Snapshot of every endpoint's health
+   * @returns {Array<Object>} Health records
+   */
+  getHealth() {
+    const now = Date.now();
+    const headHeight = this.getHeadHeight();
+
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      rateLimited: endpoint.rateLimited,
+      headHeight: endpoint.headHeight,
+      earliestHeight: endpoint.earliestHeight,
+      blocksBehind: headHeight !== null && endpoint.headHeight !== null ? headHeight - endpoint.headHeight : null,
+      ejected: endpoint.ejectedUntil > now,
+      ejectedUntil: endpoint.ejectedUntil > now ? new Date(endpoint.ejectedUntil).toISOString() : null,
+      lastError: endpoint.lastError
+    }));
+  }
+}
+
+/**
+ * Get the shared pool for an endpoint kind
+ * @param {string} kind Endpoint kind ('evmRpc', 'rest', 'rpc' or 'evmWs')
+ * @returns {EndpointPool} Endpoint pool
+ */
+export function getEndpointPool(kind) {
+  if (!pools.has(kind)) {
+    pools.set(kind, new EndpointPool(kind, RPC_ENDPOINTS[kind] || []));
+  }
+  return pools.get(kind);
+}
+
+/**
+ * Get the shared JSON-RPC provider for an EVM endpoint
+ * @param {string} url EVM RPC URL
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+export function getJsonRpcProvider(url) {
+  if (!providers.has(url)) {
+    const provider = new ethers.JsonRpcProvider(url);
+    provider._rpcUrl = url; // Used for JSON-RPC batch requests
+    providers.set(url, provider);
+  }
+  return providers.get(url);
+}
+
+/**
+ * Drop a provider so a fresh one is created next time (stops an unreachable
+ * provider from retrying network detection forever)
+ * @param {string} url EVM RPC URL
+ */
+function dropProvider(url) {
+  const provider = providers.get(url);
+  if (provider) {
+    providers.delete(url);
+    provider.destroy();
+  }
+}
+
+/**
+ * Run a request with a provider for the healthiest EVM endpoint
+ * @param {Function} fn Async callback receiving (provider, url)
+ * @param {string} label Request description (for logging)
+ * @param {number|null} height Historical height the request reads state at
+ * @returns {Promise<any>} The callback's result
+ */
+export async function withEvmProvider(fn, label = 'EVM RPC request', height = null) {
+  return getEndpointPool('evmRpc').run(async (url) => {
+    try {
+      return await fn(getJsonRpcProvider(url), url);
+    } catch (error) {
+      if (classifyError(error) === 'failure') {
+        dropProvider(url);
+      }
+      throw error;
+    }
+  }, label, height);
+}
+
+/**
+ * Get the current EVM block number, recording the endpoint's head height
+ * @returns {Promise<number>} Current block number
+ */
+export async function getCurrentBlockNumber() {
+  return withEvmProvider(async (provider, url) => {
+    const blockNumber = await provider.getBlockNumber();
+    getEndpointPool('evmRpc').recordHead(url, blockNumber);
+    return blockNumber;
+  }, 'Block number request');
+}
+
+/**
+ * Get a provider for the healthiest EVM endpoint that answers
+ * @returns {Promise<ethers.JsonRpcProvider>} Provider
+ */
+export async function getEvmProvider() {
+  return withEvmProvider(async (provider, url) => {
+    getEndpointPool('evmRpc').recordHead(url, await provider.getBlockNumber()); // Test connection
+    return provider;
+  }, 'EVM RPC connection');
+}
+
+/**
+ * Query every endpoint's head height so lagging endpoints are deprioritized,
+ * and the earliest height of endpoints serving historical state
+ * @returns {Promise<Object>} Health snapshot of all pools
+ */
+export async function probeEndpoints() {
+  const probes = {
+    evmRpc: async (url) => Number(await getJsonRpcProvider(url).getBlockNumber()),
+    rest: async (url) => {
+      const response = await axios.get(`${url}/cosmos/base/tendermint/v1beta1/blocks/latest`, { timeout: ENDPOINT_POOL.PROBE_TIMEOUT_MS });
+      return Number(response.data?.block?.header?.height);
+    },
+    rpc: async (url) => {
+      const response = await axios.get(`${url}/status`, { timeout: ENDPOINT_POOL.PROBE_TIMEOUT_MS });
+      return Number((response.data?.result || response.data)?.sync_info?.latest_block_height);
+    }
+  };
+
+  await Promise.all(Object.entries(probes).flatMap(([kind, probe]) => {
+    const pool = getEndpointPool(kind);
+
+    return pool.endpoints.map(async ({ url }) => {
+      const startedAt = Date.now();
+      try {
+        const height = await Promise.race([
+          probe(url),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Probe timed out')), ENDPOINT_POOL.PROBE_TIMEOUT_MS))
+        ]);
+        pool.recordSuccess(url, Date.now() - startedAt);
+        pool.recordHead(url, height);
+      } catch (error) {
+        pool.recordFailure(url, error, Date.now() - startedAt);
+        if (kind === 'evmRpc' && classifyError(error) === 'failure') {
+          dropProvider(url);
+        }
+      }
+    });
+  }));
+
+  // Archive depth of the endpoints used for historical balance queries
+  await Promise.all(Object.keys(EARLIEST_HEIGHT_PROBES).map(kind => getEndpointPool(kind).refreshEarliestHeights()));
+
+  return getEndpointHealth();
+}
+
+/**
+ * Snapshot of every pool's endpoint health
+ * @returns {Object} Health records keyed by endpoint kind
+ */
+export function getEndpointHealth() {
+  return Object.fromEntries(
+    Object.keys(RPC_ENDPOINTS).map(kind => [kind, getEndpointPool(kind).getHealth()])
+  );
+}
+
+/**
+ * Destroy all shared providers (on shutdown)
+ */
+export function destroyProviders() {
+  for (const url of Array.from(providers.keys())) {
+    dropProvider(url);
+  }
+}
@@ -2,11 +2,14 @@
 // Efficiently finds the start block for the SEI voting period
 
 import { ethers } from 'ethers';
-import { retry, sleep, decimalToHex } from './utils.js';
+import { retry, sleep, decimalToHex, ensureDirectoryExists } from './utils.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import axios from 'axios';
+import { SEI_BLOCK_TIME_MS } from './config.js';
+import { getEndpointPool, getEvmProvider } from './endpointPool.js';
+import { getRound, getRoundPaths } from './rounds.js';
 
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -40,25 +43,16 @@ class LRUCache {
 
 const blockTimeCache = new LRUCache(1000);
 
-// Voting period dates in UTC and average block time in ms
-const VOTING_START_DATE = new Date('2025/02/27 05:00Z');
-const VOTING_END_DATE = new Date('2025/03/12 17:00Z');
-const SEI_BLOCK_TIME_MS = 400;
-
-// RPC endpoints
-const RPC_ENDPOINTS = {
-  primary: 'https://evm-rpc.sei.basementnodes.ca',
-  fallback: 'https://evm.sei-main-eu.ccvalidators.com:443',
-  cosmos: 'https://rpc.sei.basementnodes.ca'
-};
-
 /**
  * Get current Cosmos block data
  * @returns {Promise<{blockHeight: number, blockTime: Date}>}
  */
 async function getCurrentCosmosBlock() {
   try {
-    const response = await axios.get(`${RPC_ENDPOINTS.cosmos}/block`, { timeout: 5000 });
+    const response = await getEndpointPool('rpc').run(
+      (rpcUrl) => axios.get(`${rpcUrl}/block`, { timeout: 5000 }),
+      'Cosmos block request'
+    );
     if (response.data?.block?.header) {
       const blockHeight = parseInt(response.data.block.header.height);
       const blockTime = new Date(response.data.block.header.time);
@@ -184,38 +178,18 @@ async function findBlockForDate(targetDate, startBlock, endBlock, provider) {
   return closestBlock;
 }
 
-/**
- * Create provider with automatic fallback
- * @param {string} primaryRpc Primary RPC endpoint
- * @param {string} fallbackRpc Fallback RPC endpoint
- * @returns {ethers.Provider} Ethers provider
- */
-function createProvider(primaryRpc, fallbackRpc) {
-  try {
-    const provider = new ethers.JsonRpcProvider(primaryRpc);
-    console.log('Using primary RPC endpoint');
-    return provider;
-  } catch (error) {
-    console.log(`Primary RPC failed: ${error.message}`);
-    console.log('Using fallback RPC endpoint');
-    return new ethers.JsonRpcProvider(fallbackRpc);
-  }
-}
-
 /**
  * Find the start block for the voting period
  * @param {Date} targetDate Target date (UTC)
- * @param {string} primaryRpc Primary EVM RPC endpoint
- * @param {string} fallbackRpc Fallback EVM RPC endpoint 
  * @returns {Promise<number>} The block number that closely matches the target date
  */
-export async function findStartBlock(targetDate, primaryRpc, fallbackRpc) {
+export async function findStartBlock(targetDate) {
   try {
     console.log(`Finding start block for voting period (${targetDate.toISOString()})`);
     
     // Get current block info
     await getCurrentCosmosBlock(); // Just for informational purposes
-    const provider = createProvider(primaryRpc, fallbackRpc);
+    const provider = await getEvmProvider();
     const currentBlockNumber = await provider.getBlockNumber();
     console.log(`Current EVM block number: ${currentBlockNumber}`);
     
@@ -258,42 +232,38 @@ export async function findStartBlock(targetDate, primaryRpc, fallbackRpc) {
 
 /**
  * Get exact block range for voting period (start and end blocks)
+ * @param {string} roundId Round id (defaults to the active round)
  * @returns {Promise<Object>} Object with voting period information
  */
-export async function getBlockRangeForVotingPeriod() {
+export async function getBlockRangeForVotingPeriod(roundId = null) {
   try {
-    console.log('=== FINDING BLOCKS FOR SEI VOTING PERIOD ===');
-    console.log(`Voting start date (UTC): ${VOTING_START_DATE.toISOString()}`);
-    console.log(`Voting end date (UTC): ${VOTING_END_DATE.toISOString()}`);
+    const round = getRound(roundId);
+    const { votingStartDate, votingEndDate } = round;
+    
+    console.log(`=== FINDING BLOCKS FOR SEI VOTING PERIOD (${round.id}) ===`);
+    console.log(`Voting start date (UTC): ${votingStartDate.toISOString()}`);
+    console.log(`Voting end date (UTC): ${votingEndDate.toISOString()}`);
     
-    const provider = createProvider(RPC_ENDPOINTS.primary, RPC_ENDPOINTS.fallback);
+    const provider = await getEvmProvider();
     const currentBlockNumber = await provider.getBlockNumber();
     console.log(`Current block number: ${currentBlockNumber}`);
     
     // Find start block
-    const startBlock = await findStartBlock(
-      VOTING_START_DATE, 
-      RPC_ENDPOINTS.primary, 
-      RPC_ENDPOINTS.fallback
-    );
+    const startBlock = await findStartBlock(votingStartDate);
     console.log(`\nVoting period start block: ${startBlock}`);
     
     // Find or estimate end block
     let endBlock = null;
     const now = new Date();
     
-    if (now > VOTING_END_DATE) {
+    if (now > votingEndDate) {
       // If voting period has ended, find the exact end block
-      endBlock = await findStartBlock(
-        VOTING_END_DATE,
-        RPC_ENDPOINTS.primary,
-        RPC_ENDPOINTS.fallback
-      );
+      endBlock = await findStartBlock(votingEndDate);
       console.log(`\nVoting period end block: ${endBlock}`);
     } else {
       // Calculate approximate end block for testing
       console.log('\nVoting end date is in the future, using approximate end block');
-      const msFromStartToEnd = VOTING_END_DATE.getTime() - VOTING_START_DATE.getTime();
+      const msFromStartToEnd = votingEndDate.getTime() - votingStartDate.getTime();
       const approxBlocksFromStartToEnd = Math.ceil(msFromStartToEnd / SEI_BLOCK_TIME_MS);
       endBlock = startBlock + approxBlocksFromStartToEnd;
       console.log(`Approximate end block (based on ${SEI_BLOCK_TIME_MS}ms block time): ${endBlock}`);
@@ -302,9 +272,10 @@ export async function getBlockRangeForVotingPeriod() {
     // Generate result object with test ranges
     const result = {
       generatedAt: new Date().toISOString(),
+      round: round.id,
       votingPeriod: {
-        startDate: VOTING_START_DATE.toISOString(),
-        endDate: VOTING_END_DATE.toISOString(),
+        startDate: votingStartDate.toISOString(),
+        endDate: votingEndDate.toISOString(),
         startBlock,
         endBlock: endBlock || 'Not yet reached'
       },
@@ -330,7 +301,8 @@ export async function getBlockRangeForVotingPeriod() {
     };
     
     // Save to file
-    const outputFile = path.join(__dirname, 'sei_voting_block_range.json');
+    const outputFile = getRoundPaths(round).BLOCK_RANGE_FILE;
+    ensureDirectoryExists(path.dirname(outputFile));
     fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
     
     // Print recommended ranges
@@ -355,5 +327,5 @@ export async function getBlockRangeForVotingPeriod() {
 
 // Execute if this file is run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  getBlockRangeForVotingPeriod().catch(console.error);
+  getBlockRangeForVotingPeriod(process.argv[2]).catch(console.error);
 }
\ No newline at end of file
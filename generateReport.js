@@ -5,16 +5,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import configuration
-import { 
-  RPC_ENDPOINTS, 
-  PATHS, 
-  MIN_SEI_REQUIRED, 
-  VOTING_START_DATE,
-  VOTING_END_DATE
-} from './config.js';
+import { getRound, getRoundPaths } from './rounds.js';
+import { ensureDirectoryExists } from './utils.js';
+import { findStartBlock } from './findStartBlock.js';
+import { openVoteStore } from './voteStore.js';
+import { getCurrentBlockNumber } from './endpointPool.js';
+import { writeHtmlReport } from './htmlReport.js';
+import { saveReportSnapshot } from './reportSnapshots.js';
 
 // Import functionality 
-import { ethers } from 'ethers';
 import * as walletBalances from './walletBalances.js';
 
 // Get directory name in ESM
@@ -23,45 +22,72 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Generate final report
+ * @param {string} roundId Round id (defaults to the active round)
+ * @param {boolean} strict Check the continuous balance window (defaults to the round's strictBalanceWindow)
+ * @param {Object} csvOptions CSV output ({voteColumns, walletColumns, humanHeaders}; defaults from REPORT_CSV)
+ * @returns {Promise<Object>} Report summary with the snapshot id; finalized is false while votes remain unresolved
  */
-export async function generateReport() {
-    console.log('Generating final voting report...');
+export async function generateReport(roundId = null, strict = null, csvOptions = {}) {
+    const round = getRound(roundId);
+    strict = strict ?? round.strictBalanceWindow;
+    const paths = getRoundPaths(round);
+    console.log(`Generating final voting report for round ${round.id}...`);
     
     try {
+        ensureDirectoryExists(paths.DATA_DIR);
+        const store = openVoteStore(paths);
+        
         // Get current block for final balance check
-        let currentBlock;
-        try {
-            const provider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.primary.evmRpc);
-            currentBlock = await provider.getBlockNumber();
-        } catch (error) {
-            console.error('Error getting current block from primary RPC:', error.message);
-            const fallbackProvider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.fallback.evmRpc);
-            currentBlock = await fallbackProvider.getBlockNumber();
-        }
+        const currentBlock = await getCurrentBlockNumber();
         console.log(`Current block for report: ${currentBlock}`);
         
+        // In strict mode the balance must hold from each wallet's first vote to the end of voting
+        let windowEndBlock = null;
+        if (strict) {
+            windowEndBlock = new Date() >= round.votingEndDate
+                ? await findStartBlock(round.votingEndDate)
+                : currentBlock;
+            console.log(`Strict mode: checking balances continuously up to block ${windowEndBlock}`);
+        }
+        
+        // Give votes with failed balance lookups another chance before the final check
+        await walletBalances.retryPendingLookups(store, round.minSeiRequired, true);
+        
         // Check final balances
         await walletBalances.checkFinalBalances(
             currentBlock,
-            MIN_SEI_REQUIRED,
-            PATHS.WALLETS_FILE,
-            PATHS.VOTES_FILE,
-            RPC_ENDPOINTS.primary.rest,
-            RPC_ENDPOINTS.fallback.rest,
-            RPC_ENDPOINTS.primary.evmRpc,
-            RPC_ENDPOINTS.fallback.evmRpc
+            round.minSeiRequired,
+            store,
+            windowEndBlock
         );
         
+        // Flag votes whose balance was above the minimum only briefly around the vote
+        await walletBalances.checkBorrowedBalances(currentBlock, round.minSeiRequired, store);
+        
         // Generate reports
-        await walletBalances.generateReport(
-            PATHS.WALLETS_FILE, 
-            PATHS.VOTES_FILE, 
-            MIN_SEI_REQUIRED,
-            PATHS.REPORT.VOTES,
-            PATHS.REPORT.WALLETS
+        const summary = await walletBalances.generateReport(
+            store,
+            round.minSeiRequired,
+            paths.REPORT.VOTES,
+            paths.REPORT.WALLETS,
+            paths.REPORT.STATS,
+            paths.REPORT.UNRESOLVED,
+            paths.REPORT.PROJECTS,
+            paths.REPORT.PROJECTS_JSON,
+            csvOptions
         );
         
-        console.log('Report generation complete.');
+        // Single-file HTML version of the reports for reviewers
+        const statistics = JSON.parse(fs.readFileSync(paths.REPORT.STATS, 'utf8'));
+        writeHtmlReport(paths.REPORT.HTML, round, statistics, store);
+        
+        // Keep this generation so later runs can be diffed against it
+        summary.snapshot = saveReportSnapshot(paths, store, statistics);
+        
+        console.log(summary.unresolvedVotes > 0
+            ? `Report generation complete (provisional: ${summary.unresolvedVotes} votes unresolved).`
+            : 'Report generation complete.');
+        return summary;
     } catch (error) {
         console.error('Error generating final report:', error);
         throw error;
@@ -70,5 +96,5 @@ export async function generateReport() {
 
 // Run the report generation if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    generateReport().catch(console.error);
+    generateReport(process.argv[2]).catch(console.error);
 }
\ No newline at end of file
@@ -0,0 +1,458 @@
+/**
+ * HTML report for SEI Voting Monitor
+ *
+ * Renders a round's results as one static HTML file with the styles, script
+ * and data inline, so it can be attached to a governance post and opened
+ * offline: summary cards from the statistics overview, histograms of the
+ * wallet categories, sortable and filterable vote and wallet tables, and a
+ * drill-down listing every balance checked for a wallet.
+ */
+
+import fs from 'fs';
+import { EXPLORER } from './config.js';
+import { formatSeiBalance } from './utils.js';
+import { getEffectiveValidity } from './walletBalances.js';
+
+// Labels of the statistics categories, in display order
+const VOTE_COUNT_LABELS = {
+  singleVote: '1 vote',
+  twoToFiveVotes: '2-5 votes',
+  sixToTenVotes: '6-10 votes',
+  moreThanTenVotes: 'More than 10 votes'
+};
+
+const BALANCE_RANGE_LABELS = {
+  lessThan100Sei: 'Under 100 SEI',
+  between100And500Sei: '100-500 SEI',
+  between500And1000Sei: '500-1000 SEI',
+  moreThan1000Sei: '1000 SEI or more'
+};
+
+/**
+ * Escape text for HTML
+ * @param {any} value Value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a usei balance for display
+ * @param {string|null} balance Balance (usei)
+ * @returns {string|null} Balance in SEI, or null if unknown
+ */
+function formatBalance(balance) {
+  return balance === null || balance === undefined ? null : formatSeiBalance(balance);
+}
+
+/**
+ * Collect every balance checked for a wallet: the checks around each vote,
+ * the final checks and the borrowed balance samples
+ * @param {Object} wallet Wallet record
+ * @param {Array<Object>} votes The wallet's vote records
+ * @returns {Array<Object>} Checked balances ({blockNumber, balance, check, passed, source}) by block
+ */
+function collectBalanceChecks(wallet, votes) {
+  const checks = [];
+
+  for (const vote of votes) {
+    for (const check of vote.decision?.checks || []) {
+      checks.push({
+        blockNumber: check.blockHeight,
+        balance: formatBalance(check.balance),
+        check: `${check.name} (${vote.txHash.slice(0, 10)}…)`,
+        passed: check.passed,
+        source: check.source ? `${check.source.method} via ${check.source.endpoint}` : null
+      });
+    }
+    for (const sample of vote.borrowedBalance?.samples || []) {
+      checks.push({
+        blockNumber: sample.blockNumber,
+        balance: formatBalance(sample.balance),
+        check: `borrowed balance sample (${vote.txHash.slice(0, 10)}…)`,
+        passed: null,
+        source: null
+      });
+    }
+  }
+
+  for (const check of wallet.finalDecision?.checks || []) {
+    checks.push({
+      blockNumber: check.blockHeight,
+      balance: formatBalance(check.balance),
+      check: check.name,
+      passed: check.passed,
+      source: check.source ? `${check.source.method} via ${check.source.endpoint}` : null
+    });
+  }
+
+  return checks.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Shape the store data for the page script
+ * @param {VoteStore} store Vote store
+ * @returns {{votes: Array<Object>, wallets: Array<Object>}} Table rows
+ */
+function buildReportData(store) {
+  const votes = store.listVotes()
+    .sort((a, b) => a.blockNumber - b.blockNumber)
+    .map(vote => ({
+      txHash: vote.txHash,
+      evmAddress: vote.evmAddress,
+      blockNumber: vote.blockNumber,
+      timestamp: vote.timestamp,
+      balanceAtVote: formatBalance(vote.balanceAtVote),
+      balanceBeforeVote: formatBalance(vote.balanceBeforeVote),
+      isValid: vote.isValid ?? null,
+      finalIsValid: vote.finalIsValid ?? null,
+      valid: getEffectiveValidity(vote) ?? null,
+      borrowedBalance: vote.borrowedBalance ? vote.borrowedBalance.flagged : undefined,
+      reviewOverride: vote.reviewOverride ? vote.reviewOverride.isValid : undefined,
+      reviewNote: vote.reviewOverride?.note || null
+    }));
+
+  const wallets = store.listWallets().map(wallet => {
+    const walletVotes = store.getVotesByWallet(wallet.evmAddress);
+    return {
+      evmAddress: wallet.evmAddress,
+      cosmosAddress: wallet.cosmosAddress,
+      voteCount: walletVotes.length,
+      validVoteCount: walletVotes.filter(vote => getEffectiveValidity(vote) === true).length,
+      finalBalance: formatBalance(wallet.finalBalance),
+      finalBalanceValid: wallet.finalBalanceValid ?? null,
+      minBalance: formatBalance(wallet.minBalance),
+      minBalanceBlock: wallet.minBalanceBlock ?? null,
+      votes: walletVotes.map(vote => vote.txHash),
+      checks: collectBalanceChecks(wallet, walletVotes)
+    };
+  });
+
+  return { votes, wallets };
+}
+
+/**
+ * Render a histogram of a statistics category as horizontal bars
+ * @param {string} title Title
+ * @param {Object} counts Counts by category key
+ * @param {Object} labels Labels by category key
+ * @returns {string} HTML
+ */
+function renderHistogram(title, counts = {}, labels) {
+  const max = Math.max(1, ...Object.keys(labels).map(key => counts[key] || 0));
+  const bars = Object.entries(labels).map(([key, label]) => {
+    const count = counts[key] || 0;
+    return `<div class="bar-row"><span class="bar-label">${escapeHtml(label)}</span>` +
+      `<span class="bar"><span style="width:${(count / max * 100).toFixed(1)}%"></span></span>` +
+      `<span class="bar-count">${count}</span></div>`;
+  }).join('');
+
+  return `<section class="histogram"><h3>${escapeHtml(title)}</h3>${bars}</section>`;
+}
+
+/**
+ * Render the summary cards from the statistics overview
+ * @param {Object} overview Statistics overview
+ * @returns {string} HTML
+ */
+function renderCards(overview = {}) {
+  const cards = [
+    ['Total votes', overview.totalVotes],
+    ['Valid votes', `${overview.validVotes ?? 0} (${overview.validVotePercentage ?? '0.00'}%)`],
+    ['Wallets', overview.totalWallets],
+    ['Wallets with valid votes', `${overview.walletsWithValidVotes ?? 0} (${overview.validWalletPercentage ?? '0.00'}%)`],
+    ['Minimum balance', `${overview.minimumBalanceRequired} SEI`],
+    ['Unresolved votes', overview.unresolvedVotes ?? 0],
+    ['Borrowed balance votes', overview.borrowedBalanceVotes ?? 0],
+    ['Reviewer overrides', overview.reviewOverrides ?? 0]
+  ];
+
+  return cards.map(([label, value]) =>
+    `<div class="card"><div class="card-value">${escapeHtml(value)}</div><div class="card-label">${escapeHtml(label)}</div></div>`
+  ).join('');
+}
+
+// Page styles
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1d2330; background: #f7f8fa; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #5b6475; margin-bottom: 1.5rem; }
+.status-provisional { color: #a15c00; font-weight: 600; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 0.75rem; margin-bottom: 1.5rem; }
+.card { background: #fff; border: 1px solid #dde1e8; border-radius: 6px; padding: 0.75rem 1rem; }
+.card-value { font-size: 1.4rem; font-weight: 600; }
+.card-label { color: #5b6475; font-size: 0.85rem; }
+.histograms { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1rem; margin-bottom: 1.5rem; }
+.histogram { background: #fff; border: 1px solid #dde1e8; border-radius: 6px; padding: 0.75rem 1rem; }
+.bar-row { display: grid; grid-template-columns: 9rem 1fr 3rem; align-items: center; gap: 0.5rem; margin: 0.3rem 0; }
+.bar { background: #eef0f4; height: 0.9rem; border-radius: 3px; overflow: hidden; }
+.bar span { display: block; height: 100%; background: #3b6fd8; }
+.bar-count { text-align: right; font-variant-numeric: tabular-nums; }
+.controls { margin: 0.5rem 0; display: flex; gap: 0.5rem; }
+.controls input { flex: 1; padding: 0.35rem; }
+table { border-collapse: collapse; width: 100%; background: #fff; font-size: 0.85rem; margin-bottom: 0.5rem; }
+th, td { border: 1px solid #dde1e8; padding: 0.3rem 0.5rem; text-align: left; white-space: nowrap; }
+th { background: #eef0f4; cursor: pointer; user-select: none; }
+th.sorted-asc::after { content: ' \\25B2'; }
+th.sorted-desc::after { content: ' \\25BC'; }
+tbody tr:hover { background: #f2f6ff; }
+#wallets tbody tr { cursor: pointer; }
+.valid { color: #1d7a35; }
+.invalid { color: #b3261e; }
+.unknown { color: #a15c00; }
+.count { color: #5b6475; font-size: 0.85rem; }
+#drilldown { background: #fff; border: 1px solid #dde1e8; border-radius: 6px; padding: 0.75rem 1rem; margin: 1rem 0; }
+`;
+
+// Page script: sortable, filterable tables and the wallet drill-down
+const SCRIPT = `
+const data = JSON.parse(document.getElementById('report-data').textContent);
+const explorer = data.explorer;
+
+function link(template, key, value) {
+  const a = document.createElement('a');
+  a.href = template.replace('{' + key + '}', encodeURIComponent(value));
+  a.textContent = value;
+  a.target = '_blank';
+  a.rel = 'noopener';
+  return a;
+}
+
+function outcome(value) {
+  const span = document.createElement('span');
+  if (value === undefined) return span;
+  span.textContent = value === null ? 'unknown' : String(value);
+  span.className = value === null ? 'unknown' : value ? 'valid' : 'invalid';
+  return span;
+}
+
+function cell(row, column) {
+  const td = document.createElement('td');
+  const value = row[column.key];
+  if (column.type === 'outcome') td.appendChild(outcome(value));
+  else if (column.type === 'tx') td.appendChild(link(explorer.txUrl, 'txHash', value));
+  else if (column.type === 'address') td.appendChild(link(explorer.addressUrl, 'address', value));
+  else td.textContent = value ?? '';
+  return td;
+}
+
+function sortValue(value) {
+  if (value === null || value === undefined) return -Infinity;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return value;
+  const number = Number(value);
+  return value !== '' && !isNaN(number) ? number : String(value).toLowerCase();
+}
+
+function makeTable(id, rows, columns, onRowClick) {
+  const table = document.getElementById(id);
+  const filterInput = document.getElementById(id + '-filter');
+  const validitySelect = document.getElementById(id + '-validity');
+  const count = document.getElementById(id + '-count');
+  const state = { key: null, direction: 1 };
+
+  const headRow = document.createElement('tr');
+  for (const column of columns) {
+    const th = document.createElement('th');
+    th.textContent = column.label;
+    th.addEventListener('click', () => {
+      state.direction = state.key === column.key ? -state.direction : 1;
+      state.key = column.key;
+      headRow.querySelectorAll('th').forEach(other => other.className = '');
+      th.className = state.direction === 1 ? 'sorted-asc' : 'sorted-desc';
+      render();
+    });
+    headRow.appendChild(th);
+  }
+  table.createTHead().appendChild(headRow);
+  const body = table.createTBody();
+
+  function render() {
+    const text = filterInput.value.trim().toLowerCase();
+    const validity = validitySelect.value;
+    let shown = rows.filter(row =>
+      (!text || columns.some(column => String(row[column.key] ?? '').toLowerCase().includes(text))) &&
+      (validity === 'all' || String(row[validitySelect.dataset.key]) === validity)
+    );
+    if (state.key) {
+      shown = shown.slice().sort((a, b) => {
+        const x = sortValue(a[state.key]);
+        const y = sortValue(b[state.key]);
+        return (x < y ? -1 : x > y ? 1 : 0) * state.direction;
+      });
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (const row of shown) {
+      const tr = document.createElement('tr');
+      columns.forEach(column => tr.appendChild(cell(row, column)));
+      if (onRowClick) tr.addEventListener('click', () => onRowClick(row));
+      fragment.appendChild(tr);
+    }
+    body.replaceChildren(fragment);
+    count.textContent = shown.length + ' of ' + rows.length + ' rows';
+  }
+
+  filterInput.addEventListener('input', render);
+  validitySelect.addEventListener('change', render);
+  render();
+}
+
+function showWallet(wallet) {
+  const panel = document.getElementById('drilldown');
+  panel.hidden = false;
+  panel.replaceChildren();
+
+  const title = document.createElement('h3');
+  title.append('Wallet ', link(explorer.addressUrl, 'address', wallet.evmAddress), ' (' + wallet.cosmosAddress + ')');
+  panel.appendChild(title);
+
+  const summary = document.createElement('p');
+  summary.textContent = wallet.voteCount + ' votes, ' + wallet.validVoteCount + ' valid; final balance ' +
+    (wallet.finalBalance ?? 'unknown') + ' SEI; minimum ' + (wallet.minBalance ?? 'unknown') + ' SEI' +
+    (wallet.minBalanceBlock === null ? '' : ' at block ' + wallet.minBalanceBlock);
+  panel.appendChild(summary);
+
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  ['Block', 'Balance (SEI)', 'Check', 'Outcome', 'Source'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  for (const check of wallet.checks) {
+    const tr = body.insertRow();
+    tr.insertCell().textContent = check.blockNumber;
+    tr.insertCell().textContent = check.balance ?? 'unknown';
+    tr.insertCell().textContent = check.check;
+    tr.insertCell().appendChild(check.passed === null ? document.createTextNode('') : outcome(check.passed));
+    tr.insertCell().textContent = check.source ?? '';
+  }
+  panel.appendChild(table);
+
+  const votes = document.createElement('p');
+  votes.append('Votes: ');
+  wallet.votes.forEach((txHash, index) => {
+    if (index > 0) votes.append(', ');
+    votes.appendChild(link(explorer.txUrl, 'txHash', txHash));
+  });
+  panel.appendChild(votes);
+  panel.scrollIntoView({ behavior: 'smooth' });
+}
+
+makeTable('votes', data.votes, [
+  { key: 'txHash', label: 'Transaction', type: 'tx' },
+  { key: 'evmAddress', label: 'Voter', type: 'address' },
+  { key: 'blockNumber', label: 'Block' },
+  { key: 'timestamp', label: 'Time' },
+  { key: 'balanceAtVote', label: 'Balance at vote (SEI)' },
+  { key: 'balanceBeforeVote', label: 'Balance before vote (SEI)' },
+  { key: 'isValid', label: 'Valid at vote', type: 'outcome' },
+  { key: 'finalIsValid', label: 'Valid at end', type: 'outcome' },
+  { key: 'borrowedBalance', label: 'Borrowed balance', type: 'outcome' },
+  { key: 'reviewOverride', label: 'Reviewer override', type: 'outcome' },
+  { key: 'reviewNote', label: 'Reviewer note' },
+  { key: 'valid', label: 'Counted as valid', type: 'outcome' }
+]);
+
+makeTable('wallets', data.wallets, [
+  { key: 'evmAddress', label: 'EVM address', type: 'address' },
+  { key: 'cosmosAddress', label: 'Cosmos address' },
+  { key: 'voteCount', label: 'Votes' },
+  { key: 'validVoteCount', label: 'Valid votes' },
+  { key: 'finalBalance', label: 'Final balance (SEI)' },
+  { key: 'finalBalanceValid', label: 'Final balance valid', type: 'outcome' },
+  { key: 'minBalance', label: 'Minimum balance (SEI)' },
+  { key: 'minBalanceBlock', label: 'Minimum balance block' }
+], showWallet);
+`;
+
+/**
+ * Render a table section with its filter controls
+ * @param {string} id Table id
+ * @param {string} title Section title
+ * @param {string} validityKey Row field the validity filter applies to
+ * @param {string} hint Text under the title (optional)
+ * @returns {string} HTML
+ */
+function renderTableSection(id, title, validityKey, hint = '') {
+  return `<h2>${escapeHtml(title)}</h2>${hint ? `<p class="count">${escapeHtml(hint)}</p>` : ''}
+<div class="controls">
+  <input id="${id}-filter" type="search" placeholder="Filter by address, hash, block...">
+  <select id="${id}-validity" data-key="${validityKey}">
+    <option value="all">All</option>
+    <option value="true">Valid</option>
+    <option value="false">Invalid</option>
+    <option value="null">Unknown</option>
+  </select>
+</div>
+<div class="count" id="${id}-count"></div>
+<div style="overflow-x:auto"><table id="${id}"></table></div>`;
+}
+
+/**
+ * Build the HTML report
+ * @param {Object} round Round definition
+ * @param {Object} statistics Statistics written by generateReport (voting_statistics.json)
+ * @param {VoteStore} store Vote store
+ * @returns {string} HTML document
+ */
+export function buildHtmlReport(round, statistics, store) {
+  const data = {
+    ...buildReportData(store),
+    explorer: { txUrl: EXPLORER.TX_URL, addressUrl: EXPLORER.ADDRESS_URL }
+  };
+  // Keep the embedded JSON from closing the script element
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  const provisional = statistics.status === 'provisional';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(round.name || round.id)} - voting report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(round.name || round.id)}</h1>
+<div class="meta">
+  Voting ${escapeHtml(round.votingStartDate.toISOString())} to ${escapeHtml(round.votingEndDate.toISOString())}.
+  Generated ${escapeHtml(statistics.generatedAt)}.
+  ${provisional
+    ? '<span class="status-provisional">Provisional: some votes have unresolved balance lookups.</span>'
+    : 'Final.'}
+</div>
+<div class="cards">${renderCards(statistics.overview)}</div>
+<div class="histograms">
+  ${renderHistogram('Wallets by vote count', statistics.walletCategories?.byVoteCount, VOTE_COUNT_LABELS)}
+  ${renderHistogram('Wallets by final balance', statistics.walletCategories?.byBalanceRange, BALANCE_RANGE_LABELS)}
+</div>
+${renderTableSection('votes', 'Votes', 'valid')}
+${renderTableSection('wallets', 'Wallets', 'finalBalanceValid', 'Click a wallet to see every balance checked for it.')}
+<section id="drilldown" hidden></section>
+<script type="application/json" id="report-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report
+ * @param {string} htmlFile HTML report path
+ * @param {Object} round Round definition
+ * @param {Object} statistics Statistics written by generateReport (voting_statistics.json)
+ * @param {VoteStore} store Vote store
+ */
+export function writeHtmlReport(htmlFile, round, statistics, store) {
+  fs.writeFileSync(htmlFile, buildHtmlReport(round, statistics, store), 'utf8');
+  console.log(`HTML report generated at: ${htmlFile}`);
+}
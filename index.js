@@ -3,26 +3,25 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ethers } from 'ethers';
 
 // Import configuration
 import { 
-  PROXY_ADDRESS, 
-  IMPLEMENTATION_ADDRESS, 
-  MIN_SEI_REQUIRED,
-  VOTING_START_DATE,
-  VOTING_END_DATE,
-  RPC_ENDPOINTS,
-  PATHS,
   BATCH,
-  MEMORY
+  MEMORY,
+  BALANCE_RETRY,
+  REORG
 } from './config.js';
+import { getRound, getRoundPaths } from './rounds.js';
+import { openVoteStore } from './voteStore.js';
+import { getCurrentBlockNumber, probeEndpoints, destroyProviders } from './endpointPool.js';
 
 // Import functionality modules
 import * as walletBalances from './walletBalances.js';
-import { scanBlockRangeForVotes, clearCaches } from './blockScanner.js';
+import { discoverVotes, repairFailedRanges, clearCaches } from './blockScanner.js';
+import { openRangeLedger } from './rangeLedger.js';
 import { findStartBlock } from './findStartBlock.js';
-import { monitorForVotes, saveMonitorCheckpoint, loadMonitorCheckpoint } from './realTimeMonitor.js';
+import { VoteMonitor, forceRescan, saveMonitorCheckpoint, loadMonitorCheckpoint } from './realTimeMonitor.js';
+import { openCoverage } from './coverage.js';
 import { generateReport } from './generateReport.js';
 import { 
   startMemoryMonitoring, 
@@ -32,7 +31,8 @@ import {
 } from './memoryManager.js';
 import { 
   sleep, 
-  ensureDirectoryExists 
+  ensureDirectoryExists,
+  formatSeiBalance
 } from './utils.js';
 
 // Get directory name in ESM
@@ -43,12 +43,33 @@ const __dirname = path.dirname(__filename);
 let isRunning = true;
 let isProcessingHistorical = false;
 let lastCheckpointTime = Date.now();
-let voteListener = null;
+let voteMonitor = null;
 let pendingVotes = [];
 let processingPromise = null;
+let retryTimer = null;
+let retryPromise = null;
 
-// Ensure data directory exists
-ensureDirectoryExists(PATHS.DATA_DIR);
+// Active round, its data paths and vote store (set by setActiveRound)
+let round = null;
+let paths = null;
+let store = null;
+let coverage = null;
+
+/**
+ * Select the round to monitor and prepare its data directory
+ * @param {string} roundId Round id (defaults to the configured default round)
+ * @returns {Object} The active round
+ */
+function setActiveRound(roundId = null) {
+    round = getRound(roundId);
+    paths = getRoundPaths(round);
+    
+    // Ensure data directory exists
+    ensureDirectoryExists(paths.DATA_DIR);
+    store = openVoteStore(paths);
+    coverage = openCoverage(paths.COVERAGE_FILE);
+    return round;
+}
 
 /**
  * Load the last processed block
@@ -56,8 +77,8 @@ ensureDirectoryExists(PATHS.DATA_DIR);
  */
 function loadLastProcessedBlock() {
     try {
-        if (fs.existsSync(PATHS.LAST_BLOCK_FILE)) {
-            return parseInt(fs.readFileSync(PATHS.LAST_BLOCK_FILE, 'utf8'));
+        if (fs.existsSync(paths.LAST_BLOCK_FILE)) {
+            return parseInt(fs.readFileSync(paths.LAST_BLOCK_FILE, 'utf8'));
         }
     } catch (error) {
         console.error('Error loading last processed block:', error);
@@ -66,13 +87,14 @@ function loadLastProcessedBlock() {
 }
 
 /**
- * Save the last processed block
+ * Save the last processed block (held below any block range that failed to scan)
  * @param {number} blockNumber The block number to save
  */
 function saveLastProcessedBlock(blockNumber) {
     try {
-        fs.writeFileSync(PATHS.LAST_BLOCK_FILE, blockNumber.toString(), 'utf8');
-        console.log(`Last processed block saved: ${blockNumber}`);
+        const checkpoint = openRangeLedger(paths.RANGE_LEDGER_FILE).limitCheckpoint(blockNumber);
+        fs.writeFileSync(paths.LAST_BLOCK_FILE, checkpoint.toString(), 'utf8');
+        console.log(`Last processed block saved: ${checkpoint}${checkpoint < blockNumber ? ` (held below unscanned range, processed up to ${blockNumber})` : ''}`);
         lastCheckpointTime = Date.now();
     } catch (error) {
         console.error('Error saving last processed block:', error);
@@ -84,7 +106,7 @@ function saveLastProcessedBlock(blockNumber) {
  * @returns {boolean} True if locked, false otherwise
  */
 function isLocked() {
-    return fs.existsSync(PATHS.LOCK_FILE);
+    return fs.existsSync(paths.LOCK_FILE);
 }
 
 /**
@@ -92,7 +114,7 @@ function isLocked() {
  */
 function createLock() {
     try {
-        fs.writeFileSync(PATHS.LOCK_FILE, Date.now().toString(), 'utf8');
+        fs.writeFileSync(paths.LOCK_FILE, Date.now().toString(), 'utf8');
     } catch (error) {
         console.error('Error creating lock file:', error);
     }
@@ -103,8 +125,8 @@ function createLock() {
  */
 function removeLock() {
     try {
-        if (fs.existsSync(PATHS.LOCK_FILE)) {
-            fs.unlinkSync(PATHS.LOCK_FILE);
+        if (paths && fs.existsSync(paths.LOCK_FILE)) {
+            fs.unlinkSync(paths.LOCK_FILE);
         }
     } catch (error) {
         console.error('Error removing lock file:', error);
@@ -131,30 +153,14 @@ async function processBatchOfVotes(votes) {
         const votePromises = subBatch.map(async (vote) => {
             try {
                 // Convert EVM address to Cosmos address
-                const cosmosAddress = await walletBalances.convertEvmToCosmos(
-                    vote.from,
-                    RPC_ENDPOINTS.primary.rest,
-                    RPC_ENDPOINTS.fallback.rest
-                );
+                const cosmosAddress = await walletBalances.convertEvmToCosmos(vote.from, vote.transactionHash);
                 
                 // Check balance at vote and one block before
-                const balanceAtVote = await walletBalances.getSeiBalance(
-                    cosmosAddress, 
-                    vote.blockNumber,
-                    RPC_ENDPOINTS.primary.rest,
-                    RPC_ENDPOINTS.fallback.rest,
-                    RPC_ENDPOINTS.primary.evmRpc,
-                    RPC_ENDPOINTS.fallback.evmRpc
-                );
+                const lookupAtVote = await walletBalances.lookupSeiBalance(cosmosAddress, vote.blockNumber);
+                const lookupBeforeVote = await walletBalances.lookupSeiBalance(cosmosAddress, vote.blockNumber - 1);
                 
-                const balanceBeforeVote = await walletBalances.getSeiBalance(
-                    cosmosAddress, 
-                    vote.blockNumber - 1,
-                    RPC_ENDPOINTS.primary.rest,
-                    RPC_ENDPOINTS.fallback.rest,
-                    RPC_ENDPOINTS.primary.evmRpc,
-                    RPC_ENDPOINTS.fallback.evmRpc
-                );
+                const balanceAtVote = lookupAtVote.balance;
+                const balanceBeforeVote = lookupBeforeVote.balance;
                 
                 // Record vote information
                 await walletBalances.recordVote(
@@ -165,13 +171,15 @@ async function processBatchOfVotes(votes) {
                     vote.timestamp,
                     balanceAtVote,
                     balanceBeforeVote,
-                    MIN_SEI_REQUIRED,
-                    PATHS.WALLETS_FILE,
-                    PATHS.VOTES_FILE
+                    round.minSeiRequired,
+                    store,
+                    { atVote: lookupAtVote, beforeVote: lookupBeforeVote },
+                    { allocations: vote.allocations, decodedFrom: vote.decodedFrom, decodedMethod: vote.decodedMethod }
                 );
                 
                 console.log(`Processed vote: ${vote.transactionHash.substring(0, 10)}... from ${vote.from.substring(0, 8)}...`);
-                console.log(`  Block: ${vote.blockNumber}, Balance: ${balanceAtVote} SEI, Previous: ${balanceBeforeVote} SEI`);
+                const describeBalance = (balance) => balance === null ? 'unknown' : `${formatSeiBalance(balance)} SEI`;
+                console.log(`  Block: ${vote.blockNumber}, Balance: ${describeBalance(balanceAtVote)}, Previous: ${describeBalance(balanceBeforeVote)}`);
                 
                 return { success: true, txHash: vote.transactionHash };
             } catch (error) {
@@ -216,6 +224,27 @@ async function processPendingVotes() {
     });
 }
 
+/**
+ * Retry balance lookups of pending votes that are due (skipped if a retry pass is running)
+ */
+async function processBalanceRetries() {
+    if (retryPromise) {
+        return;
+    }
+    
+    retryPromise = walletBalances.retryPendingLookups(store, round.minSeiRequired).then(({ attempted, resolved, remaining }) => {
+        if (attempted > 0) {
+            console.log(`Balance retries: ${resolved}/${attempted} resolved, ${remaining} votes still pending`);
+        }
+    }).catch(error => {
+        console.error('Error retrying balance lookups:', error.message);
+    }).finally(() => {
+        retryPromise = null;
+    });
+    
+    await retryPromise;
+}
+
 /**
  * Handle a new vote
  * @param {Object} vote Vote object
@@ -236,13 +265,43 @@ function handleNewVote(vote) {
     }
 }
 
+/**
+ * Handle a vote whose block was orphaned by a chain reorganization
+ * @param {Object} vote Vote object
+ */
+function handleOrphanedVote(vote) {
+    // Not processed yet - just drop it from the queue
+    const queued = pendingVotes.length;
+    pendingVotes = pendingVotes.filter(pending => pending.transactionHash !== vote.transactionHash);
+    if (pendingVotes.length < queued) {
+        console.log(`Dropped orphaned vote ${vote.transactionHash} before processing`);
+        return;
+    }
+    
+    try {
+        walletBalances.rollbackVote(vote.transactionHash, store);
+    } catch (error) {
+        console.error(`Error rolling back orphaned vote ${vote.transactionHash}:`, error.message);
+    }
+    
+    // The vote may be in the batch being processed; roll back again once it is recorded
+    if (processingPromise) {
+        processingPromise.then(() => walletBalances.rollbackVote(vote.transactionHash, store)).catch(error => {
+            console.error(`Error rolling back orphaned vote ${vote.transactionHash}:`, error.message);
+        });
+    }
+}
+
 /**
  * Main function to track voting activity
+ * @param {string} roundId Round id (defaults to the configured default round)
  */
-async function trackVotingActivity() {
-    console.log('Starting SEI voting activity tracker...');
+async function trackVotingActivity(roundId = null) {
+    setActiveRound(roundId);
+    
+    console.log(`Starting SEI voting activity tracker for round ${round.id}...`);
     console.log(`Current time: ${new Date().toISOString()}`);
-    console.log(`Voting period: ${VOTING_START_DATE.toISOString()} to ${VOTING_END_DATE.toISOString()}`);
+    console.log(`Voting period: ${round.votingStartDate.toISOString()} to ${round.votingEndDate.toISOString()}`);
 
     // Check for lock
     if (isLocked()) {
@@ -262,50 +321,46 @@ async function trackVotingActivity() {
             reportInterval: MEMORY.REPORT_INTERVAL
         });
         
+        // Measure endpoint latency and head height before routing any requests
+        await probeEndpoints();
+        
         // Get starting block
         let fromBlock = loadLastProcessedBlock();
         if (fromBlock === 0) {
             // Find the exact block at the start of voting period
-            fromBlock = await findStartBlock(
-                VOTING_START_DATE,
-                RPC_ENDPOINTS.primary.evmRpc,
-                RPC_ENDPOINTS.fallback.evmRpc
-            );
+            fromBlock = await findStartBlock(round.votingStartDate);
             console.log(`Found exact starting block: ${fromBlock}`);
             
             // Save this block as the starting point
             saveLastProcessedBlock(fromBlock);
         }
 
-        // Get current block
-        const provider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.primary.evmRpc);
-        let currentBlock;
-        try {
-            currentBlock = await provider.getBlockNumber();
-        } catch (error) {
-            console.error('Error getting current block from primary RPC:', error.message);
-            const fallbackProvider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.fallback.evmRpc);
-            currentBlock = await fallbackProvider.getBlockNumber();
-        }
-        console.log(`Current block: ${currentBlock}`);
+        // Get current block (blocks newer than the confirmation depth are left to the live monitor)
+        const headBlock = await getCurrentBlockNumber();
+        const currentBlock = Math.max(fromBlock, headBlock - REORG.CONFIRMATIONS);
+        console.log(`Current block: ${headBlock} (last confirmed: ${currentBlock})`);
 
         // Check if we have historical data to process
         if (fromBlock < currentBlock) {
             console.log(`Processing historical blocks from ${fromBlock} to ${currentBlock}...`);
             isProcessingHistorical = true;
             
-            // Fetch historical voting events in optimized batches
+            // Fetch historical voting events (trace_filter, falling back to block scanning)
             try {
-                const events = await scanBlockRangeForVotes(
+                const events = await discoverVotes(
                     fromBlock, 
                     currentBlock, 
-                    [PROXY_ADDRESS, IMPLEMENTATION_ADDRESS],
-                    RPC_ENDPOINTS.primary.evmRpc,
-                    RPC_ENDPOINTS.fallback.evmRpc,
+                    round.addresses,
                     null,
-                    true
+                    null,
+                    null,
+                    paths.LAST_BLOCK_FILE
                 );
                 
+                // Record the ranges the scan completed (failed ranges stay gaps until re-scanned)
+                coverage.recordLedger('historical', openRangeLedger(paths.RANGE_LEDGER_FILE), fromBlock, currentBlock);
+                coverage.flush();
+                
                 console.log(`Found ${events.length} historical voting transactions`);
                 
                 // Process in smaller batches
@@ -340,22 +395,33 @@ async function trackVotingActivity() {
             isProcessingHistorical = false;
         }
 
+        // Retry lookups that failed in earlier runs, then keep retrying on a schedule
+        await processBalanceRetries();
+        retryTimer = setInterval(processBalanceRetries, BALANCE_RETRY.CHECK_INTERVAL_MS);
+        
         // Start live monitoring
         console.log('Starting live monitoring...');
-        voteListener = monitorForVotes(
-            currentBlock,
-            [PROXY_ADDRESS, IMPLEMENTATION_ADDRESS],
-            RPC_ENDPOINTS,
-            handleNewVote,
-            (blockNumber) => {
-                // Block processed callback to periodically save checkpoint
-                const now = Date.now();
-                if (now - lastCheckpointTime > BATCH.SAVE_CHECKPOINT_INTERVAL_MS) {
-                    saveLastProcessedBlock(blockNumber);
-                }
-            },
-            VOTING_END_DATE
-        );
+        voteMonitor = new VoteMonitor(currentBlock, round.addresses, round.votingEndDate, coverage);
+        voteMonitor.on('vote', handleNewVote);
+        voteMonitor.on('vote-orphaned', handleOrphanedVote);
+        voteMonitor.on('block', (blockNumber) => {
+            // Periodically save checkpoint (the block is confirmed, so votes below it are final)
+            const now = Date.now();
+            if (now - lastCheckpointTime > BATCH.SAVE_CHECKPOINT_INTERVAL_MS) {
+                saveLastProcessedBlock(blockNumber);
+            }
+        });
+        const transport = await voteMonitor.start();
+        if (!transport) {
+            // Neither WebSocket nor polling started, so nothing is watching for votes
+            console.error('Live monitoring could not start on any transport');
+            await voteMonitor.stop();
+            voteMonitor = null;
+            clearInterval(retryTimer);
+            retryTimer = null;
+            removeLock();
+            return false;
+        }
         
         return true;
     } catch (error) {
@@ -365,6 +431,65 @@ async function trackVotingActivity() {
     }
 }
 
+/**
+ * Re-scan block ranges that failed during earlier runs and process the votes found
+ * @param {string} roundId Round id (defaults to the configured default round)
+ * @returns {Promise<Object>} Repaired and still failing ranges, and the votes found
+ */
+async function repairScanRanges(roundId = null) {
+    setActiveRound(roundId);
+    
+    // The monitor writes the same ledger, so never repair underneath it
+    if (isLocked()) {
+        throw new Error('The monitor is running for this round; stop it before repairing scan ranges');
+    }
+    
+    const result = await repairFailedRanges(round.addresses, null, paths.LAST_BLOCK_FILE);
+    
+    for (const range of result.repaired) {
+        coverage.record('historical', range.from, range.to);
+    }
+    coverage.flush();
+    
+    await processVotesInBatches(result.votes);
+    return result;
+}
+
+/**
+ * Re-scan block ranges no source has examined and process the votes found
+ * @param {string} roundId Round id (defaults to the configured default round)
+ * @param {Array<{from: number, to: number}>} gaps Block ranges to re-scan
+ * @returns {Promise<Array>} Votes found
+ */
+async function rescanCoverageGaps(roundId, gaps) {
+    setActiveRound(roundId);
+    
+    // A running monitor records coverage in its own process
+    if (isLocked()) {
+        throw new Error('The monitor is running for this round; stop it before rescanning gaps');
+    }
+    
+    const votes = [];
+    for (const gap of gaps) {
+        votes.push(...await forceRescan(gap.from, gap.to, round.addresses, null, coverage));
+    }
+    
+    await processVotesInBatches(votes);
+    return votes;
+}
+
+/**
+ * Process votes found by a rescan in batches
+ * @param {Array} votes Vote objects
+ */
+async function processVotesInBatches(votes) {
+    const PROCESS_BATCH_SIZE = 100;
+    for (let i = 0; i < votes.length; i += PROCESS_BATCH_SIZE) {
+        await processBatchOfVotes(votes.slice(i, i + PROCESS_BATCH_SIZE));
+        manageMemory();
+    }
+}
+
 /**
  * Generate final report
  */
@@ -372,36 +497,27 @@ async function generateFinalReport() {
     console.log('Voting period has ended. Generating final report...');
     
     // Get current block for final check
-    let currentBlock;
-    try {
-        const provider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.primary.evmRpc);
-        currentBlock = await provider.getBlockNumber();
-    } catch (error) {
-        console.error('Error getting current block from primary RPC:', error.message);
-        const fallbackProvider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.fallback.evmRpc);
-        currentBlock = await fallbackProvider.getBlockNumber();
-    }
+    const currentBlock = await getCurrentBlockNumber();
     
     // Stop listening for new votes
-    if (voteListener) {
-        voteListener.stop();
-        voteListener = null;
+    if (voteMonitor) {
+        await voteMonitor.stop();
+        voteMonitor = null;
+    }
+    if (retryTimer) {
+        clearInterval(retryTimer);
+        retryTimer = null;
     }
     
     // Check final balances
     await walletBalances.checkFinalBalances(
         currentBlock,
-        MIN_SEI_REQUIRED,
-        PATHS.WALLETS_FILE,
-        PATHS.VOTES_FILE,
-        RPC_ENDPOINTS.primary.rest,
-        RPC_ENDPOINTS.fallback.rest,
-        RPC_ENDPOINTS.primary.evmRpc,
-        RPC_ENDPOINTS.fallback.evmRpc
+        round.minSeiRequired,
+        store
     );
     
     // Generate reports
-    await generateReport();
+    await generateReport(round.id);
     
     console.log('Final report generation complete.');
 }
@@ -416,7 +532,10 @@ function cleanup() {
     try {
       // Stop all services
       stopMemoryMonitoring();
-      if (voteListener) voteListener.stop();
+      if (voteMonitor) voteMonitor.stop();
+      if (retryTimer) clearInterval(retryTimer);
+      destroyProviders();
+      if (coverage) coverage.flush();
       
       // Process remaining votes
       if (pendingVotes.length > 0) {
@@ -436,15 +555,16 @@ function cleanup() {
   
 /**
  * Schedule periodic checks
+ * @param {string} roundId Round id (defaults to the configured default round)
  */
-async function schedulePeriodicChecks() {
+async function schedulePeriodicChecks(roundId = null) {
     try {
         // Trap exit signals
         process.on('SIGINT', cleanup);
         process.on('SIGTERM', cleanup);
         
         // Start monitoring
-        const monitoringStarted = await trackVotingActivity();
+        const monitoringStarted = await trackVotingActivity(roundId);
         
         if (!monitoringStarted) {
             console.error('Failed to start monitoring. Exiting...');
@@ -454,7 +574,7 @@ async function schedulePeriodicChecks() {
         
         // Check if voting period is already over
         const now = new Date();
-        if (now >= VOTING_END_DATE && isRunning) {
+        if (now >= round.votingEndDate && isRunning) {
             await generateFinalReport();
             cleanup();
         }
@@ -466,7 +586,7 @@ async function schedulePeriodicChecks() {
 
 // Start the monitoring if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    schedulePeriodicChecks().catch(error => {
+    schedulePeriodicChecks(process.argv[2]).catch(error => {
         console.error('Fatal error:', error);
         cleanup();
         process.exit(1);
@@ -476,5 +596,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 export {
     trackVotingActivity,
     schedulePeriodicChecks,
+    repairScanRanges,
+    rescanCoverageGaps,
     cleanup
 };
\ No newline at end of file
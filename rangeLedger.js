@@ -0,0 +1,241 @@
+/**
+ * Scan range ledger for SEI Voting Monitor
+ *
+ * Records every scanned block range as pending, done or failed, with the number
+ * of attempts and the last error. Ranges never overlap; adjacent done ranges
+ * are merged so the ledger stays small. The checkpoint written to
+ * last_processed_block.txt is held below the first range that is not done, so
+ * a range that failed is scanned again on the next run instead of being skipped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDirectoryExists } from './utils.js';
+import { getRoundPaths } from './rounds.js';
+
+// Open ledgers keyed by file path
+const openLedgers = new Map();
+
+export class RangeLedger {
+  /**
+   * @param {string|null} ledgerFile File to persist the ledger to (null keeps it in memory)
+   */
+  constructor(ledgerFile = null) {
+    this.ledgerFile = ledgerFile;
+    this.ranges = [];
+
+    this.load();
+  }
+
+  /**
+   * Load the ledger from disk
+   */
+  load() {
+    if (!this.ledgerFile || !fs.existsSync(this.ledgerFile)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+      this.ranges = (data.ranges || []).sort((a, b) => a.from - b.from);
+    } catch (error) {
+      console.error(`Error loading range ledger ${this.ledgerFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the ledger to disk (via a temporary file, so a crash cannot truncate it)
+   */
+  save() {
+    if (!this.ledgerFile) return;
+
+    const tempFile = `${this.ledgerFile}.tmp`;
+    ensureDirectoryExists(path.dirname(this.ledgerFile));
+    fs.writeFileSync(tempFile, JSON.stringify({ ranges: this.ranges }, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.ledgerFile);
+  }
+
+  /**
+   * Set the status of a block range, replacing whatever the ledger held for it
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @param {string} status 'pending', 'done' or 'failed'
+   * @param {string|null} error Error message (failed ranges)
+   * @returns {Object} The new range record
+   */
+  setStatus(from, to, status, error = null) {
+    const overlapping = this.ranges.filter(range => range.from <= to && range.to >= from);
+    const previousAttempts = Math.max(0, ...overlapping.map(range => range.attempts));
+
+    // Keep the parts of overlapping ranges outside [from, to]
+    const remaining = this.ranges.filter(range => range.from > to || range.to < from);
+    for (const range of overlapping) {
+      if (range.from < from) remaining.push({ ...range, to: from - 1 });
+      if (range.to > to) remaining.push({ ...range, from: to + 1 });
+    }
+
+    const record = {
+      from,
+      to,
+      status,
+      attempts: status === 'pending' ? previousAttempts : previousAttempts + 1,
+      lastError: error,
+      updatedAt: new Date().toISOString()
+    };
+    remaining.push(record);
+
+    this.ranges = remaining.sort((a, b) => a.from - b.from);
+    this.mergeDone();
+    return record;
+  }
+
+  /**
+   * Merge adjacent done ranges
+   */
+  mergeDone() {
+    const merged = [];
+    for (const range of this.ranges) {
+      const last = merged[merged.length - 1];
+      if (last && last.status === 'done' && range.status === 'done' && last.to + 1 === range.from) {
+        last.to = range.to;
+        last.updatedAt = range.updatedAt > last.updatedAt ? range.updatedAt : last.updatedAt;
+      } else {
+        merged.push({ ...range });
+      }
+    }
+    this.ranges = merged;
+  }
+
+  /**
+   * Record that a range is about to be scanned (parts already done or failed keep their status)
+   * @param {number} from First block
+   * @param {number} to Last block
+   */
+  markPending(from, to) {
+    for (const gap of this.getUnrecorded(from, to)) {
+      this.setStatus(gap.from, gap.to, 'pending');
+    }
+  }
+
+  /**
+   * Record a successfully scanned range
+   * @param {number} from First block
+   * @param {number} to Last block
+   */
+  markDone(from, to) {
+    this.setStatus(from, to, 'done');
+  }
+
+  /**
+   * Record a range whose scan failed
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @param {Error|string} error Scan error
+   * @returns {Object} The failed range record (with its attempt count)
+   */
+  markFailed(from, to, error) {
+    return this.setStatus(from, to, 'failed', error?.message || String(error));
+  }
+
+  /**
+   * Parts of [from, to] the ledger has no record of
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @returns {Array<{from: number, to: number}>} Unrecorded ranges
+   */
+  getUnrecorded(from, to) {
+    return this.getUncovered(from, to, () => true);
+  }
+
+  /**
+   * Parts of [from, to] that are not done (unrecorded, pending or failed)
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @returns {Array<{from: number, to: number}>} Ranges still to scan
+   */
+  getUnfinished(from, to) {
+    return this.getUncovered(from, to, range => range.status === 'done');
+  }
+
+  /**
+   * Parts of [from, to] not covered by ranges matching a filter
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @param {Function} covers Filter for ranges that count as covering
+   * @returns {Array<{from: number, to: number}>} Uncovered ranges
+   */
+  getUncovered(from, to, covers) {
+    const gaps = [];
+    let cursor = from;
+
+    for (const range of this.ranges) {
+      if (range.to < cursor || !covers(range)) continue;
+      if (range.from > to) break;
+      if (range.from > cursor) gaps.push({ from: cursor, to: range.from - 1 });
+      cursor = range.to + 1;
+    }
+
+    if (cursor <= to) gaps.push({ from: cursor, to });
+    return gaps;
+  }
+
+  /**
+   * Ranges with a given status
+   * @param {string} status 'pending', 'done' or 'failed'
+   * @returns {Array<Object>} Range records
+   */
+  getRanges(status) {
+    return this.ranges.filter(range => range.status === status);
+  }
+
+  /**
+   * Highest block below which every recorded range is done
+   * @returns {number|null} Contiguous watermark (null if the ledger is empty)
+   */
+  getWatermark() {
+    if (this.ranges.length === 0) return null;
+
+    const first = this.ranges[0];
+    return first.status === 'done' ? first.to : first.from - 1;
+  }
+
+  /**
+   * Hold a checkpoint below the first range that is not done
+   * @param {number} blockNumber Block the caller has processed up to
+   * @returns {number} Block that is safe to checkpoint
+   */
+  limitCheckpoint(blockNumber) {
+    const outstanding = this.ranges.find(range => range.status !== 'done' && range.from <= blockNumber);
+    return outstanding ? Math.min(blockNumber, outstanding.from - 1) : blockNumber;
+  }
+
+  /**
+   * Summary of the ledger
+   * @returns {Object} Range and block counts by status, and the watermark
+   */
+  getSummary() {
+    const summary = { watermark: this.getWatermark() };
+    for (const status of ['pending', 'done', 'failed']) {
+      const ranges = this.getRanges(status);
+      summary[status] = {
+        ranges: ranges.length,
+        blocks: ranges.reduce((sum, range) => sum + range.to - range.from + 1, 0)
+      };
+    }
+    return summary;
+  }
+}
+
+/**
+ * Open the range ledger stored in a file
+ * @param {string|null} ledgerFile Ledger file path (defaults to the active round's; null for an in-memory ledger)
+ * @returns {RangeLedger} Range ledger
+ */
+export function openRangeLedger(ledgerFile = getRoundPaths().RANGE_LEDGER_FILE) {
+  if (!ledgerFile) return new RangeLedger(null);
+
+  const existing = openLedgers.get(ledgerFile);
+  if (existing) return existing;
+
+  const ledger = new RangeLedger(ledgerFile);
+  openLedgers.set(ledgerFile, ledger);
+  return ledger;
+}
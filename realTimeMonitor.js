@@ -2,22 +2,31 @@
 // Implements websocket-based and polling-based real-time monitoring for new votes
 
 import { ethers } from 'ethers';
-import { retry, sleep } from './utils.js';
-import { scanBlockRangeForVotes } from './blockScanner.js';
+import { EventEmitter } from 'events';
+import { retry, sleep, ensureDirectoryExists } from './utils.js';
+import { 
+  discoverVotes, 
+  scanBlockRangeForVotes, 
+  forgetBlocks, 
+  isCandidateTransaction, 
+  isVoteTransaction, 
+  buildVoteInfo 
+} from './blockScanner.js';
+import { RPC_ENDPOINTS, REORG } from './config.js';
+import { getEndpointPool, getCurrentBlockNumber, withEvmProvider } from './endpointPool.js';
+import { RangeLedger } from './rangeLedger.js';
+import { getRoundPaths } from './rounds.js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get directory name in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 // Connection settings
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_DELAY_MS = 5000;
 const WEBSOCKET_PING_INTERVAL_MS = 30000;
 const POLLING_INTERVAL_MS = 5000;
-const POLLING_BATCH_SIZE = 20;
+const POLLING_BATCH_SIZE = 20;           // Blocks per polling cycle when keeping up with the head
+const MAX_POLLING_BATCH_SIZE = 2000;     // Upper bound while catching up
+const LAG_WARNING_BLOCKS = 100;          // Warn when the monitor is further behind the head
 
 /**
  * Create a websocket provider with auto-reconnect
@@ -25,8 +34,9 @@ const POLLING_BATCH_SIZE = 20;
  * @returns {Promise<ethers.WebSocketProvider>} WebSocket provider
  */
 async function createWebSocketProvider(wsUrl) {
+  let provider = null;
   try {
-    const provider = new ethers.WebSocketProvider(wsUrl);
+    provider = new ethers.WebSocketProvider(wsUrl);
     
     // Set up ping to keep connection alive
     const pingInterval = setInterval(() => {
@@ -40,457 +50,863 @@ async function createWebSocketProvider(wsUrl) {
     // Test the connection
     await provider.getBlockNumber();
     
-    console.log('WebSocket connection established');
+    console.log(`WebSocket connection established (${wsUrl})`);
     return provider;
   } catch (error) {
-    console.error('Failed to create WebSocket provider:', error.message);
+    console.error(`Failed to create WebSocket provider for ${wsUrl}:`, error.message);
+    if (provider) {
+      clearInterval(provider._pingInterval);
+      provider.destroy();
+    }
     throw error;
   }
 }
 
 /**
- * Monitor for new votes using WebSockets (preferred) or polling (fallback)
- * @param {number} startBlock Block to start monitoring from
+ * Find the votes in a block fetched with its transactions
+ * @param {ethers.Block} block Block with prefetched transactions
  * @param {Array<string>} addresses Contract addresses [proxy, implementation]
- * @param {Object} endpoints RPC endpoints with primary/fallback and ws URLs
- * @param {Function} onVoteFound Callback for when a vote is found
- * @param {Function} onBlockProcessed Callback for when a block is processed (optional)
- * @param {Date} endDate Date when voting period ends (optional)
- * @returns {Object} Monitor controller with stop method
+ * @param {ethers.Provider} provider Provider to fetch receipts with
+ * @returns {Promise<Array>} Voting transactions
+ * @throws {Error} If the receipt of a candidate transaction could not be fetched
  */
-export function monitorForVotes(
-  startBlock,
-  addresses,
-  endpoints,
-  onVoteFound,
-  onBlockProcessed = null,
-  endDate = null
-) {
-  let isRunning = true;
-  let currentBlock = startBlock;
-  let wsProvider = null;
-  let httpProvider = null;
-  let reconnectAttempts = 0;
-  let pollInterval = null;
-  
-  // Function to clean up resources
-  const cleanup = () => {
-    isRunning = false;
-    
-    if (wsProvider) {
-      if (wsProvider._pingInterval) {
-        clearInterval(wsProvider._pingInterval);
+async function detectVotesInBlock(block, addresses, provider) {
+  // ethers keeps the full transactions of a prefetched block in prefetchedTransactions
+  const proxyAddress = addresses[0].toLowerCase();
+  const implAddress = addresses[1].toLowerCase();
+  const transactions = block.prefetchedTransactions || block.transactions;
+  const votes = [];
+  
+  const candidates = transactions.filter(tx => isCandidateTransaction(tx, proxyAddress, implAddress));
+  if (candidates.length > 0) {
+    console.log(`Found ${candidates.length} potential vote transactions in block ${block.number}`);
+  }
+  
+  for (const tx of candidates) {
+    // Check receipt (a missing one means the block was not fully examined)
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt) {
+      throw new Error(`Receipt for ${tx.hash} in block ${block.number} could not be fetched`);
+    }
+    
+    if (receipt.status !== 1) continue;
+    
+    // Same detection criteria as the historical scanner
+    const voteCheck = isVoteTransaction(tx, receipt, proxyAddress, implAddress);
+    if (voteCheck.isVote) {
+      console.log(`Vote found: ${tx.hash} (method: ${voteCheck.detectionMethod})`);
+      votes.push(buildVoteInfo(tx, block, voteCheck));
+    }
+  }
+  
+  return votes;
+}
+
+/**
+ * Monitors new blocks for votes using WebSockets (preferred) or polling (fallback)
+ *
+ * Events:
+ * - `vote` (vote): a vote whose block has REORG.CONFIRMATIONS blocks on top of it
+ * - `vote-orphaned` (vote): a committed vote whose block was orphaned by a reorganization
+ * - `block` (blockNumber): highest confirmed block examined without gaps
+ * - `transport-change` ({ from, to }): switched between 'websocket', 'polling' and null (stopped)
+ * - `reconnect` ({ attempt, maxAttempts, delayMs }): a WebSocket reconnect was scheduled
+ * - `lag` ({ headBlock, currentBlock, blocks, transport }): distance to the chain head after each cycle
+ * - `error` (error, context): a block or polling cycle failed (retried on the next one)
+ * - `voting-ended` (blockNumber): the voting period's last block is confirmed; the monitor stops
+ *
+ * When a new head does not build on the blocks seen so far, the monitor
+ * rewinds to the fork point, drops the votes of the orphaned blocks and scans
+ * the canonical blocks again.
+ *
+ * Blocks the monitor fell behind on (after a WebSocket reconnect, a slow
+ * cycle or a pause) are scanned with the historical scanner up to the latest
+ * head. In polling mode the blocks per cycle grow while the monitor is behind
+ * and cycles run back to back until it has caught up.
+ */
+export class VoteMonitor extends EventEmitter {
+  /**
+   * @param {number} startBlock Block to start monitoring from
+   * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+   * @param {Date} endDate Date when voting period ends (optional)
+   * @param {CoverageTracker} coverage Tracker to record examined blocks in (optional)
+   */
+  constructor(startBlock, addresses, endDate = null, coverage = null) {
+    super();
+    this.startBlock = startBlock;
+    this.addresses = addresses;
+    this.endDate = endDate;
+    this.coverage = coverage;
+    
+    this.isRunning = false;
+    this.isPaused = false;
+    this.transport = null;
+    this.currentBlock = startBlock;
+    this.headBlock = startBlock;
+    this.wsProvider = null;
+    this.wsUrl = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pollInterval = null;
+    this.pollBatchSize = POLLING_BATCH_SIZE;
+    this.startPromise = null;
+    this.blockQueue = Promise.resolve();
+    this.pollPromise = null;
+    
+    // Hashes of recently processed blocks, votes waiting for confirmations and
+    // committed votes that a reorganization could still orphan
+    this.recentHashes = new Map();
+    this.committedVotes = new Map();
+    this.unconfirmedVotes = [];
+    this.votingEndedAt = null;
+  }
+  
+  /**
+   * Start monitoring - try WebSockets first, fall back to polling
+   * @returns {Promise<string|null>} Transport in use ('websocket' or 'polling'; null if neither started)
+   */
+  async start() {
+    if (this.isRunning) return this.transport;
+    this.isRunning = true;
+    
+    this.startPromise = (async () => {
+      // Try WebSocket first if available
+      if (RPC_ENDPOINTS.evmWs.length > 0) {
+        console.log('Attempting to use WebSocket monitoring...');
+        
+        if (await this.startWebSocketMonitoring()) {
+          console.log('WebSocket monitoring started successfully');
+          return;
+        }
+      }
+      
+      // Fall back to polling
+      if (this.isRunning) {
+        console.log('Falling back to polling monitoring');
+        await this.startPollingMonitoring();
       }
-      wsProvider.removeAllListeners();
-      wsProvider.destroy();
-      wsProvider = null;
+    })();
+    
+    await this.startPromise;
+    return this.transport;
+  }
+  
+  /**
+   * Stop monitoring. Resolves once the block or polling cycle in progress has
+   * finished and the WebSocket connection is closed.
+   */
+  async stop() {
+    if (!this.isRunning) return;
+    
+    console.log('Stopping vote monitor');
+    this.isRunning = false;
+    
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
     }
     
-    if (pollInterval) {
-      clearInterval(pollInterval);
-      pollInterval = null;
+    // Let a connection attempt and the cycle in progress settle before releasing the provider
+    await Promise.allSettled([this.startPromise, this.blockQueue, this.pollPromise]);
+    await this.closeWebSocket();
+    
+    if (this.unconfirmedVotes.length > 0) {
+      console.log(`Discarding ${this.unconfirmedVotes.length} votes still waiting for confirmations`);
+      this.unconfirmedVotes = [];
     }
     
-    if (httpProvider && typeof httpProvider.destroy === 'function') {
-      httpProvider.destroy();
-      httpProvider = null;
+    if (this.coverage) {
+      this.coverage.flush();
     }
-  };
+    
+    this.setTransport(null);
+  }
+  
+  /**
+   * Stop processing new blocks (the connection stays open; resume catches up)
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    
+    console.log(`Pausing vote monitor at block ${this.currentBlock}`);
+    this.isPaused = true;
+  }
+  
+  /**
+   * Resume processing after pause
+   */
+  resume() {
+    if (!this.isPaused) return;
+    
+    console.log(`Resuming vote monitor from block ${this.currentBlock}`);
+    this.isPaused = false;
+  }
+  
+  /**
+   * @returns {number} Highest block examined without gaps
+   */
+  getCurrentBlock() {
+    return this.currentBlock;
+  }
+  
+  /**
+   * @returns {boolean} True while the WebSocket connection is in use
+   */
+  isWebSocketActive() {
+    return !!this.wsProvider;
+  }
+  
+  /**
+   * @returns {Object} Latest head seen, highest block examined, blocks behind and transport
+   */
+  getLag() {
+    return {
+      headBlock: this.headBlock,
+      currentBlock: this.currentBlock,
+      blocks: Math.max(0, this.headBlock - this.currentBlock),
+      transport: this.transport
+    };
+  }
+  
+  /**
+   * Re-scan a block range, emitting the votes found
+   * @param {number} fromBlock Starting block
+   * @param {number} toBlock Ending block
+   * @returns {Promise<Array>} Voting transactions
+   */
+  forceRescan(fromBlock, toBlock) {
+    return forceRescan(fromBlock, toBlock, this.addresses, vote => this.emit('vote', vote), this.coverage);
+  }
+  
+  /**
+   * Record the transport in use, emitting transport-change when it changes
+   * @param {string|null} transport 'websocket', 'polling' or null
+   */
+  setTransport(transport) {
+    if (transport === this.transport) return;
+    
+    const from = this.transport;
+    this.transport = transport;
+    this.emit('transport-change', { from, to: transport });
+  }
+  
+  /**
+   * Log an error, and emit it to error listeners if there are any
+   * @param {string} context What failed
+   * @param {Error} error The error
+   */
+  reportError(context, error) {
+    console.error(`${context}:`, error.message);
+    
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, context);
+    }
+  }
   
-  // Check if voting period has ended
-  const checkVotingEnded = async (blockNumber) => {
-    if (!endDate) return false;
+  /**
+   * Check if voting period has ended
+   * @param {number} blockNumber Block to check
+   * @returns {Promise<boolean>} True if the block is at or after the end date
+   */
+  async checkVotingEnded(blockNumber) {
+    if (!this.endDate) return false;
     
     try {
       // Get block timestamp
-      const block = await httpProvider.getBlock(blockNumber);
+      const block = await withEvmProvider(provider => provider.getBlock(blockNumber), 'Block request');
       if (!block) return false;
       
       const blockTime = new Date(Number(block.timestamp) * 1000);
-      return blockTime >= endDate;
+      return blockTime >= this.endDate;
     } catch (error) {
       console.error('Error checking if voting period ended:', error.message);
       return false;
     }
-  };
+  }
+  
+  /**
+   * Remember the hash of a processed block, forgetting blocks too deep to reorganize
+   * @param {number} blockNumber Block number
+   * @param {string} hash Block hash
+   */
+  rememberBlock(blockNumber, hash) {
+    this.recentHashes.set(blockNumber, hash);
+    
+    for (const known of this.recentHashes.keys()) {
+      if (known <= blockNumber - REORG.MAX_DEPTH) this.recentHashes.delete(known);
+    }
+    for (const known of this.committedVotes.keys()) {
+      if (known <= blockNumber - REORG.MAX_DEPTH) this.committedVotes.delete(known);
+    }
+  }
   
-  // WebSocket-based monitoring
-  const startWebSocketMonitoring = async () => {
+  /**
+   * Hold a vote until its block is confirmed (a rescan replaces an earlier copy)
+   * @param {Object} vote Vote found
+   */
+  queueVote(vote) {
+    this.unconfirmedVotes = this.unconfirmedVotes.filter(queued => queued.transactionHash !== vote.transactionHash);
+    this.unconfirmedVotes.push(vote);
+  }
+  
+  /**
+   * Emit the votes whose block has enough confirmations at the given head
+   * @param {number} headBlock Chain head
+   */
+  commitConfirmedVotes(headBlock) {
+    const confirmed = this.unconfirmedVotes.filter(vote => headBlock - vote.blockNumber >= REORG.CONFIRMATIONS);
+    if (confirmed.length === 0) return;
+    
+    this.unconfirmedVotes = this.unconfirmedVotes.filter(vote => headBlock - vote.blockNumber < REORG.CONFIRMATIONS);
+    
+    for (const vote of confirmed) {
+      if (!this.committedVotes.has(vote.blockNumber)) this.committedVotes.set(vote.blockNumber, []);
+      this.committedVotes.get(vote.blockNumber).push(vote);
+      this.emit('vote', vote);
+    }
+  }
+  
+  /**
+   * Highest remembered block that is still on the canonical chain (blocks are
+   * remembered per scanned range, so the fork may lie anywhere above it)
+   * @param {number} belowBlock Highest block to consider
+   * @returns {Promise<number>} Block to rewind to
+   */
+  async findForkPoint(belowBlock) {
+    const remembered = [...this.recentHashes.keys()].filter(blockNumber => blockNumber <= belowBlock).sort((a, b) => b - a);
+    
+    for (const blockNumber of remembered) {
+      const block = await withEvmProvider(provider => provider.getBlock(blockNumber), 'Block request');
+      if (block && block.hash === this.recentHashes.get(blockNumber)) return blockNumber;
+    }
+    
+    const forkPoint = Math.max(this.startBlock, belowBlock - REORG.MAX_DEPTH);
+    console.warn(`No remembered block below ${belowBlock + 1} is canonical, rewinding to block ${forkPoint}`);
+    return forkPoint;
+  }
+  
+  /**
+   * Check that the chain still contains the last processed block, rewinding past it if not
+   * @param {ethers.Block} header Header of the new head (optional)
+   * @returns {Promise<boolean>} True if the monitor rewound
+   */
+  async checkForReorg(header = null) {
+    const knownHash = this.recentHashes.get(this.currentBlock);
+    if (!knownHash) return false;
+    
+    let canonicalHash;
+    if (header && header.number === this.currentBlock + 1) {
+      canonicalHash = header.parentHash;
+    } else {
+      const block = await withEvmProvider(provider => provider.getBlock(this.currentBlock), 'Block request');
+      if (!block) return false;
+      canonicalHash = block.hash;
+    }
+    
+    if (canonicalHash === knownHash) return false;
+    
+    const orphanedTo = this.currentBlock;
+    const forkPoint = await this.findForkPoint(this.currentBlock - 1);
+    console.warn(`Chain reorganization detected: blocks ${forkPoint + 1} to ${orphanedTo} were replaced, rescanning them`);
+    
+    for (const blockNumber of [...this.recentHashes.keys()]) {
+      if (blockNumber > forkPoint) this.recentHashes.delete(blockNumber);
+    }
+    
+    const dropped = this.unconfirmedVotes.filter(vote => vote.blockNumber > forkPoint);
+    this.unconfirmedVotes = this.unconfirmedVotes.filter(vote => vote.blockNumber <= forkPoint);
+    if (dropped.length > 0) {
+      console.log(`Dropped ${dropped.length} unconfirmed votes from orphaned blocks`);
+    }
+    
+    for (const [blockNumber, votes] of [...this.committedVotes]) {
+      if (blockNumber <= forkPoint) continue;
+      
+      this.committedVotes.delete(blockNumber);
+      for (const vote of votes) {
+        console.warn(`Committed vote ${vote.transactionHash} was in orphaned block ${blockNumber}`);
+        this.emit('vote-orphaned', vote);
+      }
+    }
+    
+    forgetBlocks(forkPoint + 1, orphanedTo);
+    if (this.coverage) {
+      this.coverage.forget(forkPoint + 1, orphanedTo);
+    }
+    
+    this.currentBlock = forkPoint;
+    return true;
+  }
+  
+  /**
+   * Commit confirmed votes, report the confirmed block and stop once the voting
+   * period's last block is confirmed
+   * @param {number} headBlock Chain head
+   */
+  async finishCycle(headBlock) {
+    this.headBlock = Math.max(this.headBlock, headBlock);
+    this.commitConfirmedVotes(headBlock);
+    
+    const confirmedBlock = Math.min(this.currentBlock, headBlock - REORG.CONFIRMATIONS);
+    if (confirmedBlock > this.startBlock) {
+      this.emit('block', confirmedBlock);
+    }
+    
+    const lag = this.getLag();
+    if (lag.blocks > LAG_WARNING_BLOCKS) {
+      console.warn(`Live monitor is ${lag.blocks} blocks behind the head (block ${lag.currentBlock} of ${lag.headBlock})`);
+    }
+    this.emit('lag', lag);
+    
+    if (this.endDate && this.votingEndedAt === null && await this.checkVotingEnded(this.currentBlock)) {
+      this.votingEndedAt = this.currentBlock;
+    }
+    
+    if (this.votingEndedAt !== null && headBlock - this.votingEndedAt >= REORG.CONFIRMATIONS) {
+      console.log('Voting period has ended, stopping monitor');
+      this.emit('voting-ended', this.votingEndedAt);
+      
+      // Not awaited: stop waits for the cycle that is calling it
+      this.stop();
+    }
+  }
+  
+  /**
+   * Scan the blocks after the current block with the historical scanner (trace_filter,
+   * falling back to block scanning), holding the votes found until they are confirmed
+   * @param {number} toBlock Last block to scan
+   * @param {string} source Coverage source to record the scanned blocks under
+   * @returns {Promise<number>} Highest block examined without gaps (held back if a range fails)
+   */
+  async scanRange(toBlock, source) {
+    const fromBlock = this.currentBlock + 1;
+    const ledger = new RangeLedger();
+    const votes = await discoverVotes(fromBlock, toBlock, this.addresses, null, null, null, false, 'auto', ledger);
+    
+    for (const vote of votes) {
+      this.queueVote(vote);
+    }
+    
+    if (this.coverage) {
+      this.coverage.recordLedger(source, ledger, fromBlock, toBlock);
+    }
+    
+    const [unfinished] = ledger.getUnfinished(fromBlock, toBlock);
+    return unfinished ? unfinished.from - 1 : toBlock;
+  }
+  
+  /**
+   * Process a new head announced over the WebSocket (or the latest head seen, if
+   * the monitor fell behind while earlier blocks were being processed)
+   * @param {number} blockNumber New head
+   */
+  async processBlock(blockNumber) {
+    if (!this.isRunning || this.isPaused || !this.wsProvider) return;
+    
+    const headBlock = Math.max(blockNumber, this.headBlock);
+    
     try {
-      wsProvider = await createWebSocketProvider(endpoints.primary.evmWs || endpoints.primary.ws);
+      // Don't process blocks we've already seen
+      if (headBlock <= this.currentBlock) return;
       
-      // Subscribe to new blocks
-      wsProvider.on('block', async (blockNumber) => {
-        if (!isRunning) return;
-        
+      console.log(`New block detected: ${headBlock}`);
+      
+      // Fetch the transactions only when this block is all there is to scan
+      let block = await this.wsProvider.getBlock(headBlock, headBlock === this.currentBlock + 1);
+      if (!block) return;
+      
+      if (await this.checkForReorg(block)) {
+        block = null;
+      }
+      
+      // Scan the block range from last processed to current
+      if (!block || headBlock > this.currentBlock + 1) {
+        // If we missed blocks, scan the range
+        console.log(`Catching up - scanning blocks ${this.currentBlock + 1} to ${headBlock}`);
+        this.currentBlock = await this.scanRange(headBlock, 'websocket');
+      } else {
+        // Just scan the single new block
+        let votes = null;
         try {
-          // Don't process blocks we've already seen
-          if (blockNumber <= currentBlock) return;
-          
-          console.log(`New block detected: ${blockNumber}`);
-          
-          // Scan the block range from last processed to current
-          if (blockNumber > currentBlock + 1) {
-            // If we missed blocks, scan the range
-            console.log(`Catching up - scanning blocks ${currentBlock + 1} to ${blockNumber}`);
-            const votes = await scanBlockRangeForVotes(
-              currentBlock + 1,
-              blockNumber,
-              addresses,
-              endpoints.primary.evmRpc,
-              endpoints.fallback.evmRpc
-            );
-            
-            // Process discovered votes
-            for (const vote of votes) {
-              onVoteFound(vote);
-            }
-          } else {
-            // Just scan the single new block
-            const block = await wsProvider.getBlock(blockNumber, true);
-            
-            if (block && block.transactions) {
-              // Process the block directly
-              // Filter transactions related to voting contracts
-              const proxyAddress = addresses[0].toLowerCase();
-              const implAddress = addresses[1].toLowerCase();
-              
-              const relevantTxs = block.transactions.filter(tx => 
-                typeof tx === 'object' && tx.to && (
-                  tx.to.toLowerCase() === proxyAddress || 
-                  tx.to.toLowerCase() === implAddress
-                )
-              );
-              
-              if (relevantTxs.length > 0) {
-                console.log(`Found ${relevantTxs.length} potential vote transactions in block ${blockNumber}`);
-                
-                for (const tx of relevantTxs) {
-                  // Check receipt
-                  const receipt = await wsProvider.getTransactionReceipt(tx.hash);
-                  
-                  if (!receipt || receipt.status !== 1) continue;
-                  
-                  // Vote detection logic
-                  const isDirectVote = tx.to.toLowerCase() === proxyAddress && tx.value > 0n;
-                  
-                  const isProxyMethodCall = 
-                    tx.to.toLowerCase() === proxyAddress && 
-                    tx.data && tx.data.length > 2;
-                  
-                  const hasImplLogs = receipt.logs && receipt.logs.some(log => 
-                    log.address && log.address.toLowerCase() === implAddress
-                  );
-                  
-                  const hasProxyLogs = receipt.logs && receipt.logs.some(log => 
-                    log.address && log.address.toLowerCase() === proxyAddress
-                  );
-                  
-                  let detectionMethod = null;
-                  if (isDirectVote) {
-                    detectionMethod = 'direct-transfer';
-                  } else if (isProxyMethodCall && (hasImplLogs || hasProxyLogs)) {
-                    detectionMethod = 'proxy-method-call';
-                  } else if (hasImplLogs) {
-                    detectionMethod = 'implementation-logs';
-                  } else if (hasProxyLogs) {
-                    detectionMethod = 'proxy-logs';
-                  }
-                  
-                  // Is this a vote?
-                  const isVote = !!(isDirectVote || 
-                                  (isProxyMethodCall && (hasImplLogs || hasProxyLogs)) || 
-                                  hasImplLogs || 
-                                  hasProxyLogs);
-                  
-                  if (isVote) {
-                    const voteAmount = isDirectVote ? Number(ethers.formatEther(tx.value)) : 0;
-                    
-                    const voteInfo = {
-                      transactionHash: tx.hash,
-                      blockNumber: Number(block.number),
-                      from: tx.from,
-                      to: tx.to,
-                      value: isDirectVote ? Number(ethers.formatEther(tx.value)) : 0,
-                      voteAmount: voteAmount,
-                      timestamp: new Date(Number(block.timestamp) * 1000),
-                      method: detectionMethod,
-                      success: true
-                    };
-                    
-                    console.log(`Vote found: ${tx.hash} (method: ${detectionMethod})`);
-                    onVoteFound(voteInfo);
-                  }
-                }
-              }
-            }
-          }
-          
-          // Update current block
-          currentBlock = blockNumber;
-          
-          // Call block processed callback if provided
-          if (onBlockProcessed) {
-            onBlockProcessed(blockNumber);
+          votes = await detectVotesInBlock(block, this.addresses, this.wsProvider);
+        } catch (error) {
+          console.warn(`Block ${headBlock} could not be examined over the WebSocket (${error.message}), scanning it instead`);
+        }
+        
+        if (votes) {
+          for (const vote of votes) {
+            this.queueVote(vote);
           }
           
-          // Check if voting period has ended
-          if (endDate && await checkVotingEnded(blockNumber)) {
-            console.log('Voting period has ended, stopping monitor');
-            cleanup();
+          if (this.coverage) {
+            this.coverage.record('websocket', headBlock, headBlock);
           }
           
-          // Reset reconnect attempts on successful processing
-          reconnectAttempts = 0;
-        } catch (err) {
-          console.error(`Error processing block ${blockNumber}:`, err.message);
+          this.currentBlock = headBlock;
+        } else {
+          // Only recorded as covered once the scanner has examined it
+          this.currentBlock = await this.scanRange(headBlock, 'websocket');
         }
-      });
-      
-      // Handle connection errors
-      wsProvider.on('error', (error) => {
-        console.error('WebSocket error:', error.message);
-        // Will trigger reconnect
-      });
+      }
       
-      // Handle disconnection
-      wsProvider._websocket.on('close', () => {
-        console.log('WebSocket connection closed');
-        
-        // Clean up existing connection
-        if (wsProvider._pingInterval) {
-          clearInterval(wsProvider._pingInterval);
+      // Remember the head so the next block can be checked against it
+      if (this.currentBlock === headBlock) {
+        if (!block) {
+          block = await this.wsProvider.getBlock(headBlock);
         }
-        wsProvider.removeAllListeners();
-        
-        // Reconnect logic
-        if (isRunning) {
-          reconnectAttempts++;
-          
-          if (reconnectAttempts <= MAX_RECONNECT_ATTEMPTS) {
-            const delay = RECONNECT_DELAY_MS * Math.min(reconnectAttempts, 5);
-            console.log(`Attempting to reconnect in ${delay}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
-            
-            setTimeout(() => {
-              if (isRunning) {
-                console.log('Reconnecting WebSocket...');
-                startWebSocketMonitoring().catch(() => {
-                  // If WebSockets fail completely, fall back to polling
-                  if (isRunning && reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-                    console.log('WebSocket reconnection failed, falling back to polling');
-                    startPollingMonitoring();
-                  }
-                });
-              }
-            }, delay);
-          } else {
-            console.log('Maximum WebSocket reconnection attempts reached, falling back to polling');
-            startPollingMonitoring();
-          }
+        if (block) {
+          this.rememberBlock(headBlock, block.hash);
         }
-      });
+      }
       
-      return true;
+      await this.finishCycle(headBlock);
+      
+      // Reset reconnect attempts on successful processing
+      this.reconnectAttempts = 0;
+    } catch (err) {
+      this.reportError(`Error processing block ${headBlock}`, err);
+    }
+  }
+  
+  /**
+   * WebSocket-based monitoring
+   * @param {boolean} isReconnect True when replacing a dropped connection
+   * @returns {Promise<boolean>} True if the connection was established
+   */
+  async startWebSocketMonitoring(isReconnect = false) {
+    let provider;
+    try {
+      provider = await getEndpointPool('evmWs').run(async (url) => {
+        const connected = await createWebSocketProvider(url);
+        this.wsUrl = url;
+        return connected;
+      }, 'WebSocket connection');
     } catch (error) {
       console.error('Failed to start WebSocket monitoring:', error.message);
       return false;
     }
-  };
-  
-  // HTTP polling-based monitoring (fallback)
-  const startPollingMonitoring = async () => {
-    try {
-      // Create HTTP provider if needed
-      if (!httpProvider) {
-        httpProvider = new ethers.JsonRpcProvider(endpoints.primary.evmRpc);
-        
-        // Test connection
-        await httpProvider.getBlockNumber();
+    
+    // Stopped while connecting
+    if (!this.isRunning) {
+      clearInterval(provider._pingInterval);
+      await provider.destroy();
+      return false;
+    }
+    
+    this.wsProvider = provider;
+    this.setTransport('websocket');
+    
+    // Subscribe to new blocks (processed one at a time, so a rewind cannot race a scan)
+    provider.on('block', (blockNumber) => {
+      this.headBlock = Math.max(this.headBlock, blockNumber);
+      this.blockQueue = this.blockQueue.then(() => this.processBlock(blockNumber));
+    });
+    
+    // Backfill the blocks produced while disconnected without waiting for the next head
+    if (isReconnect) {
+      this.blockQueue = this.blockQueue.then(async () => {
+        const headBlock = await provider.getBlockNumber();
+        if (headBlock > this.currentBlock) {
+          console.log(`Reconnected - backfilling blocks ${this.currentBlock + 1} to ${headBlock}`);
+          await this.processBlock(headBlock);
+        }
+      }).catch(error => this.reportError('Error backfilling after reconnect', error));
+    }
+    
+    // Handle connection errors
+    provider.on('error', (error) => {
+      console.error('WebSocket error:', error.message);
+      // Will trigger reconnect
+    });
+    
+    // Handle disconnection
+    provider.websocket.on('close', () => {
+      // Closed by stop()
+      if (!this.isRunning) return;
+      
+      console.log('WebSocket connection closed');
+      
+      // Count the drop against the endpoint so reconnects prefer a healthier one
+      getEndpointPool('evmWs').recordFailure(this.wsUrl, new Error('WebSocket connection closed'));
+      
+      // Clean up existing connection
+      clearInterval(provider._pingInterval);
+      provider.removeAllListeners();
+      if (this.wsProvider === provider) {
+        this.wsProvider = null;
       }
       
-      console.log(`Starting polling monitor from block ${currentBlock}`);
+      // Reconnect logic
+      this.reconnectAttempts++;
       
-      // Start polling loop
-      pollInterval = setInterval(async () => {
-        if (!isRunning) return;
+      if (this.reconnectAttempts <= MAX_RECONNECT_ATTEMPTS) {
+        const delay = RECONNECT_DELAY_MS * Math.min(this.reconnectAttempts, 5);
+        console.log(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+        this.emit('reconnect', { attempt: this.reconnectAttempts, maxAttempts: MAX_RECONNECT_ATTEMPTS, delayMs: delay });
         
-        try {
-          // Get latest block
-          const latestBlock = await httpProvider.getBlockNumber();
-          
-          if (latestBlock <= currentBlock) {
-            // No new blocks
-            return;
-          }
-          
-          // Don't process too many blocks at once
-          const toBlock = Math.min(latestBlock, currentBlock + POLLING_BATCH_SIZE);
-          
-          console.log(`Polling: processing blocks ${currentBlock + 1} to ${toBlock}`);
-          
-          // Scan for votes
-          const newVotes = await scanBlockRangeForVotes(
-            currentBlock + 1,
-            toBlock,
-            addresses,
-            endpoints.primary.evmRpc,
-            endpoints.fallback.evmRpc
-          );
-          
-          // Process found votes
-          if (newVotes.length > 0) {
-            console.log(`Found ${newVotes.length} votes through polling`);
-            
-            for (const vote of newVotes) {
-              onVoteFound(vote);
-            }
-          }
-          
-          // Update current block
-          currentBlock = toBlock;
+        this.reconnectTimer = setTimeout(async () => {
+          this.reconnectTimer = null;
+          if (!this.isRunning) return;
           
-          // Notify of block processing
-          if (onBlockProcessed) {
-            onBlockProcessed(toBlock);
-          }
-          
-          // Check if voting period has ended
-          if (endDate && await checkVotingEnded(toBlock)) {
-            console.log('Voting period has ended, stopping monitor');
-            cleanup();
-          }
-          
-          // Reset reconnect attempts on success
-          reconnectAttempts = 0;
-        } catch (error) {
-          console.error('Error in polling cycle:', error.message);
-          
-          // Handle connection errors
-          reconnectAttempts++;
+          console.log('Reconnecting WebSocket...');
+          const connected = await this.startWebSocketMonitoring(true);
           
-          if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-            // Try to recreate the provider
-            console.log('Recreating HTTP provider due to persistent errors');
-            
-            if (httpProvider && typeof httpProvider.destroy === 'function') {
-              httpProvider.destroy();
-            }
-            
-            try {
-              httpProvider = new ethers.JsonRpcProvider(endpoints.primary.evmRpc);
-              reconnectAttempts = 0;
-            } catch (err) {
-              console.error('Failed to recreate HTTP provider:', err.message);
-              
-              // Try fallback
-              try {
-                httpProvider = new ethers.JsonRpcProvider(endpoints.fallback.evmRpc);
-                reconnectAttempts = 0;
-                console.log('Successfully switched to fallback HTTP provider');
-              } catch (fallbackErr) {
-                console.error('Failed to create fallback HTTP provider:', fallbackErr.message);
-              }
-            }
+          // If no WebSocket endpoint accepts the connection, fall back to polling
+          if (!connected && this.isRunning) {
+            console.log('WebSocket reconnection failed, falling back to polling');
+            this.startPollingMonitoring();
           }
-        }
-      }, POLLING_INTERVAL_MS);
+        }, delay);
+      } else {
+        console.log('Maximum WebSocket reconnection attempts reached, falling back to polling');
+        this.startPollingMonitoring();
+      }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Close the WebSocket connection
+   */
+  async closeWebSocket() {
+    const provider = this.wsProvider;
+    if (!provider) return;
+    
+    this.wsProvider = null;
+    clearInterval(provider._pingInterval);
+    await provider.removeAllListeners();
+    await provider.destroy();
+  }
+  
+  /**
+   * Poll for blocks produced since the last cycle
+   * @returns {Promise<boolean>} True if the cycle succeeded and the monitor is still behind the head
+   */
+  async pollOnce() {
+    const started = Date.now();
+    
+    try {
+      // Get latest block
+      const latestBlock = await getCurrentBlockNumber();
+      this.headBlock = Math.max(this.headBlock, latestBlock);
       
-      return true;
+      if (latestBlock <= this.currentBlock) {
+        // No new blocks
+        return false;
+      }
+      
+      // Rewind first if the blocks already processed were reorganized away
+      await this.checkForReorg();
+      
+      // Don't process too many blocks at once
+      const fromBlock = this.currentBlock + 1;
+      const toBlock = Math.min(latestBlock, this.currentBlock + this.pollBatchSize);
+      
+      console.log(`Polling: processing blocks ${fromBlock} to ${toBlock} (${latestBlock - this.currentBlock} behind head, batch ${this.pollBatchSize})`);
+      
+      // Scan for votes (a failed range is polled again next cycle)
+      const processedTo = await this.scanRange(toBlock, 'poller');
+      if (processedTo < toBlock) {
+        console.warn(`Polling: blocks ${processedTo + 1} to ${toBlock} could not be scanned, retrying next cycle`);
+      }
+      this.currentBlock = processedTo;
+      
+      // Remember the last scanned block so the next cycle can detect a reorganization
+      const header = await withEvmProvider(provider => provider.getBlock(processedTo), 'Block request');
+      if (header) {
+        this.rememberBlock(processedTo, header.hash);
+      }
+      
+      await this.finishCycle(latestBlock);
+      
+      // Reset reconnect attempts on success
+      this.reconnectAttempts = 0;
+      
+      const behind = latestBlock > this.currentBlock;
+      this.adjustPollBatchSize(processedTo === toBlock, Date.now() - started, behind);
+      return processedTo === toBlock && behind;
     } catch (error) {
-      console.error('Failed to start polling monitor:', error.message);
+      // The endpoint pool moves requests off failing endpoints, so the next cycle retries
+      this.reportError('Error in polling cycle', error);
+      this.adjustPollBatchSize(false, Date.now() - started, true);
       return false;
     }
-  };
+  }
+  
+  /**
+   * Grow the polling batch while a behind monitor scans batches faster than the
+   * polling interval, and shrink it after failures or slow cycles
+   * @param {boolean} succeeded True if the whole batch was scanned
+   * @param {number} elapsedMs Duration of the cycle
+   * @param {boolean} behind True if the head is still ahead of the monitor
+   */
+  adjustPollBatchSize(succeeded, elapsedMs, behind) {
+    let batchSize = this.pollBatchSize;
+    
+    if (!succeeded || elapsedMs > POLLING_INTERVAL_MS * 2) {
+      batchSize = Math.max(POLLING_BATCH_SIZE, Math.floor(batchSize / 2));
+    } else if (behind && elapsedMs < POLLING_INTERVAL_MS) {
+      batchSize = Math.min(MAX_POLLING_BATCH_SIZE, batchSize * 2);
+    }
+    
+    if (batchSize !== this.pollBatchSize) {
+      console.log(`Polling batch size: ${this.pollBatchSize} -> ${batchSize} blocks`);
+      this.pollBatchSize = batchSize;
+    }
+  }
+  
+  /**
+   * Poll until the monitor has caught up with the head, without waiting for the
+   * next tick between cycles
+   */
+  async pollUntilCaughtUp() {
+    let behind = true;
+    while (behind && this.isRunning && !this.isPaused) {
+      behind = await this.pollOnce();
+    }
+  }
   
-  // Start monitoring - try WebSockets first, fall back to polling
-  const start = async () => {
-    // Create HTTP provider for various operations
+  /**
+   * HTTP polling-based monitoring (fallback)
+   * @returns {Promise<boolean>} True if polling started
+   */
+  async startPollingMonitoring() {
     try {
-      httpProvider = new ethers.JsonRpcProvider(endpoints.primary.evmRpc);
-    } catch (err) {
-      console.error('Failed to create primary HTTP provider:', err.message);
-      httpProvider = new ethers.JsonRpcProvider(endpoints.fallback.evmRpc);
+      // Test connection
+      await getCurrentBlockNumber();
+    } catch (error) {
+      this.reportError('Failed to start polling monitor', error);
+      return false;
     }
     
-    // Try WebSocket first if available
-    if (endpoints.primary.evmWs || endpoints.primary.ws) {
-      console.log('Attempting to use WebSocket monitoring...');
+    if (!this.isRunning) return false;
+    
+    console.log(`Starting polling monitor from block ${this.currentBlock}`);
+    this.setTransport('polling');
+    
+    // Start polling loop
+    this.pollInterval = setInterval(() => {
+      // Skip the tick while paused or while the previous cycle is still scanning
+      if (!this.isRunning || this.isPaused || this.pollPromise) return;
       
-      try {
-        const success = await startWebSocketMonitoring();
-        if (success) {
-          console.log('WebSocket monitoring started successfully');
-          return;
-        }
-      } catch (error) {
-        console.error('WebSocket monitoring failed to start:', error.message);
-      }
-    }
+      this.pollPromise = this.pollUntilCaughtUp().finally(() => {
+        this.pollPromise = null;
+      });
+    }, POLLING_INTERVAL_MS);
     
-    // Fall back to polling
-    console.log('Falling back to polling monitoring');
-    startPollingMonitoring();
-  };
+    return true;
+  }
+}
+
+/**
+ * Monitor for new votes with callbacks (wraps VoteMonitor)
+ * @param {number} startBlock Block to start monitoring from
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {Object} endpoints Ignored - requests go through the endpoint pool (kept for existing callers)
+ * @param {Function} onVoteFound Callback for when a vote is confirmed
+ * @param {Function} onBlockProcessed Callback for when a block is confirmed (optional)
+ * @param {Date} endDate Date when voting period ends (optional)
+ * @param {CoverageTracker} coverage Tracker to record examined blocks in (optional)
+ * @param {Function} onVoteOrphaned Callback for a committed vote whose block was orphaned by a reorganization (optional)
+ * @returns {Object} Monitor controller with stop method
+ */
+export function monitorForVotes(
+  startBlock,
+  addresses,
+  endpoints,
+  onVoteFound,
+  onBlockProcessed = null,
+  endDate = null,
+  coverage = null,
+  onVoteOrphaned = null
+) {
+  const monitor = new VoteMonitor(startBlock, addresses, endDate, coverage);
   
-  // Start the monitor
-  start();
+  monitor.on('vote', onVoteFound);
+  if (onBlockProcessed) monitor.on('block', onBlockProcessed);
+  if (onVoteOrphaned) monitor.on('vote-orphaned', onVoteOrphaned);
+  
+  // Start the monitor (callers learn of a failed start through the monitor's 'error' event)
+  monitor.start().catch(error => monitor.reportError('Error starting monitor', error));
   
   // Return controller object
   return {
-    stop: () => {
-      console.log('Stopping vote monitor');
-      cleanup();
-    },
+    stop: () => monitor.stop(),
     
-    getCurrentBlock: () => currentBlock,
+    getCurrentBlock: () => monitor.getCurrentBlock(),
     
-    isWebSocketActive: () => !!wsProvider,
+    isWebSocketActive: () => monitor.isWebSocketActive(),
     
-    forceRescan: async (fromBlock, toBlock) => {
-      console.log(`Forcing rescan of blocks ${fromBlock} to ${toBlock}`);
-      
-      return scanBlockRangeForVotes(
-        fromBlock,
-        toBlock,
-        addresses,
-        endpoints.primary.evmRpc,
-        endpoints.fallback.evmRpc,
-        onVoteFound
-      );
-    }
+    forceRescan: (fromBlock, toBlock) => monitor.forceRescan(fromBlock, toBlock),
+    
+    monitor
   };
 }
 
+/**
+ * Re-scan a block range for votes, recording the blocks examined as 'rescan' coverage
+ * @param {number} fromBlock Starting block
+ * @param {number} toBlock Ending block
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {Function} onVoteFound Callback for each vote found (optional)
+ * @param {CoverageTracker} coverage Tracker to record examined blocks in (optional)
+ * @returns {Promise<Array>} Voting transactions
+ */
+export async function forceRescan(fromBlock, toBlock, addresses, onVoteFound = null, coverage = null) {
+  console.log(`Forcing rescan of blocks ${fromBlock} to ${toBlock}`);
+  
+  const ledger = new RangeLedger();
+  const votes = await scanBlockRangeForVotes(
+    fromBlock,
+    toBlock,
+    addresses,
+    null,
+    null,
+    onVoteFound,
+    false,
+    ledger
+  );
+  
+  if (coverage) {
+    coverage.recordLedger('rescan', ledger, fromBlock, toBlock);
+    coverage.flush();
+  }
+  
+  return votes;
+}
+
 /**
  * Save monitor checkpoint to file
  * @param {number} blockNumber Last processed block
- * @param {string} filePath Path to save the checkpoint
+ * @param {string} filePath Path to save the checkpoint (defaults to the active round's)
  */
-export function saveMonitorCheckpoint(blockNumber, filePath = null) {
-  const checkpointFile = filePath || path.join(__dirname, 'monitor_checkpoint.json');
+export function saveMonitorCheckpoint(blockNumber, filePath = getRoundPaths().MONITOR_CHECKPOINT) {
+  ensureDirectoryExists(path.dirname(filePath));
   
   const checkpoint = {
     lastBlock: blockNumber,
     timestamp: new Date().toISOString()
   };
   
-  fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2), 'utf8');
+  fs.writeFileSync(filePath, JSON.stringify(checkpoint, null, 2), 'utf8');
 }
 
 /**
  * Load monitor checkpoint from file
- * @param {string} filePath Path to the checkpoint file
+ * @param {string} filePath Path to the checkpoint file (defaults to the active round's)
  * @returns {number|null} Last processed block or null if file doesn't exist
  */
-export function loadMonitorCheckpoint(filePath = null) {
-  const checkpointFile = filePath || path.join(__dirname, 'monitor_checkpoint.json');
-  
-  if (!fs.existsSync(checkpointFile)) {
+export function loadMonitorCheckpoint(filePath = getRoundPaths().MONITOR_CHECKPOINT) {
+  if (!fs.existsSync(filePath)) {
     return null;
   }
   
   try {
-    const data = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
     return data.lastBlock;
   } catch (error) {
     console.error('Error loading checkpoint:', error.message);
@@ -0,0 +1,194 @@
+/**
+ * Report snapshots for SEI Voting Monitor
+ *
+ * Reports are regenerated in place, so every report generation is also kept
+ * as a snapshot: a timestamped directory holding copies of the report files
+ * and snapshot.json, the vote and wallet outcomes the reports were built from.
+ * Two snapshots can be diffed to see which votes were added or removed, which
+ * flipped between valid and invalid (with the balances behind each outcome)
+ * and how the totals changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDirectoryExists, formatSeiBalance } from './utils.js';
+import { getEffectiveValidity } from './walletBalances.js';
+
+const SNAPSHOT_FILE = 'snapshot.json';
+
+// Report files copied into each snapshot (keys of paths.REPORT)
+const COPIED_REPORTS = ['VOTES', 'WALLETS', 'STATS', 'UNRESOLVED', 'PROJECTS', 'PROJECTS_JSON', 'HTML'];
+
+// Overview totals compared between snapshots
+const TOTALS = [
+  'totalVotes',
+  'validVotes',
+  'totalWallets',
+  'walletsWithValidVotes',
+  'unresolvedVotes',
+  'borrowedBalanceVotes',
+  'reviewOverrides'
+];
+
+/**
+ * Save the reports just generated as a snapshot
+ * @param {Object} paths Round paths (see getRoundPaths)
+ * @param {VoteStore} store Vote store the reports were generated from
+ * @param {Object} statistics Statistics written by generateReport (voting_statistics.json)
+ * @returns {string} Snapshot id (the generation time, e.g. 2025-03-12T17-00-00-000Z)
+ */
+export function saveReportSnapshot(paths, store, statistics) {
+  const id = statistics.generatedAt.replace(/[:.]/g, '-');
+  const snapshotDir = path.join(paths.REPORT.SNAPSHOTS_DIR, id);
+  ensureDirectoryExists(snapshotDir);
+
+  for (const key of COPIED_REPORTS) {
+    const file = paths.REPORT[key];
+    if (file && fs.existsSync(file)) {
+      fs.copyFileSync(file, path.join(snapshotDir, path.basename(file)));
+    }
+  }
+
+  const snapshot = {
+    id,
+    generatedAt: statistics.generatedAt,
+    status: statistics.status,
+    overview: statistics.overview,
+    votes: Object.fromEntries(store.listVotes().map(vote => [vote.txHash, {
+      evmAddress: vote.evmAddress,
+      blockNumber: vote.blockNumber,
+      balanceAtVote: vote.balanceAtVote ?? null,
+      balanceBeforeVote: vote.balanceBeforeVote ?? null,
+      isValid: vote.isValid ?? null,
+      finalIsValid: vote.finalIsValid ?? null,
+      valid: getEffectiveValidity(vote) ?? null
+    }])),
+    wallets: Object.fromEntries(store.listWallets().map(wallet => [wallet.evmAddress, {
+      finalBalance: wallet.finalBalance ?? null,
+      finalBalanceValid: wallet.finalBalanceValid ?? null,
+      minBalance: wallet.minBalance ?? null,
+      minBalanceBlock: wallet.minBalanceBlock ?? null
+    }]))
+  };
+
+  fs.writeFileSync(path.join(snapshotDir, SNAPSHOT_FILE), JSON.stringify(snapshot, null, 2), 'utf8');
+  console.log(`Report snapshot saved: ${snapshotDir}`);
+  return id;
+}
+
+/**
+ * List the saved report snapshots
+ * @param {Object} paths Round paths (see getRoundPaths)
+ * @returns {Array<string>} Snapshot ids, oldest first
+ */
+export function listReportSnapshots(paths) {
+  const snapshotsDir = paths.REPORT.SNAPSHOTS_DIR;
+  if (!fs.existsSync(snapshotsDir)) return [];
+
+  return fs.readdirSync(snapshotsDir)
+    .filter(id => fs.existsSync(path.join(snapshotsDir, id, SNAPSHOT_FILE)))
+    .sort();
+}
+
+/**
+ * Load a snapshot by id, unique id prefix, 'latest' or 'previous'
+ * @param {Object} paths Round paths (see getRoundPaths)
+ * @param {string} ref Snapshot reference
+ * @returns {Object} Snapshot
+ */
+export function loadReportSnapshot(paths, ref) {
+  const ids = listReportSnapshots(paths);
+  let matches;
+
+  if (ref === 'latest') {
+    matches = ids.slice(-1);
+  } else if (ref === 'previous') {
+    matches = ids.slice(-2, -1);
+  } else {
+    matches = ids.includes(ref) ? [ref] : ids.filter(id => id.startsWith(ref));
+  }
+
+  if (matches.length !== 1) {
+    const reason = matches.length === 0 ? 'No report snapshot matches' : 'More than one report snapshot matches';
+    throw new Error(`${reason} "${ref}" (${ids.length} snapshots saved${ids.length > 0 ? `, latest ${ids[ids.length - 1]}` : ''})`);
+  }
+
+  return JSON.parse(fs.readFileSync(path.join(paths.REPORT.SNAPSHOTS_DIR, matches[0], SNAPSHOT_FILE), 'utf8'));
+}
+
+/**
+ * Describe the balances behind a vote's outcome in a snapshot
+ * @param {Object} snapshot Snapshot
+ * @param {Object} vote Vote in the snapshot
+ * @returns {Object} Balances in SEI (null if unknown) and the outcomes
+ */
+function describeVote(snapshot, vote) {
+  const wallet = snapshot.wallets[vote.evmAddress] || {};
+  const sei = balance => balance === null || balance === undefined ? null : formatSeiBalance(balance);
+
+  return {
+    valid: vote.valid,
+    isValid: vote.isValid,
+    finalIsValid: vote.finalIsValid,
+    balanceAtVote: sei(vote.balanceAtVote),
+    balanceBeforeVote: sei(vote.balanceBeforeVote),
+    finalBalance: sei(wallet.finalBalance),
+    minBalance: sei(wallet.minBalance)
+  };
+}
+
+/**
+ * Compare two report snapshots
+ * @param {Object} paths Round paths (see getRoundPaths)
+ * @param {string} fromRef Older snapshot (id, prefix, 'latest' or 'previous')
+ * @param {string} toRef Newer snapshot (id, prefix, 'latest' or 'previous')
+ * @returns {Object} Added and removed votes, validity flips with old and new balances, and changed totals
+ */
+export function diffReportSnapshots(paths, fromRef = 'previous', toRef = 'latest') {
+  const from = loadReportSnapshot(paths, fromRef);
+  const to = loadReportSnapshot(paths, toRef);
+
+  const added = [];
+  const removed = [];
+  const flipped = [];
+
+  for (const [txHash, vote] of Object.entries(to.votes)) {
+    const before = from.votes[txHash];
+    if (!before) {
+      added.push({ txHash, evmAddress: vote.evmAddress, blockNumber: vote.blockNumber, valid: vote.valid });
+    } else if (before.valid !== vote.valid) {
+      flipped.push({
+        txHash,
+        evmAddress: vote.evmAddress,
+        blockNumber: vote.blockNumber,
+        from: describeVote(from, before),
+        to: describeVote(to, vote)
+      });
+    }
+  }
+
+  for (const [txHash, vote] of Object.entries(from.votes)) {
+    if (!to.votes[txHash]) {
+      removed.push({ txHash, evmAddress: vote.evmAddress, blockNumber: vote.blockNumber, valid: vote.valid });
+    }
+  }
+
+  const totals = {};
+  for (const key of TOTALS) {
+    const before = from.overview?.[key] ?? 0;
+    const after = to.overview?.[key] ?? 0;
+    if (before !== after) {
+      totals[key] = { from: before, to: after, change: after - before };
+    }
+  }
+
+  const byBlock = (a, b) => a.blockNumber - b.blockNumber;
+  return {
+    from: { id: from.id, generatedAt: from.generatedAt, status: from.status },
+    to: { id: to.id, generatedAt: to.generatedAt, status: to.status },
+    added: added.sort(byBlock),
+    removed: removed.sort(byBlock),
+    flipped: flipped.sort(byBlock),
+    totals
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Round definitions for SEI Voting Monitor
+ *
+ * Each Gitcoin round is described in rounds.json with its contract addresses,
+ * vote method signatures, voting window, minimum balance and data directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PATHS } from './config.js';
+
+// Loaded round definitions (lazily read from disk)
+let roundsConfig = null;
+
+/**
+ * Normalize a round definition from the rounds file
+ * @param {Object} definition Raw round definition
+ * @returns {Object} Round with lowercase addresses and Date objects
+ */
+function normalizeRound(definition) {
+  const required = ['id', 'proxyAddress', 'implementationAddress', 'votingStartDate', 'votingEndDate'];
+  for (const field of required) {
+    if (!definition[field]) {
+      throw new Error(`Round ${definition.id || '(unnamed)'} is missing "${field}"`);
+    }
+  }
+
+  const proxyAddress = definition.proxyAddress.toLowerCase();
+  const implementationAddress = definition.implementationAddress.toLowerCase();
+  const votingStartDate = new Date(definition.votingStartDate);
+  const votingEndDate = new Date(definition.votingEndDate);
+
+  if (isNaN(votingStartDate.getTime()) || isNaN(votingEndDate.getTime())) {
+    throw new Error(`Round ${definition.id} has an invalid voting window`);
+  }
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    proxyAddress,
+    implementationAddress,
+    addresses: [proxyAddress, implementationAddress],
+    voteMethodSignatures: (definition.voteMethodSignatures || []).map(sig => sig.toLowerCase()),
+    voteAbi: definition.voteAbi || [],
+    voteFields: definition.voteFields || {},
+    voteDataTypes: definition.voteDataTypes || [],
+    votingStartDate,
+    votingEndDate,
+    minSeiRequired: definition.minSeiRequired ?? 100,
+    strictBalanceWindow: definition.strictBalanceWindow ?? false,
+    dataDir: definition.dataDir || definition.id
+  };
+}
+
+/**
+ * Load round definitions from the rounds file
+ * @param {string} filePath Rounds file path
+ * @returns {{defaultRound: string, rounds: Map<string, Object>}} Round definitions keyed by id
+ */
+export function loadRounds(filePath = PATHS.ROUNDS_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const rounds = new Map();
+  for (const definition of data.rounds || []) {
+    const round = normalizeRound(definition);
+    if (rounds.has(round.id)) {
+      throw new Error(`Duplicate round id "${round.id}" in ${filePath}`);
+    }
+    rounds.set(round.id, round);
+  }
+
+  if (rounds.size === 0) {
+    throw new Error(`No rounds defined in ${filePath}`);
+  }
+
+  roundsConfig = {
+    defaultRound: data.defaultRound || rounds.keys().next().value,
+    rounds
+  };
+
+  return roundsConfig;
+}
+
+/**
+ * Get the loaded round definitions, reading the rounds file on first use
+ * @returns {{defaultRound: string, rounds: Map<string, Object>}} Round definitions
+ */
+function getRoundsConfig() {
+  return roundsConfig || loadRounds();
+}
+
+/**
+ * List all configured rounds
+ * @returns {Array<Object>} Rounds
+ */
+export function listRounds() {
+  return Array.from(getRoundsConfig().rounds.values());
+}
+
+/**
+ * Get a round by id
+ * @param {string} roundId Round id (defaults to SEI_ROUND, then the file's defaultRound)
+ * @returns {Object} Round definition
+ */
+export function getRound(roundId = null) {
+  const config = getRoundsConfig();
+  const id = roundId || process.env.SEI_ROUND || config.defaultRound;
+
+  const round = config.rounds.get(id);
+  if (!round) {
+    throw new Error(`Unknown round "${id}". Configured rounds: ${Array.from(config.rounds.keys()).join(', ')}`);
+  }
+
+  return round;
+}
+
+/**
+ * Find the round that uses a given proxy contract
+ * @param {string} proxyAddress Proxy contract address
+ * @returns {Object|null} Round definition or null if none matches
+ */
+export function getRoundByProxy(proxyAddress) {
+  const normalized = proxyAddress.toLowerCase();
+  return listRounds().find(round => round.proxyAddress === normalized) || null;
+}
+
+// Files written directly under PATHS.DATA_DIR before data was kept per round
+const LEGACY_FILES = ['WALLETS', 'VOTES', 'LAST_BLOCK', 'MONITOR_CHECKPOINT'];
+
+// Rounds whose data directory has been checked for legacy files
+const migratedRounds = new Set();
+
+/**
+ * Move the legacy top-level data files into the default round's data directory
+ * (they were written for that round). Files the round already has are left alone.
+ * @param {Object} round Round definition
+ * @param {string} dataDir Round data directory
+ */
+function migrateLegacyFiles(round, dataDir) {
+  if (migratedRounds.has(round.id)) return;
+  migratedRounds.add(round.id);
+
+  if (round.id !== getRoundsConfig().defaultRound || path.resolve(dataDir) === path.resolve(PATHS.DATA_DIR)) {
+    return;
+  }
+
+  for (const key of LEGACY_FILES) {
+    const fileName = PATHS.ROUND_FILES[key];
+    const legacyFile = path.join(PATHS.DATA_DIR, fileName);
+    const roundFile = path.join(dataDir, fileName);
+    if (!fs.existsSync(legacyFile)) continue;
+
+    if (fs.existsSync(roundFile)) {
+      console.warn(`Leaving legacy ${legacyFile} in place: ${roundFile} already exists`);
+      continue;
+    }
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.renameSync(legacyFile, roundFile);
+    console.log(`Moved legacy ${legacyFile} to ${roundFile}`);
+  }
+}
+
+/**
+ * Get the data file paths for a round, all under PATHS.DATA_DIR. On first use,
+ * legacy files from before per-round data directories are moved into the
+ * default round's directory.
+ * @param {Object} round Round definition (defaults to the active round)
+ * @returns {Object} Paths for the round's data files
+ */
+export function getRoundPaths(round = getRound()) {
+  const dataDir = path.join(PATHS.DATA_DIR, round.dataDir);
+  const files = PATHS.ROUND_FILES;
+  migrateLegacyFiles(round, dataDir);
+
+  return {
+    DATA_DIR: dataDir,
+    STORE_FILE: path.join(dataDir, files.STORE),
+    WALLETS_FILE: path.join(dataDir, files.WALLETS),
+    VOTES_FILE: path.join(dataDir, files.VOTES),
+    LAST_BLOCK_FILE: path.join(dataDir, files.LAST_BLOCK),
+    RANGE_LEDGER_FILE: path.join(dataDir, files.RANGE_LEDGER),
+    COVERAGE_FILE: path.join(dataDir, files.COVERAGE),
+    LOCK_FILE: path.join(dataDir, files.LOCK),
+    MONITOR_CHECKPOINT: path.join(dataDir, files.MONITOR_CHECKPOINT),
+    BLOCK_RANGE_FILE: path.join(dataDir, files.BLOCK_RANGE),
+    REPORT: {
+      VOTES: path.join(dataDir, files.REPORT_VOTES),
+      WALLETS: path.join(dataDir, files.REPORT_WALLETS),
+      STATS: path.join(dataDir, files.REPORT_STATS),
+      UNRESOLVED: path.join(dataDir, files.REPORT_UNRESOLVED),
+      PROJECTS: path.join(dataDir, files.REPORT_PROJECTS),
+      PROJECTS_JSON: path.join(dataDir, files.REPORT_PROJECTS_JSON),
+      HTML: path.join(dataDir, files.REPORT_HTML),
+      SNAPSHOTS_DIR: path.join(dataDir, files.REPORT_SNAPSHOTS),
+      SYBIL: path.join(dataDir, files.REPORT_SYBIL),
+      SYBIL_JSON: path.join(dataDir, files.REPORT_SYBIL_JSON)
+    }
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * JSON-RPC batch transport for SEI Voting Monitor
+ *
+ * Packs many calls into single JSON-RPC batch payloads. A batch the node
+ * rejects for its size is split in half and retried; calls that fail
+ * individually with a transient error are retried in a later, smaller batch.
+ * Every call gets either a result or an error, so callers can fall back for the
+ * calls that failed. When the endpoint cannot be reached at all (timeout,
+ * connection error, 5xx or rate limiting) the whole batch throws at once, so
+ * the caller can move on to another endpoint instead of splitting the batch
+ * into ever smaller requests to a dead one. Callers run batches through
+ * EndpointPool.run, which records each endpoint's health.
+ */
+
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { RPC_BATCH } from './config.js';
+import { sleep, decimalToHex } from './utils.js';
+import { classifyError } from './endpointPool.js';
+
+// JSON-RPC error codes worth retrying (limits exceeded, internal/server errors)
+const RETRYABLE_ERROR_CODES = new Set([-32005, -32603, -32000, 429]);
+
+// Errors nodes answer with when a batch holds too many calls or is too large
+const BATCH_SIZE_ERROR_PATTERNS = [/batch/i, /too large/i, /too big/i, /too many/i, /exceed/i, /payload/i, /entity/i];
+
+/**
+ * Check whether a whole-batch error means the node rejected the batch size
+ * @param {Error} error Error thrown by postBatch
+ * @returns {boolean} True if the batch should be split
+ */
+function isBatchSizeError(error) {
+  if (error?.response?.status === 413) return true;
+  if (classifyError(error) !== 'answered') return false;
+
+  const body = error?.response?.data;
+  const message = `${error?.error?.message || ''} ${typeof body === 'string' ? body : body?.error?.message || ''}`;
+  return BATCH_SIZE_ERROR_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Check whether a per-call error is transient
+ * @param {Object} error JSON-RPC error object
+ * @returns {boolean} True if the call should be retried
+ */
+function isRetryableCallError(error) {
+  const message = (error?.message || '').toLowerCase();
+  return RETRYABLE_ERROR_CODES.has(error?.code) ||
+    message.includes('rate limit') ||
+    message.includes('too many') ||
+    message.includes('timeout') ||
+    message.includes('timed out');
+}
+
+/**
+ * POST one batch payload
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<Object>} calls Calls ({method, params}) with their request ids
+ * @param {number} timeoutMs Request timeout
+ * @returns {Promise<Map<number, Object>>} Responses keyed by request id
+ */
+async function postBatch(rpcUrl, calls, timeoutMs) {
+  const payload = calls.map(call => ({ jsonrpc: '2.0', id: call.id, method: call.method, params: call.params }));
+
+  const response = await axios.post(rpcUrl, payload, {
+    timeout: timeoutMs,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  // Nodes that reject a batch (e.g. too large) answer with a single error object
+  if (!Array.isArray(response.data)) {
+    const rejection = new Error(`Batch of ${calls.length} calls rejected: ${response.data?.error?.message || 'unexpected response'}`);
+    // The endpoint answered, so this does not count against its health
+    rejection.error = response.data?.error || { code: null, message: 'unexpected response' };
+    throw rejection;
+  }
+
+  return new Map(response.data.map(item => [item.id, item]));
+}
+
+/**
+ * Send calls as JSON-RPC batches
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<{method: string, params: Array}>} calls Calls to send
+ * @param {number} batchSize Maximum calls per batch payload
+ * @param {number} maxRetries Retries for a failed call before reporting its error
+ * @param {number} timeoutMs Request timeout per batch
+ * @returns {Promise<Array<{result: any, error: Object|null}>>} One outcome per call, in input order
+ * @throws {Error} If the endpoint could not be reached or rate-limited the batch
+ */
+export async function sendBatch(
+  rpcUrl,
+  calls,
+  batchSize = RPC_BATCH.SIZE,
+  maxRetries = RPC_BATCH.MAX_RETRIES,
+  timeoutMs = RPC_BATCH.TIMEOUT_MS
+) {
+  const outcomes = new Array(calls.length).fill(null);
+  let pending = calls.map((call, index) => ({ ...call, id: index, attempts: 0 }));
+  let size = Math.max(1, batchSize);
+
+  while (pending.length > 0) {
+    const retryLater = [];
+
+    for (let i = 0; i < pending.length; i += size) {
+      const chunk = pending.slice(i, i + size);
+      const failed = await sendChunk(rpcUrl, chunk, outcomes, timeoutMs);
+      retryLater.push(...failed);
+    }
+
+    // Report calls that ran out of retries; shrink batches for the rest
+    pending = [];
+    for (const call of retryLater) {
+      call.attempts++;
+      if (call.attempts > maxRetries) {
+        outcomes[call.id] = { result: null, error: call.lastError };
+      } else {
+        pending.push(call);
+      }
+    }
+
+    if (pending.length > 0) {
+      size = Math.max(1, Math.floor(size / 2));
+      await sleep(RPC_BATCH.RETRY_DELAY_MS * 2 ** (pending[0].attempts - 1));
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Send one chunk, splitting it when the node rejects the batch size
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<Object>} chunk Calls with ids and attempt counts
+ * @param {Array<Object>} outcomes Outcomes array to fill in
+ * @param {number} timeoutMs Request timeout
+ * @returns {Promise<Array<Object>>} Calls that failed transiently and should be retried
+ * @throws {Error} If the endpoint could not be reached or rate-limited the batch
+ */
+async function sendChunk(rpcUrl, chunk, outcomes, timeoutMs) {
+  let responses;
+  try {
+    responses = await postBatch(rpcUrl, chunk, timeoutMs);
+  } catch (error) {
+    // Smaller requests to an endpoint that is down or rate-limiting us would fail too
+    if (classifyError(error) !== 'answered') {
+      throw error;
+    }
+
+    if (chunk.length > 1 && isBatchSizeError(error)) {
+      // Split and try each half on its own
+      const middle = Math.ceil(chunk.length / 2);
+      const first = await sendChunk(rpcUrl, chunk.slice(0, middle), outcomes, timeoutMs);
+      const second = await sendChunk(rpcUrl, chunk.slice(middle), outcomes, timeoutMs);
+      return [...first, ...second];
+    }
+
+    // Retried in a later, smaller batch
+    for (const call of chunk) {
+      call.lastError = { code: error.response?.status ?? error.error?.code ?? null, message: error.message };
+    }
+    return chunk;
+  }
+
+  const failed = [];
+  for (const call of chunk) {
+    const response = responses.get(call.id);
+
+    if (!response) {
+      call.lastError = { code: null, message: 'No response for call in batch' };
+      failed.push(call);
+    } else if (response.error && isRetryableCallError(response.error)) {
+      call.lastError = response.error;
+      failed.push(call);
+    } else if (response.error) {
+      outcomes[call.id] = { result: null, error: response.error };
+    } else {
+      outcomes[call.id] = { result: response.result ?? null, error: null };
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Convert a hex quantity to a number (null stays null)
+ * @param {string|null} value Hex quantity
+ * @returns {number|null} Number
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(BigInt(value));
+}
+
+/**
+ * Convert a hex quantity to a BigInt (null stays null)
+ * @param {string|null} value Hex quantity
+ * @returns {BigInt|null} BigInt
+ */
+function toBigInt(value) {
+  return value === null || value === undefined ? null : BigInt(value);
+}
+
+/**
+ * Checksum an address (null stays null)
+ * @param {string|null} address Address
+ * @returns {string|null} Checksummed address
+ */
+function toAddress(address) {
+  return address ? ethers.getAddress(address) : null;
+}
+
+/**
+ * Normalize a raw transaction into the shape ethers returns
+ * @param {Object} raw Raw eth_getTransactionByHash / block transaction
+ * @returns {Object} Transaction
+ */
+export function normalizeTransaction(raw) {
+  return {
+    hash: raw.hash,
+    blockNumber: toNumber(raw.blockNumber),
+    blockHash: raw.blockHash || null,
+    index: toNumber(raw.transactionIndex),
+    type: toNumber(raw.type) ?? 0,
+    from: toAddress(raw.from),
+    to: toAddress(raw.to),
+    nonce: toNumber(raw.nonce),
+    gasLimit: toBigInt(raw.gas),
+    gasPrice: toBigInt(raw.gasPrice),
+    maxFeePerGas: toBigInt(raw.maxFeePerGas),
+    maxPriorityFeePerGas: toBigInt(raw.maxPriorityFeePerGas),
+    value: toBigInt(raw.value) ?? 0n,
+    data: raw.input ?? raw.data ?? '0x',
+    chainId: toBigInt(raw.chainId)
+  };
+}
+
+/**
+ * Normalize a raw block into the shape the scanner expects from ethers
+ * (transactions are full objects when the block was fetched with them)
+ * @param {Object} raw Raw eth_getBlockByNumber result
+ * @returns {Object} Block
+ */
+export function normalizeBlock(raw) {
+  const transactions = raw.transactions || [];
+  const hashesOnly = transactions.length > 0 && typeof transactions[0] === 'string';
+
+  return {
+    number: toNumber(raw.number),
+    hash: raw.hash,
+    parentHash: raw.parentHash,
+    timestamp: toNumber(raw.timestamp),
+    gasUsed: toBigInt(raw.gasUsed),
+    gasLimit: toBigInt(raw.gasLimit),
+    miner: toAddress(raw.miner),
+    transactions: hashesOnly ? transactions : transactions.map(normalizeTransaction),
+    _needsTransactionDetails: hashesOnly
+  };
+}
+
+/**
+ * Normalize a raw receipt into the shape ethers returns
+ * @param {Object} raw Raw eth_getTransactionReceipt result
+ * @returns {Object} Receipt
+ */
+export function normalizeReceipt(raw) {
+  return {
+    hash: raw.transactionHash,
+    transactionHash: raw.transactionHash,
+    blockNumber: toNumber(raw.blockNumber),
+    blockHash: raw.blockHash,
+    index: toNumber(raw.transactionIndex),
+    from: toAddress(raw.from),
+    to: toAddress(raw.to),
+    contractAddress: toAddress(raw.contractAddress),
+    status: toNumber(raw.status),
+    gasUsed: toBigInt(raw.gasUsed),
+    logs: (raw.logs || []).map(log => ({
+      address: toAddress(log.address),
+      topics: log.topics,
+      data: log.data,
+      index: toNumber(log.logIndex),
+      transactionHash: log.transactionHash,
+      blockNumber: toNumber(log.blockNumber)
+    }))
+  };
+}
+
+/**
+ * Fetch blocks in batches
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<number>} blockNumbers Block numbers
+ * @param {boolean} includeTransactions Include full transaction objects
+ * @param {number} batchSize Maximum calls per batch payload
+ * @returns {Promise<Array<{blockNumber: number, block: Object|null, error: Object|null}>>} One outcome per block
+ */
+export async function batchGetBlocks(rpcUrl, blockNumbers, includeTransactions = true, batchSize = RPC_BATCH.SIZE) {
+  const outcomes = await sendBatch(
+    rpcUrl,
+    blockNumbers.map(blockNumber => ({ method: 'eth_getBlockByNumber', params: [decimalToHex(blockNumber), includeTransactions] })),
+    batchSize
+  );
+
+  return outcomes.map(({ result, error }, i) => ({
+    blockNumber: blockNumbers[i],
+    block: result ? normalizeBlock(result) : null,
+    error: error || (result ? null : { code: null, message: `Block ${blockNumbers[i]} not found` })
+  }));
+}
+
+/**
+ * Fetch transactions in batches
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<string>} txHashes Transaction hashes
+ * @param {number} batchSize Maximum calls per batch payload
+ * @returns {Promise<Array<{txHash: string, transaction: Object|null, error: Object|null}>>} One outcome per transaction
+ */
+export async function batchGetTransactions(rpcUrl, txHashes, batchSize = RPC_BATCH.SIZE) {
+  const outcomes = await sendBatch(
+    rpcUrl,
+    txHashes.map(txHash => ({ method: 'eth_getTransactionByHash', params: [txHash] })),
+    batchSize
+  );
+
+  return outcomes.map(({ result, error }, i) => ({
+    txHash: txHashes[i],
+    transaction: result ? normalizeTransaction(result) : null,
+    error
+  }));
+}
+
+/**
+ * Fetch transaction receipts in batches
+ * @param {string} rpcUrl JSON-RPC endpoint
+ * @param {Array<string>} txHashes Transaction hashes
+ * @param {number} batchSize Maximum calls per batch payload
+ * @returns {Promise<Array<{txHash: string, receipt: Object|null, error: Object|null}>>} One outcome per receipt
+ */
+export async function batchGetReceipts(rpcUrl, txHashes, batchSize = RPC_BATCH.SIZE) {
+  const outcomes = await sendBatch(
+    rpcUrl,
+    txHashes.map(txHash => ({ method: 'eth_getTransactionReceipt', params: [txHash] })),
+    batchSize
+  );
+
+  return outcomes.map(({ result, error }, i) => ({
+    txHash: txHashes[i],
+    receipt: result ? normalizeReceipt(result) : null,
+    error
+  }));
+}
@@ -5,20 +5,17 @@ import { ethers } from 'ethers';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getEvmProvider } from '../endpointPool.js';
+import { getRound } from '../rounds.js';
 
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration - Addresses confirmed from successful known transaction checks
-const PROXY_ADDRESS = '0x1E18cdce56B3754c4Dca34CB3a7439C24E8363de'.toLowerCase();
-const IMPLEMENTATION_ADDRESS = '0x05b939069163891997C879288f0BaaC3faaf4500'.toLowerCase();
-
-// RPC endpoints
-const RPC_ENDPOINTS = {
-    primary: 'https://evm-rpc.sei.basementnodes.ca',
-    fallback: 'https://evm.sei-main-eu.ccvalidators.com:443'
-};
+// Round configuration - pass a round id as the first argument to test another round
+const round = getRound(process.argv[2]);
+const PROXY_ADDRESS = round.proxyAddress;
+const IMPLEMENTATION_ADDRESS = round.implementationAddress;
 
 // PROVEN WORKING TRANSACTION HASHES from your first test run output
 const KNOWN_VOTE_TX_HASHES = [
@@ -31,7 +28,7 @@ const KNOWN_VOTE_TX_HASHES = [
 const TARGET_BLOCKS = [134743944, 134740136, 134737125];
 
 // Voting method signature confirmed from successful checks
-const VOTE_METHOD_SIG = '0xc7b8896b';
+const VOTE_METHOD_SIG = round.voteMethodSignatures[0];
 
 /**
  * Sleep for ms milliseconds
@@ -41,18 +38,12 @@ function sleep(ms) {
 }
 
 /**
- * Get provider with fallback
+ * Get provider for the healthiest EVM endpoint
  */
 async function getProvider() {
-    try {
-        const provider = new ethers.JsonRpcProvider(RPC_ENDPOINTS.primary);
-        await provider.getBlockNumber(); // Test connection
-        console.log('Connected to primary RPC');
-        return provider;
-    } catch (error) {
-        console.log('Falling back to secondary RPC');
-        return new ethers.JsonRpcProvider(RPC_ENDPOINTS.fallback);
-    }
+    const provider = await getEvmProvider();
+    console.log(`Connected to ${provider._rpcUrl}`);
+    return provider;
 }
 
 /**
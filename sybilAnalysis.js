@@ -0,0 +1,320 @@
+/**
+ * Funding analysis of voting wallets for SEI Voting Monitor
+ *
+ * A wallet that held less than the minimum balance shortly before its first
+ * vote must have been funded to become eligible. For every such wallet the
+ * incoming transfers between that point and the vote are collected from EVM
+ * traces and Cosmos bank events. Wallets that received funds from the same
+ * address are linked, and each connected group of wallets is reported as a
+ * cluster with its funders, funding and voting times and combined votes.
+ *
+ * A cluster is a lead for reviewers, not a verdict: a shared funder can also
+ * be an exchange or a faucet (list those in SYBIL.IGNORED_FUNDERS).
+ */
+
+import fs from 'fs';
+import { SYBIL } from './config.js';
+import { getRound, getRoundPaths } from './rounds.js';
+import { openVoteStore } from './voteStore.js';
+import { seiToUsei, formatSeiBalance, ensureDirectoryExists } from './utils.js';
+import { getEvmIncomingTransfers, getCosmosIncomingTransfers } from './balanceTimeline.js';
+import { seiToEvmAddress } from './addressConverter.js';
+import { lookupSeiBalance, getEffectiveValidity } from './walletBalances.js';
+import { writeCsvFile } from './csv.js';
+
+// Funder addresses already converted to EVM (Cosmos senders without an EVM address map to themselves)
+const funderAddresses = new Map();
+
+/**
+ * Get the address a funder is identified by, so EVM and Cosmos transfers from
+ * the same account link to the same funder
+ * @param {string} address EVM or Cosmos address
+ * @returns {Promise<string>} Lowercase EVM address, or the Cosmos address if it has none
+ */
+async function normalizeFunder(address) {
+  if (address.startsWith('0x')) return address.toLowerCase();
+  if (funderAddresses.has(address)) return funderAddresses.get(address);
+
+  let normalized = address;
+  try {
+    normalized = await seiToEvmAddress(address);
+  } catch (error) {
+    // Module accounts and unassociated accounts have no EVM address
+  }
+
+  funderAddresses.set(address, normalized);
+  return normalized;
+}
+
+/**
+ * Trace the transfers that funded a wallet before its first vote
+ * @param {Object} wallet Wallet record
+ * @param {number} firstVoteBlock Block of the wallet's first vote
+ * @param {BigInt} minUsei Minimum balance (usei)
+ * @param {number} lookbackBlocks Blocks before the vote to search
+ * @param {Set<string>} ignored Addresses not counted as funders (the wallet itself is always ignored)
+ * @returns {Promise<Object>} Funding record: searched blocks, balance at the start, whether the wallet
+ *   was funded in the window, the transfers it received and whether both sources answered
+ */
+export async function traceWalletFunding(wallet, firstVoteBlock, minUsei, lookbackBlocks, ignored = new Set()) {
+  const fromBlock = Math.max(0, firstVoteBlock - lookbackBlocks);
+  const toBlock = firstVoteBlock;
+
+  // A wallet already above the minimum at the start needed no funding to vote
+  const lookup = await lookupSeiBalance(wallet.cosmosAddress, fromBlock);
+  const balanceAtStart = lookup.status === 'ok' ? lookup.balance : null;
+  if (balanceAtStart !== null && balanceAtStart >= minUsei) {
+    return {
+      fromBlock,
+      toBlock,
+      balanceAtStart: balanceAtStart.toString(),
+      fundedInWindow: false,
+      transfers: [],
+      complete: true
+    };
+  }
+
+  const evmTransfers = await getEvmIncomingTransfers(wallet.evmAddress, fromBlock, toBlock);
+  const cosmosTransfers = await getCosmosIncomingTransfers(wallet.cosmosAddress, fromBlock, toBlock);
+
+  // EVM transfers also emit bank events, so the same transfer can come from both sources
+  const transfers = [];
+  const seen = new Set();
+  for (const transfer of [...(evmTransfers || []), ...(cosmosTransfers || [])]) {
+    const from = await normalizeFunder(transfer.from);
+    if (from === wallet.evmAddress || from === wallet.cosmosAddress || ignored.has(from)) continue;
+
+    const key = `${from}:${transfer.blockNumber}:${transfer.amount}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    transfers.push({ ...transfer, from });
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    balanceAtStart: balanceAtStart === null ? null : balanceAtStart.toString(),
+    fundedInWindow: true,
+    transfers: transfers.sort((a, b) => a.blockNumber - b.blockNumber),
+    complete: evmTransfers !== null && cosmosTransfers !== null && balanceAtStart !== null
+  };
+}
+
+/**
+ * Group wallets that share funders into clusters
+ * @param {Array<Object>} wallets Wallet records with a funding record
+ * @param {Function} getVotes Returns the vote records of a wallet
+ * @param {number} minClusterSize Smallest cluster to report
+ * @returns {Array<Object>} Clusters, largest first
+ */
+export function buildFunderClusters(wallets, getVotes, minClusterSize = SYBIL.MIN_CLUSTER_SIZE) {
+  // Funder graph: funder -> wallets it funded
+  const funded = new Map();
+  for (const wallet of wallets) {
+    if (!wallet.funding?.fundedInWindow) continue;
+
+    for (const transfer of wallet.funding.transfers) {
+      if (!funded.has(transfer.from)) funded.set(transfer.from, new Set());
+      funded.get(transfer.from).add(wallet.evmAddress);
+    }
+  }
+
+  // Union wallets linked by a shared funder
+  const parent = new Map();
+  const find = (address) => {
+    while (parent.get(address) !== address) {
+      parent.set(address, parent.get(parent.get(address)));
+      address = parent.get(address);
+    }
+    return address;
+  };
+
+  const sharedFunders = Array.from(funded).filter(([, walletSet]) => walletSet.size > 1);
+  for (const [, walletSet] of sharedFunders) {
+    const [first, ...rest] = walletSet;
+    for (const address of walletSet) {
+      if (!parent.has(address)) parent.set(address, address);
+    }
+    for (const address of rest) {
+      parent.set(find(address), find(first));
+    }
+  }
+
+  const members = new Map();
+  for (const address of parent.keys()) {
+    const root = find(address);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(address);
+  }
+
+  const walletsByAddress = new Map(wallets.map(wallet => [wallet.evmAddress, wallet]));
+  const clusters = [];
+
+  for (const addresses of members.values()) {
+    if (addresses.length < minClusterSize) continue;
+
+    const memberSet = new Set(addresses);
+    const funders = sharedFunders
+      .filter(([, walletSet]) => [...walletSet].some(address => memberSet.has(address)))
+      .map(([funder]) => funder);
+    const funderSet = new Set(funders);
+
+    const clusterWallets = addresses.map(address => {
+      const wallet = walletsByAddress.get(address);
+      const transfers = wallet.funding.transfers.filter(transfer => funderSet.has(transfer.from));
+      const votes = getVotes(address).sort((a, b) => a.blockNumber - b.blockNumber);
+
+      return {
+        evmAddress: address,
+        cosmosAddress: wallet.cosmosAddress,
+        funders: [...new Set(transfers.map(transfer => transfer.from))],
+        fundedAmount: transfers.reduce((sum, transfer) => sum + BigInt(transfer.amount), 0n),
+        firstFundingBlock: transfers[0].blockNumber,
+        lastFundingBlock: transfers[transfers.length - 1].blockNumber,
+        firstVoteBlock: votes[0]?.blockNumber ?? null,
+        firstVoteAt: votes[0]?.timestamp ?? null,
+        lastVoteBlock: votes[votes.length - 1]?.blockNumber ?? null,
+        lastVoteAt: votes[votes.length - 1]?.timestamp ?? null,
+        votes: votes.length,
+        validVotes: votes.filter(vote => getEffectiveValidity(vote) === true).length,
+        invalidatedVotes: votes.filter(vote => getEffectiveValidity(vote) === false).length
+      };
+    });
+
+    const voted = clusterWallets.filter(wallet => wallet.firstVoteBlock !== null);
+    const firstVoter = voted.reduce((first, wallet) => !first || wallet.firstVoteBlock < first.firstVoteBlock ? wallet : first, null);
+    const lastVoter = voted.reduce((last, wallet) => !last || wallet.lastVoteBlock > last.lastVoteBlock ? wallet : last, null);
+    const firstFundingBlock = Math.min(...clusterWallets.map(wallet => wallet.firstFundingBlock));
+    const lastFundingBlock = Math.max(...clusterWallets.map(wallet => wallet.lastFundingBlock));
+
+    clusters.push({
+      size: clusterWallets.length,
+      funders: funders.map(funder => ({
+        address: funder,
+        wallets: [...funded.get(funder)].filter(address => memberSet.has(address)).length
+      })),
+      timing: {
+        firstFundingBlock,
+        lastFundingBlock,
+        fundingSpanBlocks: lastFundingBlock - firstFundingBlock,
+        firstVoteBlock: firstVoter?.firstVoteBlock ?? null,
+        firstVoteAt: firstVoter?.firstVoteAt ?? null,
+        lastVoteBlock: lastVoter?.lastVoteBlock ?? null,
+        lastVoteAt: lastVoter?.lastVoteAt ?? null
+      },
+      votes: {
+        total: clusterWallets.reduce((sum, wallet) => sum + wallet.votes, 0),
+        valid: clusterWallets.reduce((sum, wallet) => sum + wallet.validVotes, 0),
+        invalidated: clusterWallets.reduce((sum, wallet) => sum + wallet.invalidatedVotes, 0)
+      },
+      fundedAmount: clusterWallets.reduce((sum, wallet) => sum + wallet.fundedAmount, 0n),
+      wallets: clusterWallets
+    });
+  }
+
+  return clusters
+    .sort((a, b) => b.size - a.size || b.votes.total - a.votes.total)
+    .map((cluster, index) => ({ id: index + 1, ...cluster }));
+}
+
+// Columns of sybil_clusters.csv, one row per clustered wallet
+const CLUSTER_REPORT_COLUMNS = [
+  { key: 'clusterId', label: 'Cluster', value: ({ cluster }) => cluster.id },
+  { key: 'clusterSize', label: 'Cluster size', value: ({ cluster }) => cluster.size },
+  { key: 'evmAddress', label: 'EVM address', value: ({ wallet }) => wallet.evmAddress },
+  { key: 'cosmosAddress', label: 'Cosmos address', value: ({ wallet }) => wallet.cosmosAddress },
+  { key: 'funders', label: 'Shared funders', value: ({ wallet }) => wallet.funders.join(' ') },
+  { key: 'fundedAmount', label: 'Funded amount (SEI)', value: ({ wallet }) => formatSeiBalance(wallet.fundedAmount) },
+  { key: 'firstFundingBlock', label: 'First funding block', value: ({ wallet }) => wallet.firstFundingBlock },
+  { key: 'firstVoteBlock', label: 'First vote block', value: ({ wallet }) => wallet.firstVoteBlock },
+  { key: 'firstVoteAt', label: 'First vote time', value: ({ wallet }) => wallet.firstVoteAt },
+  { key: 'votes', label: 'Votes', value: ({ wallet }) => wallet.votes },
+  { key: 'validVotes', label: 'Valid votes', value: ({ wallet }) => wallet.validVotes },
+  { key: 'clusterVotes', label: 'Cluster votes', value: ({ cluster }) => cluster.votes.total },
+  { key: 'clusterValidVotes', label: 'Cluster valid votes', value: ({ cluster }) => cluster.votes.valid }
+];
+
+/**
+ * Write the cluster report: one CSV row per clustered wallet (to read next to
+ * wallet_report.csv) and the clusters with their funders in JSON
+ * @param {Array<Object>} clusters Clusters from buildFunderClusters
+ * @param {Object} summary Analysis summary included in the JSON report
+ * @param {string} csvFile CSV report path
+ * @param {string} jsonFile JSON report path
+ */
+function writeClusterReport(clusters, summary, csvFile, jsonFile) {
+  const rows = clusters.flatMap(cluster => cluster.wallets.map(wallet => ({ cluster, wallet })));
+  writeCsvFile(csvFile, rows, CLUSTER_REPORT_COLUMNS);
+
+  const toJson = (key, value) => typeof value === 'bigint' ? formatSeiBalance(value) : value;
+  fs.writeFileSync(jsonFile, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...summary,
+    clusters
+  }, toJson, 2), 'utf8');
+}
+
+/**
+ * Trace the funding of every voting wallet and report clusters of wallets sharing funders
+ * @param {string} roundId Round id (defaults to the active round)
+ * @param {boolean} refresh Trace wallets again even if their funding is already recorded
+ * @param {number} lookbackBlocks Blocks before each wallet's first vote to search for funding
+ * @returns {Promise<Object>} Summary with the number of analyzed and clustered wallets and the report paths
+ */
+export async function analyzeFunding(roundId = null, refresh = false, lookbackBlocks = SYBIL.LOOKBACK_BLOCKS) {
+  const round = getRound(roundId);
+  const paths = getRoundPaths(round);
+  ensureDirectoryExists(paths.DATA_DIR);
+  const store = openVoteStore(paths);
+
+  const minUsei = seiToUsei(round.minSeiRequired);
+  // Funders are compared after normalization, so Sei addresses are ignored under their EVM address too
+  const ignored = new Set(round.addresses);
+  for (const address of SYBIL.IGNORED_FUNDERS) {
+    ignored.add(address.startsWith('0x') ? address.toLowerCase() : address);
+    ignored.add(await normalizeFunder(address));
+  }
+
+  const wallets = store.listWallets().filter(wallet => store.getVotesByWallet(wallet.evmAddress).length > 0);
+  console.log(`Tracing the funding of ${wallets.length} voting wallets (${lookbackBlocks} blocks before each first vote)...`);
+
+  let traced = 0;
+  for (const wallet of wallets) {
+    const firstVoteBlock = Math.min(...store.getVotesByWallet(wallet.evmAddress).map(vote => vote.blockNumber));
+    const expectedFrom = Math.max(0, firstVoteBlock - lookbackBlocks);
+
+    // Funding is kept in the store, so reruns only trace new or incomplete wallets
+    const recorded = wallet.funding;
+    if (!refresh && recorded && recorded.complete && recorded.fromBlock === expectedFrom && recorded.toBlock === firstVoteBlock) {
+      continue;
+    }
+
+    const funding = await traceWalletFunding(wallet, firstVoteBlock, minUsei, lookbackBlocks, ignored);
+    store.upsertWallet({ evmAddress: wallet.evmAddress, funding });
+    traced++;
+
+    if (traced % 50 === 0) {
+      console.log(`Traced ${traced} wallets...`);
+    }
+  }
+
+  const analyzed = store.listWallets().filter(wallet => wallet.funding);
+  const clusters = buildFunderClusters(analyzed, address => store.getVotesByWallet(address));
+
+  const summary = {
+    round: round.id,
+    lookbackBlocks,
+    walletsAnalyzed: analyzed.length,
+    walletsFundedInWindow: analyzed.filter(wallet => wallet.funding.fundedInWindow).length,
+    // Wallets whose funding may be missing transfers because a source was unavailable
+    incompleteWallets: analyzed.filter(wallet => !wallet.funding.complete).length,
+    totalClusters: clusters.length,
+    clusteredWallets: clusters.reduce((sum, cluster) => sum + cluster.size, 0)
+  };
+
+  writeClusterReport(clusters, summary, paths.REPORT.SYBIL, paths.REPORT.SYBIL_JSON);
+  console.log(`Found ${summary.totalClusters} clusters covering ${summary.clusteredWallets} wallets`);
+
+  return { ...summary, csvFile: paths.REPORT.SYBIL, jsonFile: paths.REPORT.SYBIL_JSON, topClusters: clusters.slice(0, 10) };
+}
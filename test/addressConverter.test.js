@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PATHS } from '../config.js';
+import { addressCache, reverseAddressCache } from '../cache.js';
+import {
+  bech32Encode,
+  bech32Decode,
+  deriveSeiAddress,
+  deriveEvmAddress,
+  evmToSeiAddress,
+  seiToEvmAddress
+} from '../addressConverter.js';
+
+// Public key of the secp256k1 private key 1 (the generator point), whose
+// HASH160 is the well-known 751e76e8199196d454941c45d1b3a323f1433bd6
+const PUBLIC_KEY = '0x0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+const UNCOMPRESSED_PUBLIC_KEY = '0x0479be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798' +
+  '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8';
+const HASH160 = '751e76e8199196d454941c45d1b3a323f1433bd6';
+
+// Checksums computed with the reference bech32 library
+const SEI_ADDRESS = 'sei1w508d6qejxtdg4y5r3zarvary0c5xw7kh3xvfe';
+const COSMOS_ADDRESS = 'cosmos1w508d6qejxtdg4y5r3zarvary0c5xw7k6ah60c';
+
+/**
+ * Convert hex to bytes
+ * @param {string} hex Hex string without 0x
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex) {
+  return Uint8Array.from(Buffer.from(hex, 'hex'));
+}
+
+test('derives the Sei and EVM addresses of a known public key', () => {
+  assert.equal(deriveSeiAddress(PUBLIC_KEY), SEI_ADDRESS);
+  assert.equal(deriveSeiAddress(UNCOMPRESSED_PUBLIC_KEY), SEI_ADDRESS);
+  assert.equal(deriveEvmAddress(PUBLIC_KEY), '0x7e5f4552091a69125d5dfcb7b8c2659029395bdf');
+});
+
+test('encodes address bytes with the prefix checksum', () => {
+  assert.equal(bech32Encode('sei', hexToBytes(HASH160)), SEI_ADDRESS);
+  assert.equal(bech32Encode('cosmos', hexToBytes(HASH160)), COSMOS_ADDRESS);
+});
+
+test('decodes Sei addresses back to their bytes', () => {
+  const { prefix, bytes } = bech32Decode(SEI_ADDRESS);
+
+  assert.equal(prefix, 'sei');
+  assert.equal(Buffer.from(bytes).toString('hex'), HASH160);
+  assert.deepEqual(bech32Decode(SEI_ADDRESS.toUpperCase()), { prefix: 'sei', bytes });
+});
+
+test('accepts the BIP-173 valid test vectors', () => {
+  assert.equal(bech32Decode('A12UEL5L').prefix, 'a');
+  assert.equal(
+    bech32Decode('an83characterlonghumanreadablepartthatcontainsthenumber1andtheexcludedcharactersbio1tt5tgs').prefix,
+    'an83characterlonghumanreadablepartthatcontainsthenumber1andtheexcludedcharactersbio'
+  );
+
+  const { prefix, bytes } = bech32Decode('abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw');
+  assert.equal(prefix, 'abcdef');
+  assert.equal(Buffer.from(bytes).toString('hex'), '00443214c74254b635cf84653a56d7c675be77df');
+  assert.equal(bech32Encode('abcdef', bytes), 'abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw');
+});
+
+test('rejects bad checksums, characters and mixed case', () => {
+  assert.throws(() => bech32Decode('sei1w508d6qejxtdg4y5r3zarvary0c5xw7kh3xvff'), /checksum/);
+  assert.throws(() => bech32Decode('sei1w508d6qejxtdg4y5r3zarvary0c5xw7kh3xvfb'), /character/);
+  assert.throws(() => bech32Decode('Sei1w508d6qejxtdg4y5r3zarvary0c5xw7kh3xvfe'), /Mixed-case/);
+  assert.throws(() => bech32Decode('pzry9x0s0muk'), /Invalid bech32 address/);
+});
+
+test('resolves persisted address pairs without the cache or the network', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-map-'));
+  const evmAddress = '0x7e5f4552091a69125d5dfcb7b8c2659029395bdf';
+  fs.writeFileSync(path.join(dataDir, PATHS.ADDRESS_MAP), JSON.stringify({
+    [evmAddress]: { seiAddress: SEI_ADDRESS, source: 'pubkey', resolvedAt: '2025-03-01T00:00:00.000Z' }
+  }));
+  PATHS.DATA_DIR = dataDir;
+
+  try {
+    // Load the map, then let the cache entries expire
+    assert.equal(await evmToSeiAddress(evmAddress), SEI_ADDRESS);
+    addressCache.clear();
+    reverseAddressCache.clear();
+
+    assert.equal(await evmToSeiAddress(evmAddress.toUpperCase().replace('0X', '0x')), SEI_ADDRESS);
+    assert.equal(await seiToEvmAddress(SEI_ADDRESS), evmAddress);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tallyProjects } from '../walletBalances.js';
+
+const PROJECT_A = '0x2222222222222222222222222222222222222222';
+const PROJECT_B = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+
+/**
+ * Build the vote map tallyProjects reads
+ * @param {Array<Object>} votes Vote records
+ * @returns {Map} Votes by transaction hash
+ */
+function voteMap(votes) {
+  return new Map(votes.map((vote, index) => [`0x${index}`, { txHash: `0x${index}`, decodedFrom: 'calldata', ...vote }]));
+}
+
+test('splits contributions per project and token by validity', () => {
+  const { projects, undecodedVotes, heuristicVotes } = tallyProjects(voteMap([
+    { evmAddress: '0xa', finalIsValid: true, allocations: [{ project: PROJECT_A, token: null, amount: '100' }] },
+    { evmAddress: '0xa', finalIsValid: true, allocations: [{ project: PROJECT_A, token: null, amount: '50' }] },
+    { evmAddress: '0xb', finalIsValid: false, allocations: [{ project: PROJECT_A, token: null, amount: '30' }] },
+    { evmAddress: '0xc', finalIsValid: null, isValid: null, allocations: [{ project: PROJECT_A, token: null, amount: '20' }] },
+    { evmAddress: '0xb', finalIsValid: true, allocations: [{ project: PROJECT_A, token: TOKEN, amount: '7' }] }
+  ]));
+
+  assert.equal(undecodedVotes, 0);
+  assert.equal(heuristicVotes, 0);
+  assert.deepEqual(projects, [
+    {
+      project: PROJECT_A,
+      token: null,
+      contributions: 4,
+      uniqueContributors: 3,
+      totalAmount: '200',
+      validContributions: 2,
+      validContributors: 1,
+      validAmount: '150',
+      invalidatedContributions: 1,
+      invalidatedAmount: '30',
+      unresolvedContributions: 1,
+      unresolvedAmount: '20'
+    },
+    {
+      project: PROJECT_A,
+      token: TOKEN,
+      contributions: 1,
+      uniqueContributors: 1,
+      totalAmount: '7',
+      validContributions: 1,
+      validContributors: 1,
+      validAmount: '7',
+      invalidatedContributions: 0,
+      invalidatedAmount: '0',
+      unresolvedContributions: 0,
+      unresolvedAmount: '0'
+    }
+  ]);
+});
+
+test('sorts projects by valid amount, then valid contributors', () => {
+  const { projects } = tallyProjects(voteMap([
+    { evmAddress: '0xa', finalIsValid: true, allocations: [{ project: PROJECT_A, token: null, amount: '10' }] },
+    { evmAddress: '0xb', finalIsValid: true, allocations: [{ project: PROJECT_B, token: null, amount: '5' }] },
+    { evmAddress: '0xc', finalIsValid: true, allocations: [{ project: PROJECT_B, token: null, amount: '5' }] },
+    { evmAddress: '0xd', finalIsValid: false, allocations: [{ project: PROJECT_A, token: null, amount: '1000' }] }
+  ]));
+
+  assert.deepEqual(projects.map(project => project.project), [PROJECT_B, PROJECT_A]);
+});
+
+test('counts amounts beyond Number precision exactly', () => {
+  const amount = 123456789012345678901234567890n;
+  const { projects } = tallyProjects(voteMap([
+    { evmAddress: '0xa', finalIsValid: true, allocations: [{ project: PROJECT_A, token: null, amount: amount.toString() }] },
+    { evmAddress: '0xb', finalIsValid: true, allocations: [{ project: PROJECT_A, token: null, amount: '1' }] }
+  ]));
+
+  assert.equal(projects[0].validAmount, (amount + 1n).toString());
+});
+
+test('applies reviewer overrides', () => {
+  const { projects } = tallyProjects(voteMap([
+    { evmAddress: '0xa', finalIsValid: false, reviewOverride: { isValid: true, note: 'checked' }, allocations: [{ project: PROJECT_A, token: null, amount: '10' }] },
+    { evmAddress: '0xb', finalIsValid: true, reviewOverride: { isValid: false, note: '' }, allocations: [{ project: PROJECT_A, token: null, amount: '5' }] }
+  ]));
+
+  assert.equal(projects[0].validAmount, '10');
+  assert.equal(projects[0].invalidatedAmount, '5');
+});
+
+test('leaves out undecoded and heuristically decoded votes', () => {
+  const { projects, undecodedVotes, heuristicVotes } = tallyProjects(voteMap([
+    { evmAddress: '0xa', finalIsValid: true, allocations: [] },
+    { evmAddress: '0xb', finalIsValid: true },
+    { evmAddress: '0xc', finalIsValid: true, decodedFrom: 'heuristic', allocations: [{ project: PROJECT_B, token: null, amount: '5' }] },
+    { evmAddress: '0xd', finalIsValid: true, decodedFrom: 'native', allocations: [{ project: null, token: null, amount: '3' }] }
+  ]));
+
+  assert.equal(undecodedVotes, 2);
+  assert.equal(heuristicVotes, 1);
+  assert.deepEqual(projects.map(project => [project.project, project.validAmount]), [[null, '3']]);
+});
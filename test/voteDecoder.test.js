@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { decodeVote, isReliableDecoding } from '../voteDecoder.js';
+
+const PROXY = '0x1e18cdce56b3754c4dca34cb3a7439c24e8363de';
+const IMPLEMENTATION = '0x05b939069163891997c879288f0baac3faaf4500';
+const VOTER = '0x1111111111111111111111111111111111111111';
+const PROJECT_A = '0x2222222222222222222222222222222222222222';
+const PROJECT_B = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const HUNDRED = 100n * 10n ** 18n;
+
+const round = {
+  id: 'test-round',
+  addresses: [PROXY, IMPLEMENTATION],
+  voteAbi: [
+    'function allocate(uint256[] poolIds, uint256[] amounts, bytes[] data) payable',
+    'event Voted(address indexed voter, address indexed recipient, address token, uint256 amount)'
+  ],
+  voteFields: {},
+  voteDataTypes: [
+    'address recipientId',
+    'uint8 permitType',
+    'tuple(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, bytes signature) permit2Data'
+  ]
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const iface = new ethers.Interface(round.voteAbi);
+
+/**
+ * Encode one allocate payload
+ * @param {string} recipient Project address
+ * @param {string} token Token address
+ * @param {bigint} amount Amount
+ * @returns {string} ABI-encoded payload
+ */
+function payload(recipient, token, amount) {
+  return coder.encode(round.voteDataTypes, [recipient, 0, [[[token, amount], 0, 0], '0x']]);
+}
+
+/**
+ * Build calldata from raw 32-byte words behind the allocate selector
+ * @param {Array<bigint>} words Words
+ * @returns {string} Calldata
+ */
+function rawCalldata(words) {
+  return '0xc7b8896b' + words.map(word => ethers.toBeHex(word, 32).slice(2)).join('');
+}
+
+test('decodes the allocate payloads with the round ABI', () => {
+  const tx = {
+    from: VOTER,
+    to: PROXY,
+    value: HUNDRED,
+    data: iface.encodeFunctionData('allocate', [[1n, 1n], [HUNDRED, 5n], [payload(PROJECT_A, NATIVE_TOKEN, HUNDRED), payload(PROJECT_B, TOKEN, 5n)]])
+  };
+
+  assert.deepEqual(decodeVote(tx, null, round), {
+    allocations: [
+      { project: PROJECT_A, token: null, amount: HUNDRED.toString() },
+      { project: PROJECT_B, token: TOKEN, amount: '5' }
+    ],
+    decodedFrom: 'calldata',
+    decodedMethod: 'allocate'
+  });
+});
+
+test('falls back to the events when the calldata does not match the ABI', () => {
+  const event = iface.encodeEventLog('Voted', [VOTER, PROJECT_A, TOKEN, 7n]);
+  const receipt = { logs: [{ address: PROXY, topics: event.topics, data: event.data }] };
+  const tx = { from: VOTER, to: PROXY, value: 0n, data: '0x12345678' };
+
+  const decoded = decodeVote(tx, receipt, round);
+  assert.equal(decoded.decodedFrom, 'event');
+  assert.deepEqual(decoded.allocations, [{ project: PROJECT_A, token: TOKEN, amount: '7' }]);
+});
+
+test('does not read large amounts as addresses in heuristic decoding', () => {
+  const tx = { from: VOTER, to: PROXY, value: 0n, data: rawCalldata([BigInt(PROJECT_A), BigInt(TOKEN), HUNDRED]) };
+
+  assert.deepEqual(decodeVote(tx).allocations, [{ project: PROJECT_A, token: TOKEN, amount: HUNDRED.toString() }]);
+});
+
+test('does not report a large amount as the token', () => {
+  const tx = { from: VOTER, to: PROXY, value: 0n, data: rawCalldata([BigInt(PROJECT_A), HUNDRED]) };
+
+  const decoded = decodeVote(tx);
+  assert.equal(decoded.decodedFrom, 'heuristic');
+  assert.deepEqual(decoded.allocations, [{ project: PROJECT_A, token: null, amount: HUNDRED.toString() }]);
+});
+
+test('ignores the voter and the voting contracts in heuristic decoding', () => {
+  const tx = { from: VOTER, to: PROXY, value: 0n, data: rawCalldata([BigInt(VOTER), BigInt(PROXY), BigInt(PROJECT_B), 9n]) };
+
+  assert.deepEqual(decodeVote(tx, null, { ...round, voteAbi: [] }).allocations, [{ project: PROJECT_B, token: null, amount: '9' }]);
+});
+
+test('records a plain SEI transfer as a native allocation without a project', () => {
+  const tx = { from: VOTER, to: PROXY, value: HUNDRED, data: '0x' };
+
+  assert.deepEqual(decodeVote(tx, null, round), {
+    allocations: [{ project: null, token: null, amount: HUNDRED.toString() }],
+    decodedFrom: 'native',
+    decodedMethod: null
+  });
+});
+
+test('returns no allocations when nothing can be decoded', () => {
+  const tx = { from: VOTER, to: PROXY, value: 0n, data: '0x' };
+
+  assert.deepEqual(decodeVote(tx, null, round), { allocations: [], decodedFrom: null, decodedMethod: null });
+});
+
+test('only heuristic decoding is unreliable', () => {
+  assert.equal(isReliableDecoding('calldata'), true);
+  assert.equal(isReliableDecoding('event'), true);
+  assert.equal(isReliableDecoding('native'), true);
+  assert.equal(isReliableDecoding('heuristic'), false);
+  assert.equal(isReliableDecoding(null), false);
+});
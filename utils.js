@@ -2,7 +2,7 @@
  * Utility functions for SEI Voting Monitor
  */
 
-import { USEI_TO_SEI, WEI_DECIMALS, DISPLAY_DECIMALS } from './config.js';
+import { USEI_TO_SEI, DISPLAY_DECIMALS, ASEI_PER_USEI } from './config.js';
 import fs from 'fs';
 
 
@@ -54,54 +54,96 @@ export function formatDateUTC(date) {
 }
 
 /**
- * Format SEI balance to standard 6 decimal places
- * @param {number} amount Amount in SEI
- * @returns {number} Formatted amount with 6 decimal places
+ * Normalize a balance to integer usei
+ *
+ * Balances are stored as usei decimal strings. Plain numbers are balances
+ * written by earlier versions, which stored float SEI rounded to 6 decimals.
+ * @param {BigInt|string|number} amount Balance (usei, or legacy SEI number)
+ * @returns {BigInt} Amount in usei
+ * @throws {Error} If the amount is missing (an unknown balance is not zero)
+ */
+export function toUsei(amount) {
+  if (amount === null || amount === undefined) {
+    throw new Error('Missing usei amount (unknown balances must not be treated as zero)');
+  }
+  if (typeof amount === 'bigint') {
+    return amount;
+  }
+  if (typeof amount === 'number') {
+    return seiToUsei(amount);
+  }
+  if (typeof amount === 'string' && /^-?\d+$/.test(amount.trim())) {
+    return BigInt(amount.trim());
+  }
+  
+  throw new Error(`Invalid usei amount: ${amount}`);
+}
+
+/**
+ * Format SEI balance for display with 6 decimal places
+ * @param {BigInt|string|number} amount Balance in usei (or legacy SEI number)
+ * @returns {string} Amount in SEI, e.g. "100.000000"
  */
 export function formatSeiBalance(amount) {
-  return Number(amount.toFixed(DISPLAY_DECIMALS));
+  return useiToSei(toUsei(amount));
+}
+
+/**
+ * Truncate wei (asei) to whole usei
+ *
+ * Division rounds toward zero, so fractions of a usei are dropped and an EVM
+ * balance never rounds up across the minimum balance.
+ * @param {string|number|BigInt} weiAmount Amount in wei/asei (10^18)
+ * @returns {BigInt} Amount in usei
+ */
+export function aseiToUsei(weiAmount) {
+  return BigInt(weiAmount) / ASEI_PER_USEI;
 }
 
 /**
  * Convert wei (asei) to SEI with proper decimal places
  * @param {string|number|BigInt} weiAmount Amount in wei/asei (10^18)
- * @returns {number} Amount in SEI with 6 decimal places
+ * @returns {string} Amount in SEI with 6 decimal places (truncated)
  */
 export function weiToSei(weiAmount) {
-  // Handle different input types
-  let amount;
-  if (typeof weiAmount === 'bigint') {
-    amount = Number(weiAmount) / 1e18;
-  } else if (typeof weiAmount === 'string') {
-    amount = Number(weiAmount) / 1e18;
-  } else {
-    amount = weiAmount / 1e18;
-  }
-  
-  // Format to 6 decimal places
-  return Number(amount.toFixed(DISPLAY_DECIMALS));
+  return useiToSei(aseiToUsei(weiAmount));
 }
 
 /**
  * Convert usei to SEI
- * @param {string|number} useiAmount Amount in usei (10^6)
- * @returns {number} Amount in SEI with 6 decimal places
+ * @param {string|number|BigInt} useiAmount Amount in usei (10^6)
+ * @returns {string} Exact amount in SEI with 6 decimal places
  */
 export function useiToSei(useiAmount) {
-  // Handle string input
-  const amount = typeof useiAmount === 'string' ? Number(useiAmount) : useiAmount;
+  const amount = BigInt(useiAmount);
+  const sign = amount < 0n ? '-' : '';
+  const absolute = amount < 0n ? -amount : amount;
+  const divisor = BigInt(USEI_TO_SEI);
   
-  // Format to 6 decimal places
-  return Number((amount / USEI_TO_SEI).toFixed(DISPLAY_DECIMALS));
+  const whole = absolute / divisor;
+  const fraction = (absolute % divisor).toString().padStart(DISPLAY_DECIMALS, '0');
+  return `${sign}${whole}.${fraction}`;
 }
 
 /**
  * Convert SEI to usei
- * @param {number} seiAmount Amount in SEI
- * @returns {number} Amount in usei (integer)
+ * @param {number|string} seiAmount Amount in SEI (digits past 6 decimals are truncated)
+ * @returns {BigInt} Amount in usei
  */
 export function seiToUsei(seiAmount) {
-  return Math.floor(seiAmount * USEI_TO_SEI);
+  const text = typeof seiAmount === 'number'
+    ? seiAmount.toFixed(DISPLAY_DECIMALS)
+    : String(seiAmount).trim();
+  
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid SEI amount: ${seiAmount}`);
+  }
+  
+  const [, sign, whole, fraction = ''] = match;
+  const usei = BigInt(whole || '0') * BigInt(USEI_TO_SEI) +
+    BigInt(fraction.slice(0, DISPLAY_DECIMALS).padEnd(DISPLAY_DECIMALS, '0'));
+  return sign === '-' ? -usei : usei;
 }
 
 /**
@@ -0,0 +1,303 @@
+/**
+ * Vote decoding for SEI Voting Monitor
+ *
+ * Turns a vote transaction into the allocations it made: the project voted
+ * for, the token and the amount. A round can describe its vote method and
+ * events in rounds.json ("voteAbi", human-readable ABI fragments, with
+ * "voteFields" naming the parameters that hold each field). Methods that pass
+ * each allocation as ABI-encoded bytes (like a batch allocate's bytes[] data)
+ * describe the payload with "voteDataTypes". Without an ABI, or when neither
+ * the calldata nor the logs match it, the calldata is read heuristically as
+ * 32-byte words; those allocations are a guess and are left out of the
+ * project tallies.
+ *
+ * Amounts are raw integer strings in the token's base units. A token of null
+ * means native SEI (the transaction value, in wei).
+ */
+
+import { ethers } from 'ethers';
+
+// Parameter names that hold each field, when a round does not name them in voteFields
+const DEFAULT_FIELDS = {
+  project: ['project', 'recipient', 'recipientId', 'recipientAddress', 'grant', 'grantee', 'projectId'],
+  token: ['token', 'tokenAddress', 'asset'],
+  amount: ['amount', 'value', 'votes', 'weight'],
+  data: ['data', 'datas', 'allocationData']
+};
+
+// Token address allocation contracts use for the native coin
+const NATIVE_TOKEN = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+// Words below this are amounts, lengths, offsets or ids rather than addresses
+// (18-decimal amounts stay below it up to 3.4e20 tokens)
+const MIN_ADDRESS_WORD = 1n << 128n;
+const ADDRESS_LIMIT = 1n << 160n;
+
+// ABI interfaces built from round definitions, keyed by round id
+const interfaces = new Map();
+
+/**
+ * Get the ABI interface of a round's vote method and events
+ * @param {Object} round Round definition
+ * @returns {ethers.Interface|null} Interface, or null if the round has no (valid) ABI
+ */
+function getVoteInterface(round) {
+  if (!round || !round.voteAbi || round.voteAbi.length === 0) return null;
+  if (interfaces.has(round.id)) return interfaces.get(round.id);
+
+  let iface = null;
+  try {
+    iface = new ethers.Interface(round.voteAbi);
+  } catch (error) {
+    console.error(`Invalid voteAbi for round ${round.id}, falling back to heuristic decoding:`, error.message);
+  }
+
+  interfaces.set(round.id, iface);
+  return iface;
+}
+
+/**
+ * Flatten decoded parameters into a name -> value map. Tuple members are
+ * flattened, and the members of an array of tuples become arrays.
+ * @param {Array<ethers.ParamType>} params Parameter types
+ * @param {ethers.Result} values Decoded values
+ * @param {Object} into Map to add to
+ * @returns {Object} Parameter values by name (the first parameter of a name wins)
+ */
+function flattenParams(params, values, into = {}) {
+  params.forEach((param, index) => {
+    const value = values[index];
+
+    if (param.isTuple()) {
+      flattenParams(param.components, value, into);
+    } else if (param.isArray() && param.arrayChildren.isTuple()) {
+      param.arrayChildren.components.forEach((component, componentIndex) => {
+        if (component.name && !(component.name in into)) {
+          into[component.name] = Array.from(value, item => item[componentIndex]);
+        }
+      });
+    } else if (param.name && !(param.name in into)) {
+      into[param.name] = value;
+    }
+  });
+  return into;
+}
+
+/**
+ * Check whether a decoded value is a list (array parameter)
+ * @param {any} value Decoded value
+ * @returns {boolean} True for arrays and ethers Results
+ */
+function isList(value) {
+  return Array.isArray(value) || value instanceof ethers.Result;
+}
+
+/**
+ * Normalize a decoded value for storage
+ * @param {any} value Decoded value
+ * @returns {string|null} Lowercase address, integer string, hex bytes or null
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string') return value.toLowerCase();
+  return String(value);
+}
+
+/**
+ * Pick the project, token and amount out of decoded parameters
+ * @param {Object} values Parameter values by name
+ * @param {Object} fields Parameter name of each field (from the round's voteFields)
+ * @returns {Array<Object>} Allocations (empty if no project or amount parameter was found)
+ */
+function pickAllocations(values, fields = {}) {
+  const pick = (field) => {
+    const names = fields[field] ? [fields[field]] : DEFAULT_FIELDS[field];
+    const name = names.find(candidate => candidate in values);
+    return name === undefined ? undefined : values[name];
+  };
+
+  const project = pick('project');
+  const token = pick('token');
+  const amount = pick('amount');
+  if (project === undefined && amount === undefined) return [];
+
+  const normalizeToken = value => {
+    const address = normalizeValue(value);
+    return address === NATIVE_TOKEN ? null : address;
+  };
+
+  // Batch votes pass arrays of projects (with a token and amount each, or shared)
+  if (isList(project)) {
+    return Array.from(project, (item, index) => ({
+      project: normalizeValue(item),
+      token: normalizeToken(isList(token) ? token[index] : token),
+      amount: normalizeValue(isList(amount) ? amount[index] : amount)
+    }));
+  }
+
+  return [{ project: normalizeValue(project), token: normalizeToken(token), amount: normalizeValue(amount) }];
+}
+
+/**
+ * Decode the ABI-encoded allocation payloads of a vote with the round's voteDataTypes
+ * @param {Object} values Parameter values by name
+ * @param {Object} fields Round voteFields ("data" names the payload parameter)
+ * @param {Array<string>} dataTypes Parameter types of one payload
+ * @returns {Array<Object>|null} Allocations, or null if the round has no payload
+ *   types, the method has no payload parameter or a payload does not match the types
+ */
+function decodePayloads(values, fields, dataTypes) {
+  if (!dataTypes || dataTypes.length === 0) return null;
+
+  const names = fields.data ? [fields.data] : DEFAULT_FIELDS.data;
+  const name = names.find(candidate => candidate in values);
+  if (name === undefined) return null;
+
+  const params = dataTypes.map(type => ethers.ParamType.from(type));
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const allocations = [];
+
+  for (const payload of isList(values[name]) ? values[name] : [values[name]]) {
+    try {
+      allocations.push(...pickAllocations(flattenParams(params, coder.decode(params, payload)), fields));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return allocations;
+}
+
+/**
+ * Decode the calldata of a vote with the round's ABI
+ * @param {ethers.Interface} iface Round ABI
+ * @param {Object} tx Transaction
+ * @param {Object} fields Round voteFields
+ * @param {Array<string>} dataTypes Round voteDataTypes (payload parameter types, optional)
+ * @returns {Object|null} Decoded vote, or null if no function in the ABI matches
+ */
+function decodeCalldata(iface, tx, fields, dataTypes = []) {
+  let parsed = null;
+  try {
+    parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+  } catch (error) {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const values = flattenParams(parsed.fragment.inputs, parsed.args);
+  const allocations = decodePayloads(values, fields, dataTypes) ?? pickAllocations(values, fields);
+  return allocations.length > 0 ? { allocations, decodedFrom: 'calldata', decodedMethod: parsed.name } : null;
+}
+
+/**
+ * Decode the vote events a transaction emitted from the voting contracts
+ * @param {ethers.Interface} iface Round ABI
+ * @param {Object} receipt Transaction receipt
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @param {Object} fields Round voteFields
+ * @returns {Object|null} Decoded vote, or null if no log matches an event in the ABI
+ */
+function decodeEvents(iface, receipt, addresses, fields) {
+  const allocations = [];
+  let decodedMethod = null;
+
+  for (const log of receipt?.logs || []) {
+    if (!log.address || !addresses.includes(log.address.toLowerCase())) continue;
+
+    let parsed = null;
+    try {
+      parsed = iface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      continue;
+    }
+    if (!parsed) continue;
+
+    const found = pickAllocations(flattenParams(parsed.fragment.inputs, parsed.args), fields);
+    if (found.length > 0) {
+      allocations.push(...found);
+      decodedMethod = decodedMethod || parsed.name;
+    }
+  }
+
+  return allocations.length > 0 ? { allocations, decodedFrom: 'event', decodedMethod } : null;
+}
+
+/**
+ * Read calldata as 32-byte words: the first address-like word that is not the
+ * voter or a voting contract is the project, the next one the token, and the
+ * largest other word the amount (native value transfers use the value instead).
+ * This is a guess - an ABI-encoded payload can put any word anywhere.
+ * @param {Object} tx Transaction
+ * @param {Array<string>} addresses Contract addresses [proxy, implementation]
+ * @returns {Object|null} Decoded vote, or null if no project was found
+ */
+function decodeHeuristically(tx, addresses) {
+  const data = (tx.data || '0x').slice(10);
+  const ignored = new Set([...addresses, tx.from?.toLowerCase()]);
+  const found = [];
+  let largest = 0n;
+
+  for (let offset = 0; offset + 64 <= data.length; offset += 64) {
+    const word = BigInt('0x' + data.slice(offset, offset + 64));
+
+    if (word >= MIN_ADDRESS_WORD && word < ADDRESS_LIMIT) {
+      const address = ethers.getAddress('0x' + word.toString(16).padStart(40, '0')).toLowerCase();
+      if (!ignored.has(address) && !found.includes(address)) found.push(address);
+    } else if (word > largest) {
+      largest = word;
+    }
+  }
+
+  if (found.length === 0) return null;
+
+  const isNative = tx.value > 0n;
+  return {
+    allocations: [{
+      project: found[0],
+      token: isNative ? null : found[1] || null,
+      amount: isNative ? tx.value.toString() : largest > 0n ? largest.toString() : null
+    }],
+    decodedFrom: 'heuristic',
+    decodedMethod: data.length > 0 ? tx.data.slice(0, 10).toLowerCase() : null
+  };
+}
+
+/**
+ * Check whether decoded allocations can be relied on (heuristic ones are a guess)
+ * @param {string|null} decodedFrom Decoding source of a vote
+ * @returns {boolean} True if the allocations came from the ABI or a plain transfer
+ */
+export function isReliableDecoding(decodedFrom) {
+  return decodedFrom === 'calldata' || decodedFrom === 'event' || decodedFrom === 'native';
+}
+
+/**
+ * Decode the allocations of a vote transaction
+ * @param {Object} tx Transaction (with data, value and from)
+ * @param {Object} receipt Transaction receipt (optional; used for event decoding)
+ * @param {Object} round Round definition (optional; supplies voteAbi, voteFields and voteDataTypes)
+ * @returns {Object} { allocations, decodedFrom, decodedMethod } - decodedFrom is 'calldata',
+ *   'event', 'heuristic' (unreliable), 'native' (a plain value transfer) or null if nothing could be decoded
+ */
+export function decodeVote(tx, receipt = null, round = null) {
+  const addresses = round ? round.addresses : [tx.to?.toLowerCase()].filter(Boolean);
+  const fields = round?.voteFields || {};
+  const iface = getVoteInterface(round);
+
+  const decoded = (iface && tx.data && tx.data.length > 2 && decodeCalldata(iface, tx, fields, round.voteDataTypes))
+    || (iface && decodeEvents(iface, receipt, addresses, fields))
+    || decodeHeuristically(tx, addresses);
+  if (decoded) return decoded;
+
+  if (tx.value > 0n) {
+    return {
+      allocations: [{ project: null, token: null, amount: tx.value.toString() }],
+      decodedFrom: 'native',
+      decodedMethod: null
+    };
+  }
+
+  return { allocations: [], decodedFrom: null, decodedMethod: null };
+}
@@ -0,0 +1,371 @@
+/**
+ * Vote and wallet storage for SEI Voting Monitor
+ *
+ * Records are kept in an append-only log with an in-memory index. Each line of
+ * the log is one committed transaction, written with a single append, so a
+ * crash can at worst leave a truncated last line, which is discarded on load.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDirectoryExists } from './utils.js';
+import { getRoundPaths } from './rounds.js';
+
+// Rewrite the log as a snapshot once it grows past this many transactions
+const COMPACT_THRESHOLD = 5000;
+
+// Open stores keyed by log file path
+const openStores = new Map();
+
+/**
+ * Combine two eligibility outcomes where null means unknown
+ * @param {boolean|null} first First outcome
+ * @param {boolean|null} second Second outcome
+ * @returns {boolean|null} False if either failed, null if either is unknown, otherwise true
+ */
+export function combineValidity(first, second) {
+  if (first === false || second === false) return false;
+  if (first === null || first === undefined || second === null || second === undefined) return null;
+  return true;
+}
+
+export class VoteStore {
+  constructor(logFile) {
+    this.logFile = logFile;
+    this.votes = new Map();
+    this.wallets = new Map();
+    this.walletVotes = new Map(); // evmAddress -> Set of txHashes
+    this.meta = {};
+    this.logLength = 0;
+    this.pending = null;
+
+    this.load();
+  }
+
+  /**
+   * Replay the log into memory
+   */
+  load() {
+    if (!fs.existsSync(this.logFile)) return;
+
+    const content = fs.readFileSync(this.logFile, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+
+    for (let i = 0; i < lines.length; i++) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        if (i === lines.length - 1) {
+          // Interrupted write - the transaction never committed, so drop it from the log
+          console.error(`Discarding incomplete transaction at end of ${this.logFile}`);
+          fs.truncateSync(this.logFile, Buffer.byteLength(content.slice(0, content.lastIndexOf(lines[i]))));
+          break;
+        }
+        throw new Error(`Corrupt entry on line ${i + 1} of ${this.logFile}: ${error.message}`);
+      }
+
+      this.apply(entry.ops || []);
+      this.logLength++;
+    }
+  }
+
+  /**
+   * Apply operations to the in-memory index
+   * @param {Array<Object>} ops Operations
+   */
+  apply(ops) {
+    for (const op of ops) {
+      // A null value deletes the record
+      if (op.type === 'vote' && op.value === null) {
+        this.unindexVote(this.votes.get(op.key));
+        this.votes.delete(op.key);
+      } else if (op.type === 'vote') {
+        this.votes.set(op.key, op.value);
+        this.indexVote(op.value);
+      } else if (op.type === 'wallet' && op.value === null) {
+        this.wallets.delete(op.key);
+      } else if (op.type === 'wallet') {
+        this.wallets.set(op.key, op.value);
+      } else if (op.type === 'meta') {
+        this.meta[op.key] = op.value;
+      }
+    }
+  }
+
+  /**
+   * Add a vote to the wallet index
+   * @param {Object} vote Vote record
+   */
+  indexVote(vote) {
+    if (!vote.evmAddress) return;
+
+    if (!this.walletVotes.has(vote.evmAddress)) {
+      this.walletVotes.set(vote.evmAddress, new Set());
+    }
+    this.walletVotes.get(vote.evmAddress).add(vote.txHash);
+  }
+
+  /**
+   * Remove a vote from the wallet index
+   * @param {Object} vote Vote record
+   */
+  unindexVote(vote) {
+    if (!vote || !vote.evmAddress) return;
+
+    const txHashes = this.walletVotes.get(vote.evmAddress);
+    if (txHashes) {
+      txHashes.delete(vote.txHash);
+      if (txHashes.size === 0) this.walletVotes.delete(vote.evmAddress);
+    }
+  }
+
+  /**
+   * Run a set of writes atomically. The callback must be synchronous; its
+   * writes become visible and durable together, or not at all if it throws.
+   * @param {Function} fn Callback receiving the store
+   * @returns {any} The callback's return value
+   */
+  transaction(fn) {
+    // Nested transactions join the outer one
+    if (this.pending) {
+      return fn(this);
+    }
+
+    this.pending = [];
+    try {
+      const result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('VoteStore transactions must be synchronous');
+      }
+
+      if (this.pending.length > 0) {
+        this.commit(this.pending);
+      }
+      return result;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Append committed operations to the log and apply them
+   * @param {Array<Object>} ops Operations
+   */
+  commit(ops) {
+    ensureDirectoryExists(path.dirname(this.logFile));
+    fs.appendFileSync(this.logFile, JSON.stringify({ at: new Date().toISOString(), ops }) + '\n', 'utf8');
+    this.apply(ops);
+    this.logLength++;
+  }
+
+  /**
+   * Stage an operation (inside a transaction) or commit it on its own
+   * @param {Object} op Operation
+   */
+  write(op) {
+    if (this.pending) {
+      this.pending.push(op);
+    } else {
+      this.commit([op]);
+    }
+  }
+
+  /**
+   * Read a record, seeing writes staged in the current transaction
+   * @param {string} type Record type ('vote' or 'wallet')
+   * @param {string} key Record key
+   * @returns {Object|null} Record or null
+   */
+  read(type, key) {
+    if (this.pending) {
+      for (let i = this.pending.length - 1; i >= 0; i--) {
+        const op = this.pending[i];
+        if (op.type === type && op.key === key) return op.value;
+      }
+    }
+
+    const records = type === 'vote' ? this.votes : this.wallets;
+    return records.get(key) || null;
+  }
+
+  /**
+   * Insert or update a vote (fields are merged into any existing record)
+   * @param {Object} vote Vote record with txHash
+   * @returns {Object} Stored vote
+   */
+  upsertVote(vote) {
+    const value = { ...(this.read('vote', vote.txHash) || {}), ...vote };
+    this.write({ type: 'vote', key: vote.txHash, value });
+    return value;
+  }
+
+  /**
+   * Delete a vote (e.g. one recorded from a block that was orphaned by a reorg)
+   * @param {string} txHash Transaction hash
+   */
+  deleteVote(txHash) {
+    this.write({ type: 'vote', key: txHash, value: null });
+  }
+
+  /**
+   * Insert or update a wallet (fields are merged into any existing record)
+   * @param {Object} wallet Wallet record with evmAddress
+   * @returns {Object} Stored wallet
+   */
+  upsertWallet(wallet) {
+    const key = wallet.evmAddress.toLowerCase();
+    const value = { ...(this.read('wallet', key) || {}), ...wallet, evmAddress: key };
+    this.write({ type: 'wallet', key, value });
+    return value;
+  }
+
+  /**
+   * Delete a wallet
+   * @param {string} evmAddress Wallet EVM address
+   */
+  deleteWallet(evmAddress) {
+    this.write({ type: 'wallet', key: evmAddress.toLowerCase(), value: null });
+  }
+
+  /**
+   * Record a wallet's final balance and update the final validity of its votes.
+   * A vote is finally valid only if both its initial and final checks passed;
+   * it stays null (unresolved) while either check is unknown and neither failed.
+   * @param {string} evmAddress Wallet EVM address
+   * @param {any} finalBalance Final balance
+   * @param {boolean|null} finalBalanceValid Whether the final balance meets the minimum (null if unknown)
+   * @param {Object} extra Additional wallet fields to store (optional)
+   * @returns {Object} Stored wallet
+   */
+  setFinalBalance(evmAddress, finalBalance, finalBalanceValid, extra = {}) {
+    return this.transaction(() => {
+      const wallet = this.upsertWallet({ evmAddress, ...extra, finalBalance, finalBalanceValid });
+
+      for (const txHash of wallet.votes || []) {
+        const vote = this.read('vote', txHash);
+        if (vote) {
+          this.upsertVote({ txHash, finalIsValid: combineValidity(vote.isValid, finalBalanceValid) });
+        }
+      }
+
+      return wallet;
+    });
+  }
+
+  /**
+   * Get a vote by transaction hash
+   * @param {string} txHash Transaction hash
+   * @returns {Object|null} Vote record
+   */
+  getVote(txHash) {
+    return this.read('vote', txHash);
+  }
+
+  /**
+   * Get a wallet by EVM address
+   * @param {string} evmAddress EVM address
+   * @returns {Object|null} Wallet record
+   */
+  getWallet(evmAddress) {
+    return this.read('wallet', evmAddress.toLowerCase());
+  }
+
+  /**
+   * Get all votes cast by a wallet
+   * @param {string} evmAddress EVM address
+   * @returns {Array<Object>} Vote records
+   */
+  getVotesByWallet(evmAddress) {
+    const txHashes = this.walletVotes.get(evmAddress.toLowerCase()) || new Set();
+    return Array.from(txHashes, txHash => this.votes.get(txHash)).filter(Boolean);
+  }
+
+  /**
+   * List all votes
+   * @returns {Array<Object>} Vote records
+   */
+  listVotes() {
+    return Array.from(this.votes.values());
+  }
+
+  /**
+   * List all wallets
+   * @returns {Array<Object>} Wallet records
+   */
+  listWallets() {
+    return Array.from(this.wallets.values());
+  }
+
+  /**
+   * Rewrite the log as a single snapshot transaction
+   */
+  compact() {
+    const ops = [
+      ...Object.entries(this.meta).map(([key, value]) => ({ type: 'meta', key, value })),
+      ...Array.from(this.wallets, ([key, value]) => ({ type: 'wallet', key, value })),
+      ...Array.from(this.votes, ([key, value]) => ({ type: 'vote', key, value }))
+    ];
+
+    const tempFile = `${this.logFile}.tmp`;
+    ensureDirectoryExists(path.dirname(this.logFile));
+    fs.writeFileSync(tempFile, JSON.stringify({ at: new Date().toISOString(), ops }) + '\n', 'utf8');
+    fs.renameSync(tempFile, this.logFile);
+    this.logLength = 1;
+  }
+
+  /**
+   * Import wallets.json / votes.json written by earlier versions (runs once)
+   * @param {string} walletsFile Legacy wallets file path
+   * @param {string} votesFile Legacy votes file path
+   * @returns {number} Number of votes imported
+   */
+  importLegacyJson(walletsFile, votesFile) {
+    if (this.meta.legacyImport) return 0;
+    if (!fs.existsSync(walletsFile) && !fs.existsSync(votesFile)) return 0;
+
+    const readEntries = (filePath) => fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : [];
+
+    const wallets = readEntries(walletsFile);
+    const votes = readEntries(votesFile);
+
+    this.transaction(() => {
+      for (const [, wallet] of wallets) {
+        this.upsertWallet(wallet);
+      }
+      for (const [, vote] of votes) {
+        this.upsertVote(vote);
+      }
+      this.write({
+        type: 'meta',
+        key: 'legacyImport',
+        value: { walletsFile, votesFile, wallets: wallets.length, votes: votes.length, at: new Date().toISOString() }
+      });
+    });
+
+    console.log(`Imported ${votes.length} votes and ${wallets.length} wallets from legacy JSON files`);
+    return votes.length;
+  }
+}
+
+/**
+ * Open the vote store for a round, importing legacy JSON files on first use
+ * @param {Object} paths Round paths (defaults to the active round's)
+ * @returns {VoteStore} Vote store
+ */
+export function openVoteStore(paths = getRoundPaths()) {
+  const existing = openStores.get(paths.STORE_FILE);
+  if (existing) return existing;
+
+  const store = new VoteStore(paths.STORE_FILE);
+  store.importLegacyJson(paths.WALLETS_FILE, paths.VOTES_FILE);
+
+  if (store.logLength > COMPACT_THRESHOLD) {
+    store.compact();
+  }
+
+  openStores.set(paths.STORE_FILE, store);
+  return store;
+}
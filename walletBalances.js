@@ -3,385 +3,384 @@
 import { ethers } from 'ethers';
 import axios from 'axios';
 import fs from 'fs';
-import { retry, sleep, formatSeiBalance, useiToSei } from './utils.js';
-import { 
-  USEI_TO_SEI, 
-  WEI_DECIMALS, 
-  DISPLAY_DECIMALS, 
-  WALLET_CONVERTER_API,
-  MIN_SEI_REQUIRED,
-  PATHS
-} from './config.js';
+import { retry, sleep, formatSeiBalance, toUsei, seiToUsei, aseiToUsei } from './utils.js';
+import { BALANCE_RETRY, BORROWED_BALANCE, SEI_BLOCK_TIME_MS, REPORT_CSV } from './config.js';
+import { selectColumns, writeCsvFile, readCsvFile } from './csv.js';
+import { getEndpointPool, withEvmProvider } from './endpointPool.js';
+import { getBalanceTimeline } from './balanceTimeline.js';
+import { evmToSeiAddress, seiToEvmAddress } from './addressConverter.js';
+import { getRound, getRoundPaths } from './rounds.js';
+import { openVoteStore, combineValidity } from './voteStore.js';
+import { isReliableDecoding } from './voteDecoder.js';
 import {
-  addressCache,
-  reverseAddressCache,
   balanceCache,
   getCacheStats
 } from './cache.js';
 
-// API request constants
-const REVERSE_LOOKUP_TIMEOUT = 10000; // 10 seconds timeout for reverse lookup
-
 /**
  * Convert EVM address to Cosmos address
  * @param {string} evmAddress EVM address
- * @param {string} primaryRestUrl Primary REST API URL
- * @param {string} fallbackRestUrl Fallback REST API URL
+ * @param {string} txHash A transaction sent by the address, used for public key recovery (optional)
  * @returns {Promise<string>} Cosmos address
  */
-export async function convertEvmToCosmos(evmAddress, primaryRestUrl, fallbackRestUrl) {
-    // Standardize address
-    const normalizedAddr = evmAddress.toLowerCase();
-    
-    // Check cache first
-    const cachedAddress = addressCache.get(normalizedAddr);
-    if (cachedAddress) {
-        return cachedAddress;
-    }
-    
-    return await retry(async () => {
-        try {
-            const response = await axios.get(`${WALLET_CONVERTER_API}/${normalizedAddr}`, {
-                timeout: 5000, // 5 second timeout
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (response.data && response.data.result) {
-                const cosmosAddress = response.data.result;
-                
-                // Cache the result in both directions
-                addressCache.set(normalizedAddr, cosmosAddress);
-                reverseAddressCache.set(cosmosAddress, normalizedAddr);
-                
-                return cosmosAddress;
-            } else {
-                throw new Error(`Invalid response format from wallet converter API for ${normalizedAddr}`);
-            }
-        } catch (error) {
-            // More granular error handling
-            if (error.code === 'ECONNABORTED') {
-                throw new Error(`Connection timed out while converting address ${normalizedAddr}`);
-            } else if (error.response) {
-                throw new Error(`API error (${error.response.status}) converting address ${normalizedAddr}: ${error.response.data}`);
-            } else if (error.request) {
-                throw new Error(`No response received while converting address ${normalizedAddr}`);
-            } else {
-                throw new Error(`Error converting address ${normalizedAddr}: ${error.message}`);
-            }
-        }
-    }, 3, 1000); // Retry 3 times with 1s initial delay
+export async function convertEvmToCosmos(evmAddress, txHash = null) {
+    return await evmToSeiAddress(evmAddress, txHash);
 }
 
 /**
  * Convert Cosmos address to EVM address
  * @param {string} cosmosAddress Cosmos address
- * @param {string} primaryRestUrl Primary REST API URL
- * @param {string} fallbackRestUrl Fallback REST API URL
  * @returns {Promise<string>} EVM address
  */
-export async function convertCosmosToEvm(cosmosAddress, primaryRestUrl, fallbackRestUrl) {
-    // Check cache first
-    const cachedAddress = reverseAddressCache.get(cosmosAddress);
-    if (cachedAddress) {
-        return cachedAddress;
-    }
-    
-    // Method 1: Try API for reverse lookup if available
-    try {
-        const response = await Promise.race([
-            axios.get(`${WALLET_CONVERTER_API}/reverse/${cosmosAddress}`, {
-                timeout: REVERSE_LOOKUP_TIMEOUT
-            }),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Reverse lookup timed out')), REVERSE_LOOKUP_TIMEOUT)
-            )
-        ]);
-        
-        if (response.data && response.data.result) {
-            const evmAddress = response.data.result.toLowerCase();
-            
-            // Cache the result in both directions
-            reverseAddressCache.set(cosmosAddress, evmAddress);
-            addressCache.set(evmAddress, cosmosAddress);
-            
-            return evmAddress;
-        }
-    } catch (error) {
-        console.log(`Reverse lookup API failed for ${cosmosAddress}: ${error.message}`);
-        // Continue to fallback methods
-    }
-    
-    // Method 2: Check existing mappings
-    // Search through our existing address cache for this cosmos address
-    for (const [evm, cosmos] of addressCache.entries()) {
-        if (cosmos === cosmosAddress) {
-            reverseAddressCache.set(cosmosAddress, evm);
-            return evm;
-        }
-    }
-    
-    // If all methods fail, we need to reject
-    throw new Error(`Could not convert Cosmos address ${cosmosAddress} to EVM address`);
+export async function convertCosmosToEvm(cosmosAddress) {
+    return await seiToEvmAddress(cosmosAddress);
 }
 
 /**
- * Get SEI balance for an address at a specific block height
+ * Look up the SEI balance for an address at a specific block height, recording where it came from
  * @param {string} cosmosAddress Cosmos address
  * @param {number} blockHeight Block height
- * @param {string} primaryRestUrl Primary REST API URL
- * @param {string} fallbackRestUrl Fallback REST API URL
- * @param {string} primaryEvmRpc Primary EVM RPC URL 
- * @param {string} fallbackEvmRpc Fallback EVM RPC URL
- * @returns {Promise<number>} SEI balance (with 6 decimal places)
+ * @returns {Promise<Object>} Lookup with status ('ok' or 'failed'), balance (usei, null if failed), source and errors
  */
-export async function getSeiBalance(cosmosAddress, blockHeight, primaryRestUrl, fallbackRestUrl, primaryEvmRpc, fallbackEvmRpc) {
+export async function lookupSeiBalance(cosmosAddress, blockHeight) {
     // Check cache first
     const cacheKey = `${cosmosAddress}-${blockHeight}`;
-    const cachedBalance = balanceCache.get(cacheKey);
-    if (cachedBalance !== null) {
-        return cachedBalance;
+    const cachedLookup = balanceCache.get(cacheKey);
+    if (cachedLookup !== null) {
+        return cachedLookup;
     }
     
     // Create array of methods to try
     const balanceMethods = [
         // Method 1: Cosmos API
-        async () => {
-            try {
-                return await getCosmosBalance(cosmosAddress, blockHeight, primaryRestUrl, fallbackRestUrl);
-            } catch (error) {
-                console.error(`Cosmos balance lookup failed for ${cosmosAddress} at block ${blockHeight}: ${error.message}`);
-                throw error;
-            }
+        {
+            name: 'cosmos-bank',
+            lookup: () => getCosmosBalance(cosmosAddress, blockHeight)
         },
         
         // Method 2: Try EVM lookup if we can convert the address
-        async () => {
-            try {
-                // Only try if address starts with 'sei'
-                if (cosmosAddress.startsWith('sei')) {
-                    const evmAddress = await convertCosmosToEvm(cosmosAddress, primaryRestUrl, fallbackRestUrl);
-                    return await getEvmBalance(evmAddress, blockHeight, primaryEvmRpc, fallbackEvmRpc);
-                } else {
-                    // If it's already an EVM address
-                    return await getEvmBalance(cosmosAddress, blockHeight, primaryEvmRpc, fallbackEvmRpc);
-                }
-            } catch (error) {
-                console.error(`EVM balance lookup failed for ${cosmosAddress} at block ${blockHeight}: ${error.message}`);
-                throw error;
+        {
+            name: 'evm-getBalance',
+            lookup: async () => {
+                // Only convert if address starts with 'sei'
+                const evmAddress = cosmosAddress.startsWith('sei')
+                    ? await convertCosmosToEvm(cosmosAddress)
+                    : cosmosAddress;
+                return await getEvmBalance(evmAddress, blockHeight);
             }
         }
     ];
     
     // Try each method in sequence
+    const errors = [];
     for (const method of balanceMethods) {
         try {
-            const balance = await method();
+            const result = await method.lookup();
+            const lookup = {
+                status: 'ok',
+                balance: result.balance,
+                source: {
+                    endpoint: result.endpoint,
+                    method: method.name,
+                    blockHeight,
+                    rawAmount: result.rawAmount,
+                    timestamp: new Date().toISOString()
+                },
+                errors
+            };
             
             // Cache and return the result
-            balanceCache.set(cacheKey, balance);
-            return balance;
+            balanceCache.set(cacheKey, lookup);
+            return lookup;
         } catch (error) {
-            // Continue to next method
-            continue;
+            console.error(`${method.name} balance lookup failed for ${cosmosAddress} at block ${blockHeight}: ${error.message}`);
+            errors.push({ method: method.name, error: error.message });
         }
     }
     
-    // If all methods fail, log and return 0
+    // Not cached, so the next lookup tries again
     console.error(`All balance lookup methods failed for ${cosmosAddress} at block ${blockHeight}`);
-    return 0;
+    return {
+        status: 'failed',
+        balance: null,
+        source: null,
+        errors
+    };
+}
+
+/**
+ * Get SEI balance for an address at a specific block height
+ * @param {string} cosmosAddress Cosmos address
+ * @param {number} blockHeight Block height
+ * @returns {Promise<BigInt|null>} Balance in usei, or null if every lookup method failed (unknown, not zero)
+ */
+export async function getSeiBalance(cosmosAddress, blockHeight) {
+    const lookup = await lookupSeiBalance(cosmosAddress, blockHeight);
+    return lookup.balance;
 }
 
 /**
  * Get SEI balance using Cosmos API
+ * (only endpoints known to hold state at the height are asked; a pruned node can answer 0)
  * @param {string} cosmosAddress Cosmos address
  * @param {number} blockHeight Block height
- * @param {string} primaryRestUrl Primary REST API URL
- * @param {string} fallbackRestUrl Fallback REST API URL
- * @returns {Promise<number>} SEI balance (with 6 decimal places)
- */
-async function getCosmosBalance(cosmosAddress, blockHeight, primaryRestUrl, fallbackRestUrl) {
-    return await retry(async () => {
-        const endpoint = `/cosmos/bank/v1beta1/balances/${cosmosAddress}/by_denom?denom=usei`;
-        const headers = {
-            'x-cosmos-block-height': blockHeight,
-            'Accept': 'application/json'
-        };
+ * @returns {Promise<{balance: BigInt, endpoint: string, rawAmount: string}>} Balance in usei, the URL that answered and the raw usei amount
+ */
+async function getCosmosBalance(cosmosAddress, blockHeight) {
+    const endpoint = `/cosmos/bank/v1beta1/balances/${cosmosAddress}/by_denom?denom=usei`;
+    const headers = {
+        'x-cosmos-block-height': blockHeight,
+        'Accept': 'application/json'
+    };
+    
+    return await retry(() => getEndpointPool('rest').run(async (restUrl) => {
+        const url = `${restUrl}${endpoint}`;
+        const response = await axios.get(url, { 
+            headers,
+            timeout: 8000 // 8 second timeout
+        });
         
-        try {
-            // Try primary endpoint with timeout
-            const response = await axios.get(`${primaryRestUrl}${endpoint}`, { 
-                headers,
-                timeout: 8000 // 8 second timeout
-            });
-            
-            // If the response has balance data
-            if (response.data && response.data.balance && response.data.balance.amount) {
-                // The amount will be in "usei" format (e.g., "100000000" for 100 SEI)
-                const uSeiAmount = parseInt(response.data.balance.amount);
-                return useiToSei(uSeiAmount);
-            }
-            
-            // No balance found
-            return 0;
-        } catch (primaryError) {
-            // More granular error handling for primary endpoint
-            if (primaryError.code === 'ECONNABORTED') {
-                console.log(`Primary REST request timed out, trying fallback...`);
-            } else if (primaryError.response) {
-                console.log(`Primary REST request failed with status ${primaryError.response.status}, trying fallback...`);
-            } else if (primaryError.request) {
-                console.log(`No response from primary REST server, trying fallback...`);
-            } else {
-                console.log(`Primary REST request error: ${primaryError.message}, trying fallback...`);
-            }
-            
-            // Try fallback with timeout
-            const response = await axios.get(`${fallbackRestUrl}${endpoint}`, { 
-                headers,
-                timeout: 8000 // 8 second timeout 
-            });
-            
-            if (response.data && response.data.balance && response.data.balance.amount) {
-                const uSeiAmount = parseInt(response.data.balance.amount);
-                return useiToSei(uSeiAmount);
-            }
-            
-            return 0;
+        // If the response has balance data
+        if (response.data && response.data.balance && response.data.balance.amount) {
+            // The amount will be in "usei" format (e.g., "100000000" for 100 SEI)
+            return { balance: BigInt(response.data.balance.amount), endpoint: url, rawAmount: response.data.balance.amount };
         }
-    }, 3, 1000); // Retry 3 times with 1s initial delay
+        
+        // No balance found
+        return { balance: 0n, endpoint: url, rawAmount: '0' };
+    }, `REST balance request for ${cosmosAddress}`, blockHeight), 3, 1000); // Retry 3 times with 1s initial delay
 }
 
 /**
  * Get SEI balance using EVM API
+ * (only endpoints known to hold state at the height are asked; a pruned node can answer 0)
  * @param {string} address Address (EVM format)
  * @param {number} blockHeight Block height
- * @param {string} primaryEvmRpc Primary EVM RPC endpoint
- * @param {string} fallbackEvmRpc Fallback EVM RPC endpoint
- * @returns {Promise<number>} SEI balance (with 6 decimal places)
+ * @returns {Promise<{balance: BigInt, endpoint: string, rawAmount: string}>} Balance in usei (asei truncated to whole usei), the RPC that answered and the raw asei amount
  */
-async function getEvmBalance(address, blockHeight, primaryEvmRpc, fallbackEvmRpc) {
-    return await retry(async () => {
-        try {
-            // Standardize address format
-            const evmAddress = ethers.getAddress(address);
-            
-            // Try primary provider with timeout wrapper
-            const provider = new ethers.JsonRpcProvider(primaryEvmRpc);
-            
-            // Set timeout for the RPC call
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('EVM RPC request timed out')), 8000)
-            );
-            
-            // Get balance with timeout
-            const balancePromise = (async () => {
-                try {
-                    const blockTag = ethers.toBeHex(blockHeight);
-                    const balanceWei = await provider.getBalance(evmAddress, blockTag);
-                    
-                    // Convert from wei to SEI with 6 decimal places
-                    const seiAmount = Number(ethers.formatUnits(balanceWei, WEI_DECIMALS));
-                    return formatSeiBalance(seiAmount);
-                } catch (error) {
-                    throw error;
-                }
-            })();
-            
-            // Race between timeout and the actual request
-            return await Promise.race([balancePromise, timeoutPromise]);
-        } catch (primaryError) {
-            // Specific error handling for primary endpoint
-            if (primaryError.message.includes('timed out')) {
-                console.log(`Primary EVM RPC request timed out, trying fallback...`);
-            } else {
-                console.log(`Primary EVM RPC request failed: ${primaryError.message}, trying fallback...`);
-            }
-            
-            // Try fallback provider with timeout wrapper
-            const provider = new ethers.JsonRpcProvider(fallbackEvmRpc);
-            
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Fallback EVM RPC request timed out')), 8000)
-            );
-            
-            const balancePromise = (async () => {
-                const blockTag = ethers.toBeHex(blockHeight);
-                const balanceWei = await provider.getBalance(address, blockTag);
-                
-                // Convert from wei to SEI with 6 decimal places
-                const seiAmount = Number(ethers.formatUnits(balanceWei, WEI_DECIMALS));
-                return formatSeiBalance(seiAmount);
-            })();
-            
-            return await Promise.race([balancePromise, timeoutPromise]);
-        }
-    }, 3, 1000); // Retry 3 times with 1s initial delay
+async function getEvmBalance(address, blockHeight) {
+    // Standardize address format
+    const evmAddress = ethers.getAddress(address);
+    const blockTag = ethers.toBeHex(blockHeight);
+    
+    return await retry(() => withEvmProvider(async (provider, rpcUrl) => {
+        // Set timeout for the RPC call
+        const timeoutPromise = new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('EVM RPC request timed out')), 8000)
+        );
+        
+        // Race between timeout and the actual request
+        const balanceWei = await Promise.race([provider.getBalance(evmAddress, blockTag), timeoutPromise]);
+        
+        // Convert from wei (asei) to usei
+        return { balance: aseiToUsei(balanceWei), endpoint: rpcUrl, rawAmount: balanceWei.toString() };
+    }, `EVM balance request for ${evmAddress}`, blockHeight), 3, 1000); // Retry 3 times with 1s initial delay
 }
 
 /**
- * Load wallet data from a file
- * @param {string} filePath File path
- * @returns {Map} Wallet data
+ * Load votes and wallets from the store as Maps keyed like the report code expects.
+ * Balances are converted to BigInt usei, including float SEI values from earlier versions.
+ * @param {VoteStore} store Vote store
+ * @returns {{wallets: Map, votes: Map}} Wallets by EVM address and votes by tx hash
  */
-function loadWalletData(filePath) {
-    try {
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return new Map(JSON.parse(data));
-        }
-    } catch (error) {
-        console.error(`Error loading wallet data: ${error.message}`);
+function loadStoreData(store) {
+    return {
+        wallets: new Map(store.listWallets().map(wallet => [wallet.evmAddress, {
+            ...wallet,
+            finalBalance: wallet.finalBalance === null || wallet.finalBalance === undefined
+                ? null
+                : toUsei(wallet.finalBalance)
+        }])),
+        votes: new Map(store.listVotes().map(vote => [vote.txHash, {
+            ...vote,
+            balanceAtVote: vote.balanceAtVote === null ? null : toUsei(vote.balanceAtVote),
+            balanceBeforeVote: vote.balanceBeforeVote === null ? null : toUsei(vote.balanceBeforeVote)
+        }]))
+    };
+}
+
+/**
+ * Get the stored record for a vote
+ * @param {string} txHash Transaction hash
+ * @param {VoteStore} store Vote store
+ * @returns {Object|null} Vote record or null if the vote is not recorded
+ */
+export function getVoteRecord(txHash, store = openVoteStore()) {
+    return store.getVote(txHash);
+}
+
+/**
+ * Collect the decision trace behind a vote's eligibility
+ * @param {string} txHash Transaction hash
+ * @param {VoteStore} store Vote store
+ * @returns {Object|null} Vote, wallet and initial/final decisions, or null if the vote is not recorded
+ */
+export function explainVote(txHash, store = openVoteStore()) {
+    const vote = store.getVote(txHash);
+    if (!vote) {
+        return null;
     }
     
-    return new Map();
+    const wallet = store.getWallet(vote.evmAddress);
+    
+    return {
+        txHash,
+        evmAddress: vote.evmAddress,
+        cosmosAddress: vote.cosmosAddress,
+        blockNumber: vote.blockNumber,
+        timestamp: vote.timestamp,
+        // Votes recorded by earlier versions have no decoded allocations
+        allocations: vote.allocations || [],
+        decodedFrom: vote.decodedFrom || null,
+        isValid: vote.isValid,
+        finalIsValid: vote.finalIsValid,
+        borrowedBalance: vote.borrowedBalance || null,
+        reviewOverride: vote.reviewOverride || null,
+        // Votes recorded by earlier versions have no trace
+        initialDecision: vote.decision || null,
+        finalDecision: wallet ? wallet.finalDecision || null : null
+    };
 }
 
 /**
- * Save wallet data to a file
- * @param {Map} wallets Wallet data
- * @param {string} filePath File path
+ * Summarize the stored voting data
+ * @param {VoteStore} store Vote store
+ * @returns {Object} Vote and wallet counts
  */
-function saveWalletData(wallets, filePath) {
-    try {
-        const data = JSON.stringify(Array.from(wallets.entries()), null, 2);
-        fs.writeFileSync(filePath, data, 'utf8');
-    } catch (error) {
-        console.error(`Error saving wallet data: ${error.message}`);
-    }
+export function getVotingSummary(store = openVoteStore()) {
+    const votes = store.listVotes();
+    
+    return {
+        totalVotes: votes.length,
+        initiallyValidVotes: votes.filter(vote => vote.isValid).length,
+        finalValidVotes: votes.filter(vote => vote.finalIsValid).length,
+        unresolvedVotes: votes.filter(isVoteUnresolved).length,
+        finalized: votes.length > 0 && votes.every(vote => vote.finalIsValid !== null),
+        totalWallets: store.listWallets().length
+    };
 }
 
 /**
- * Load voting data from a file
- * @param {string} filePath File path
- * @returns {Map} Voting data
+ * Build one balance check of an eligibility decision trace
+ * @param {string} name Check name
+ * @param {number} blockHeight Block height the balance was queried at
+ * @param {BigInt|null} balance Balance (usei, null if unknown)
+ * @param {BigInt} minUsei Minimum balance (usei)
+ * @param {Object} lookup Balance lookup result from lookupSeiBalance (optional)
+ * @returns {Object} Check with the compared values, outcome (null if unknown) and balance source
  */
-function loadVotingData(filePath) {
-    try {
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return new Map(JSON.parse(data));
+function buildBalanceCheck(name, blockHeight, balance, minUsei, lookup = null) {
+    return {
+        name,
+        blockHeight,
+        balance: balance === null ? null : balance.toString(),
+        required: minUsei.toString(),
+        passed: balance === null ? null : balance >= minUsei,
+        lookupStatus: lookup ? lookup.status : 'unrecorded',
+        source: lookup ? lookup.source : null,
+        errors: lookup ? lookup.errors : []
+    };
+}
+
+/**
+ * Combine the outcomes of balance checks
+ * @param {Array<Object>} checks Checks from buildBalanceCheck
+ * @returns {boolean|null} False if any check failed, null if any is unknown, otherwise true
+ */
+function combineChecks(checks) {
+    return checks.reduce((result, check) => combineValidity(result, check.passed), true);
+}
+
+/**
+ * Check whether a vote's eligibility is still undetermined because a balance lookup failed
+ * @param {Object} vote Vote record
+ * @returns {boolean} True if the vote is waiting for a balance lookup retry
+ */
+export function isVoteUnresolved(vote) {
+    return vote.isValid === null || vote.isValid === undefined || !!vote.balanceRetry;
+}
+
+/**
+ * Get the delay before the next retry of a failed balance lookup
+ * @param {number} attempts Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BALANCE_RETRY.BASE_DELAY_MS * 2 ** (attempts - 1), BALANCE_RETRY.MAX_DELAY_MS);
+}
+
+/**
+ * Decide a vote's initial eligibility from its balances at and before the vote.
+ * A failed lookup leaves the balance unknown, and the vote pending rather than invalid.
+ * @param {number} blockNumber Vote block height
+ * @param {BigInt|null} balanceAtVote Balance at vote time (usei, null if unknown)
+ * @param {BigInt|null} balanceBeforeVote Balance before vote (usei, null if unknown)
+ * @param {BigInt} minUsei Minimum balance (usei)
+ * @param {Object} lookups Balance lookups behind the balances ({atVote, beforeVote})
+ * @returns {Object} Vote fields: balances, isValid (null while unknown) and decision trace
+ */
+function decideInitialEligibility(blockNumber, balanceAtVote, balanceBeforeVote, minUsei, lookups = {}) {
+    if (lookups.atVote?.status === 'failed') balanceAtVote = null;
+    if (lookups.beforeVote?.status === 'failed') balanceBeforeVote = null;
+    
+    const checks = [
+        buildBalanceCheck('balanceAtVote', blockNumber, balanceAtVote, minUsei, lookups.atVote),
+        buildBalanceCheck('balanceBeforeVote', blockNumber - 1, balanceBeforeVote, minUsei, lookups.beforeVote)
+    ];
+    
+    // Any failed check decides the vote; otherwise an unknown balance leaves it pending
+    const isValid = combineChecks(checks);
+    
+    return {
+        balanceAtVote: balanceAtVote === null ? null : balanceAtVote.toString(),
+        balanceBeforeVote: balanceBeforeVote === null ? null : balanceBeforeVote.toString(),
+        isValid,
+        decision: {
+            rule: 'balanceAtVote >= minimum && balanceBeforeVote >= minimum',
+            checks,
+            result: isValid,
+            decidedAt: new Date().toISOString()
         }
-    } catch (error) {
-        console.error(`Error loading voting data: ${error.message}`);
+    };
+}
+
+/**
+ * Build the retry state for a vote with unknown balances
+ * @param {Object} eligibility Result of decideInitialEligibility
+ * @param {Object} previousRetry Existing retry state (optional)
+ * @returns {Object|null} Retry state, or null if the vote is decided
+ */
+function buildBalanceRetry(eligibility, previousRetry = null) {
+    // A failed check already decides the vote, so only undecided votes are retried
+    if (eligibility.isValid !== null) {
+        return null;
     }
+    const unknownChecks = eligibility.decision.checks.filter(check => check.passed === null);
+    
+    const attempts = (previousRetry?.attempts || 0) + 1;
+    const now = Date.now();
     
-    return new Map();
+    return {
+        attempts,
+        pendingChecks: unknownChecks.map(check => ({ name: check.name, blockHeight: check.blockHeight })),
+        lastAttemptAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now + getRetryDelay(attempts)).toISOString(),
+        lastErrors: unknownChecks.flatMap(check => check.errors.map(({ method, error }) => `${check.name} ${method}: ${error}`))
+    };
 }
 
 /**
- * Save voting data to a file
- * @param {Map} votes Voting data
- * @param {string} filePath File path
+ * Record known balances on a wallet record
+ * @param {Object} wallet Wallet record
+ * @param {number} blockNumber Vote block height
+ * @param {Object} eligibility Result of decideInitialEligibility
+ * @returns {Object} Balances keyed by block height
  */
-function saveVotingData(votes, filePath) {
-    try {
-        const data = JSON.stringify(Array.from(votes.entries()), null, 2);
-        fs.writeFileSync(filePath, data, 'utf8');
-    } catch (error) {
-        console.error(`Error saving voting data: ${error.message}`);
-    }
+function mergeWalletBalances(wallet, blockNumber, eligibility) {
+    const balances = { ...wallet.balances };
+    if (eligibility.balanceAtVote !== null) balances[blockNumber] = eligibility.balanceAtVote;
+    if (eligibility.balanceBeforeVote !== null) balances[blockNumber - 1] = eligibility.balanceBeforeVote;
+    return balances;
 }
 
 /**
@@ -391,11 +390,12 @@ function saveVotingData(votes, filePath) {
  * @param {string} cosmosAddress Cosmos address
  * @param {number} blockNumber Block height
  * @param {Date} timestamp Timestamp
- * @param {number} balanceAtVote Balance at vote time
- * @param {number} balanceBeforeVote Balance before vote
+ * @param {BigInt|null} balanceAtVote Balance at vote time (usei, null if unknown)
+ * @param {BigInt|null} balanceBeforeVote Balance before vote (usei, null if unknown)
  * @param {number} minSeiRequired Minimum SEI required
- * @param {string} walletsFile Wallets file path
- * @param {string} votesFile Votes file path
+ * @param {VoteStore} store Vote store
+ * @param {Object} lookups Balance lookups behind the balances ({atVote, beforeVote}) for the decision trace
+ * @param {Object} decoded Decoded allocations of the vote ({allocations, decodedFrom, decodedMethod}, see voteDecoder.js)
  */
 export async function recordVote(
     txHash, 
@@ -405,101 +405,220 @@ export async function recordVote(
     timestamp, 
     balanceAtVote, 
     balanceBeforeVote, 
-    minSeiRequired = MIN_SEI_REQUIRED,
-    walletsFile = PATHS.WALLETS_FILE,
-    votesFile = PATHS.VOTES_FILE
+    minSeiRequired = getRound().minSeiRequired,
+    store = openVoteStore(),
+    lookups = {},
+    decoded = null
 ) {
     // Standardize EVM address
     evmAddress = evmAddress.toLowerCase();
     
-    // Load existing data
-    const wallets = loadWalletData(walletsFile);
-    const votes = loadVotingData(votesFile);
-    
-    // Skip if vote already processed
-    if (votes.has(txHash)) {
-        return;
-    }
-    
-    // Format balances to 6 decimal places
-    balanceAtVote = formatSeiBalance(balanceAtVote);
-    balanceBeforeVote = formatSeiBalance(balanceBeforeVote);
-    
-    // Initial validity check
-    const isValid = balanceAtVote >= minSeiRequired && balanceBeforeVote >= minSeiRequired;
-    
-    // Record the vote
-    const vote = {
-        txHash,
-        evmAddress,
-        cosmosAddress,
+    // Compare in integer usei so the minimum balance boundary is exact
+    const eligibility = decideInitialEligibility(
         blockNumber,
-        timestamp: timestamp instanceof Date ? timestamp.toISOString() : timestamp,
-        balanceAtVote,
-        balanceBeforeVote,
-        isValid,
-        finalIsValid: null // Will be set at the end of voting period
-    };
+        balanceAtVote === null ? null : toUsei(balanceAtVote),
+        balanceBeforeVote === null ? null : toUsei(balanceBeforeVote),
+        seiToUsei(minSeiRequired),
+        lookups
+    );
+    const balanceRetry = buildBalanceRetry(eligibility);
     
-    votes.set(txHash, vote);
+    if (balanceRetry) {
+        console.log(`Vote ${txHash} is pending: balance unknown, retry ${balanceRetry.attempts} scheduled for ${balanceRetry.nextAttemptAt}`);
+    }
     
-    // Add or update wallet info
-    if (!wallets.has(evmAddress)) {
-        wallets.set(evmAddress, {
+    store.transaction(() => {
+        // Skip if vote already processed
+        if (store.getVote(txHash)) {
+            return;
+        }
+        
+        // Record the vote (balances are stored as usei decimal strings)
+        store.upsertVote({
+            txHash,
+            evmAddress,
+            cosmosAddress,
+            blockNumber,
+            timestamp: timestamp instanceof Date ? timestamp.toISOString() : timestamp,
+            allocations: decoded?.allocations || [],
+            decodedFrom: decoded?.decodedFrom || null,
+            decodedMethod: decoded?.decodedMethod || null,
+            ...eligibility,
+            balanceRetry,
+            finalIsValid: null // Will be set at the end of voting period
+        });
+        
+        // Add or update wallet info
+        const wallet = store.getWallet(evmAddress) || {
             evmAddress,
             cosmosAddress,
             balances: {},
             votes: [],
             finalBalance: null,
             finalBalanceValid: null
+        };
+        
+        store.upsertWallet({
+            ...wallet,
+            balances: mergeWalletBalances(wallet, blockNumber, eligibility),
+            // Add vote reference if not already present
+            votes: wallet.votes.includes(txHash) ? wallet.votes : [...wallet.votes, txHash]
         });
+    });
+}
+
+/**
+ * Remove a vote recorded from a block that was orphaned by a chain reorganization.
+ * The wallet loses the vote and the balances sampled for it; a wallet left
+ * without votes is removed.
+ * @param {string} txHash Transaction hash
+ * @param {VoteStore} store Vote store
+ * @returns {boolean} True if the vote was recorded and has been removed
+ */
+export function rollbackVote(txHash, store = openVoteStore()) {
+    return store.transaction(() => {
+        const vote = store.getVote(txHash);
+        if (!vote) {
+            return false;
+        }
+        
+        store.deleteVote(txHash);
+        
+        const wallet = store.getWallet(vote.evmAddress);
+        if (wallet) {
+            const votes = wallet.votes.filter(hash => hash !== txHash);
+            
+            if (votes.length === 0) {
+                store.deleteWallet(vote.evmAddress);
+            } else {
+                // Keep balances still sampled for the wallet's other votes
+                const sampledBlocks = new Set(votes.flatMap(hash => {
+                    const other = store.getVote(hash);
+                    return other ? [String(other.blockNumber), String(other.blockNumber - 1)] : [];
+                }));
+                const balances = Object.fromEntries(Object.entries(wallet.balances || {}).filter(([blockNumber]) =>
+                    sampledBlocks.has(blockNumber) || (blockNumber !== String(vote.blockNumber) && blockNumber !== String(vote.blockNumber - 1))
+                ));
+                
+                store.upsertWallet({ evmAddress: vote.evmAddress, votes, balances });
+            }
+        }
+        
+        console.log(`Rolled back vote ${txHash} from orphaned block ${vote.blockNumber}`);
+        return true;
+    });
+}
+
+/**
+ * Retry the balance lookups of pending votes whose next attempt is due
+ * @param {VoteStore} store Vote store
+ * @param {number} minSeiRequired Minimum SEI required
+ * @param {boolean} force Retry every pending vote, ignoring the backoff schedule
+ * @returns {Promise<{attempted: number, resolved: number, remaining: number}>} Retry counts
+ */
+export async function retryPendingLookups(
+    store = openVoteStore(),
+    minSeiRequired = getRound().minSeiRequired,
+    force = false
+) {
+    const now = Date.now();
+    const minUsei = seiToUsei(minSeiRequired);
+    const pendingVotes = store.listVotes().filter(isVoteUnresolved);
+    const dueVotes = pendingVotes.filter(vote =>
+        force || !vote.balanceRetry || new Date(vote.balanceRetry.nextAttemptAt).getTime() <= now
+    );
+    
+    if (dueVotes.length === 0) {
+        return { attempted: 0, resolved: 0, remaining: pendingVotes.length };
     }
     
-    const wallet = wallets.get(evmAddress);
+    console.log(`Retrying balance lookups for ${dueVotes.length} of ${pendingVotes.length} pending votes...`);
+    let resolved = 0;
+    
+    for (const vote of dueVotes) {
+        const lookupAt = (blockHeight) => lookupSeiBalance(vote.cosmosAddress, blockHeight);
+        const atVote = await lookupAt(vote.blockNumber);
+        const beforeVote = await lookupAt(vote.blockNumber - 1);
+        
+        const eligibility = decideInitialEligibility(vote.blockNumber, atVote.balance, beforeVote.balance, minUsei, { atVote, beforeVote });
+        const balanceRetry = buildBalanceRetry(eligibility, vote.balanceRetry);
+        
+        store.transaction(() => {
+            const wallet = store.getWallet(vote.evmAddress);
+            const finalChecked = !!wallet?.finalDecision;
+            
+            store.upsertVote({
+                txHash: vote.txHash,
+                ...eligibility,
+                balanceRetry,
+                // Once final balances were checked, the vote's final outcome follows its initial one
+                finalIsValid: finalChecked ? combineValidity(eligibility.isValid, wallet.finalBalanceValid) : vote.finalIsValid
+            });
+            
+            if (wallet) {
+                store.upsertWallet({
+                    evmAddress: wallet.evmAddress,
+                    balances: mergeWalletBalances(wallet, vote.blockNumber, eligibility)
+                });
+            }
+        });
+        
+        if (balanceRetry) {
+            console.log(`  ${vote.txHash}: still unknown, attempt ${balanceRetry.attempts}, next at ${balanceRetry.nextAttemptAt}`);
+        } else {
+            resolved++;
+            console.log(`  ${vote.txHash}: resolved, isValid=${eligibility.isValid}`);
+        }
+    }
     
-    // Update balances
-    wallet.balances[blockNumber] = balanceAtVote;
-    wallet.balances[blockNumber - 1] = balanceBeforeVote;
+    return { attempted: dueVotes.length, resolved, remaining: pendingVotes.length - resolved };
+}
+
+/**
+ * Find the lowest sampled balance of a wallet
+ * @param {Object} balances Balances (usei) keyed by block height
+ * @returns {{minBalance: BigInt|null, minBalanceBlock: number|null}} Lowest balance and its block
+ */
+function getMinimumSampledBalance(balances) {
+    let minBalance = null;
+    let minBalanceBlock = null;
     
-    // Add vote reference if not already present
-    if (!wallet.votes.includes(txHash)) {
-        wallet.votes.push(txHash);
+    for (const [blockNumber, balance] of Object.entries(balances)) {
+        const usei = toUsei(balance);
+        if (minBalance === null || usei < minBalance) {
+            minBalance = usei;
+            minBalanceBlock = Number(blockNumber);
+        }
     }
     
-    // Save updated data
-    saveWalletData(wallets, walletsFile);
-    saveVotingData(votes, votesFile);
+    return { minBalance, minBalanceBlock };
 }
 
 /**
  * Check final balances for all wallets
+ *
+ * Without a window end block the minimum balance is taken from the sampled
+ * balances (around each vote and at the final block). With one, the wallet's
+ * balance is reconstructed from its first vote to that block and the wallet
+ * only stays valid if it never dropped below the minimum.
  * @param {number} finalBlockHeight Final block height
  * @param {number} minSeiRequired Minimum SEI required
- * @param {string} walletsFile Wallets file path
- * @param {string} votesFile Votes file path
- * @param {string} primaryRestUrl Primary REST API URL
- * @param {string} fallbackRestUrl Fallback REST API URL
- * @param {string} primaryEvmRpc Primary EVM RPC URL
- * @param {string} fallbackEvmRpc Fallback EVM RPC URL
+ * @param {VoteStore} store Vote store
+ * @param {number|null} windowEndBlock End of the strict balance window (null for sampled balances only)
  */
 export async function checkFinalBalances(
     finalBlockHeight, 
-    minSeiRequired = MIN_SEI_REQUIRED, 
-    walletsFile = PATHS.WALLETS_FILE, 
-    votesFile = PATHS.VOTES_FILE,
-    primaryRestUrl,
-    fallbackRestUrl,
-    primaryEvmRpc,
-    fallbackEvmRpc
+    minSeiRequired = getRound().minSeiRequired, 
+    store = openVoteStore(),
+    windowEndBlock = null
 ) {
-    // Load existing data
-    const wallets = loadWalletData(walletsFile);
-    const votes = loadVotingData(votesFile);
-    
     console.log(`Checking final balances at block ${finalBlockHeight}...`);
+    const minUsei = seiToUsei(minSeiRequired);
     
     // Check each wallet's final balance
-    for (const [evmAddress, wallet] of wallets.entries()) {
+    for (const wallet of store.listWallets()) {
+        const evmAddress = wallet.evmAddress;
+        
         // Skip wallets with no votes
         if (!wallet.votes || wallet.votes.length === 0) {
             continue;
@@ -507,114 +626,498 @@ export async function checkFinalBalances(
         
         try {
             // Get balance using enhanced method with both Cosmos and EVM options
-            const finalBalance = await getSeiBalance(
-                wallet.cosmosAddress, 
-                finalBlockHeight,
-                primaryRestUrl,
-                fallbackRestUrl,
-                primaryEvmRpc,
-                fallbackEvmRpc
-            );
-            
-            // Format to 6 decimal places
-            const formattedBalance = formatSeiBalance(finalBalance);
+            const finalLookup = await lookupSeiBalance(wallet.cosmosAddress, finalBlockHeight);
+            const finalBalance = finalLookup.balance;
+            const checks = [buildBalanceCheck('finalBalance', finalBlockHeight, finalBalance, minUsei, finalLookup)];
             
-            wallet.finalBalance = formattedBalance;
-            wallet.finalBalanceValid = formattedBalance >= minSeiRequired;
+            let { minBalance, minBalanceBlock } = getMinimumSampledBalance(finalBalance === null
+                ? wallet.balances
+                : { ...wallet.balances, [finalBlockHeight]: finalBalance });
+            const extra = { finalBalanceStatus: finalLookup.status };
             
-            console.log(`${evmAddress} (${wallet.cosmosAddress}):`);
-            console.log(`  Final balance: ${formattedBalance} SEI`);
-            console.log(`  Final balance valid: ${wallet.finalBalanceValid}`);
-            
-            // Update validity of all votes for this wallet
-            for (const txHash of wallet.votes) {
-                const vote = votes.get(txHash);
-                if (vote) {
-                    vote.finalIsValid = vote.isValid && wallet.finalBalanceValid;
+            if (windowEndBlock !== null) {
+                const firstVoteBlock = Math.min(...wallet.votes
+                    .map(txHash => store.getVote(txHash)?.blockNumber)
+                    .filter(blockNumber => blockNumber !== undefined));
+                
+                const timeline = await getBalanceTimeline(
+                    evmAddress,
+                    wallet.cosmosAddress,
+                    firstVoteBlock,
+                    Math.max(firstVoteBlock, windowEndBlock),
+                    (blockNumber) => getSeiBalance(wallet.cosmosAddress, blockNumber)
+                );
+                
+                minBalance = timeline.minBalance;
+                minBalanceBlock = timeline.minBalanceBlock;
+                extra.balanceWindow = {
+                    fromBlock: timeline.fromBlock,
+                    toBlock: timeline.toBlock,
+                    points: timeline.points.length,
+                    unknownPoints: timeline.unknownPoints,
+                    complete: timeline.complete
+                };
+                
+                if (!timeline.complete) {
+                    console.warn(`  Balance window for ${evmAddress} is incomplete (a transfer source or balance lookup was unavailable)`);
                 }
+                
+                // The lowest point was just looked up, so this is a cache hit
+                const minLookup = minBalanceBlock === null ? null : await lookupSeiBalance(wallet.cosmosAddress, minBalanceBlock);
+                const windowCheck = {
+                    ...buildBalanceCheck('minBalanceInWindow', minBalanceBlock, minBalance, minUsei, minLookup),
+                    window: extra.balanceWindow
+                };
+                
+                // An unknown point or a missing transfer source could hide a lower balance,
+                // so only a failure is conclusive
+                if (!timeline.complete && windowCheck.passed !== false) {
+                    windowCheck.passed = null;
+                    windowCheck.errors = [...(windowCheck.errors || []), {
+                        method: 'balanceTimeline',
+                        error: timeline.unknownPoints > 0
+                            ? `${timeline.unknownPoints} balance lookups in the window failed`
+                            : 'transfer history unavailable (trace_filter or tx_search)'
+                    }];
+                }
+                checks.push(windowCheck);
             }
+            
+            const finalBalanceValid = combineChecks(checks);
+            
+            extra.minBalance = minBalance === null ? null : minBalance.toString();
+            extra.minBalanceBlock = minBalanceBlock;
+            extra.finalDecision = {
+                rule: windowEndBlock !== null
+                    ? 'finalBalance >= minimum && minBalanceInWindow >= minimum'
+                    : 'finalBalance >= minimum',
+                checks,
+                result: finalBalanceValid,
+                decidedAt: new Date().toISOString()
+            };
+            
+            // Update the wallet and the validity of all its votes
+            store.setFinalBalance(evmAddress, finalBalance === null ? null : finalBalance.toString(), finalBalanceValid, extra);
+            
+            console.log(`${evmAddress} (${wallet.cosmosAddress}):`);
+            console.log(`  Final balance: ${finalBalance === null ? 'unknown (lookup failed)' : `${formatSeiBalance(finalBalance)} SEI`}`);
+            console.log(`  Minimum balance: ${minBalance === null ? 'unknown' : `${formatSeiBalance(minBalance)} SEI at block ${minBalanceBlock}`}`);
+            console.log(`  Final balance valid: ${finalBalanceValid === null ? 'unknown' : finalBalanceValid}`);
         } catch (error) {
             console.error(`Failed to check balance for wallet ${evmAddress}:`, error.message);
-            wallet.finalBalance = 0;
-            wallet.finalBalanceValid = false;
             
-            // Mark all votes as invalid
-            for (const txHash of wallet.votes) {
-                const vote = votes.get(txHash);
-                if (vote) {
-                    vote.finalIsValid = false;
+            // Leave the outcome unknown so the next report checks the wallet again
+            store.setFinalBalance(evmAddress, null, null, {
+                finalBalanceStatus: 'failed',
+                finalDecision: {
+                    rule: 'finalBalance >= minimum',
+                    checks: [],
+                    result: null,
+                    error: error.message,
+                    decidedAt: new Date().toISOString()
                 }
+            });
+        }
+    }
+    
+    console.log('Final balance check complete.');
+}
+
+/**
+ * Get the borrowed balance window from the configuration
+ * @returns {{lookback: number, lookahead: number, samples: number}} Blocks before and after a vote, and samples per side
+ */
+export function getBorrowedBalanceWindow() {
+    const toBlocks = (minutes, blocks) => minutes === null || minutes === undefined
+        ? blocks
+        : Math.ceil(minutes * 60 * 1000 / SEI_BLOCK_TIME_MS);
+    
+    return {
+        lookback: toBlocks(BORROWED_BALANCE.LOOKBACK_MINUTES, BORROWED_BALANCE.LOOKBACK_BLOCKS),
+        lookahead: toBlocks(BORROWED_BALANCE.LOOKAHEAD_MINUTES, BORROWED_BALANCE.LOOKAHEAD_BLOCKS),
+        samples: BORROWED_BALANCE.SAMPLES
+    };
+}
+
+/**
+ * Spread sample heights evenly over a block interval, including both ends
+ * @param {number} fromBlock First block
+ * @param {number} toBlock Last block
+ * @param {number} samples Number of heights
+ * @returns {Array<number>} Heights (empty if the interval is empty)
+ */
+function spreadHeights(fromBlock, toBlock, samples) {
+    if (toBlock < fromBlock || samples < 1) return [];
+    if (samples === 1 || toBlock === fromBlock) return [toBlock];
+    
+    const step = (toBlock - fromBlock) / (samples - 1);
+    return [...new Set(Array.from({ length: samples }, (_, index) => Math.round(fromBlock + step * index)))];
+}
+
+/**
+ * Check whether any sampled balance on one side of a vote is below the minimum
+ * @param {Array<Object>} samples Samples ({blockNumber, balance})
+ * @param {BigInt} minUsei Minimum balance (usei)
+ * @returns {boolean|null} True if one is below, false if all are known and none is, null otherwise
+ */
+function isBelowMinimum(samples, minUsei) {
+    if (samples.some(sample => sample.balance !== null && BigInt(sample.balance) < minUsei)) return true;
+    return samples.length > 0 && samples.every(sample => sample.balance !== null) ? false : null;
+}
+
+/**
+ * Flag valid votes whose balance was above the minimum only briefly around the
+ * vote ("borrowed" for the blocks checked by the eligibility rule). Balances are
+ * sampled before and after each vote; a vote is flagged when the wallet was
+ * below the minimum on both sides. The flag is informational and does not
+ * change a vote's validity.
+ * @param {number} lastBlock Latest block that can be sampled
+ * @param {number} minSeiRequired Minimum SEI required
+ * @param {VoteStore} store Vote store
+ * @returns {Promise<{checked: number, flagged: number}>} Votes checked in this run and flagged votes in total
+ */
+export async function checkBorrowedBalances(
+    lastBlock,
+    minSeiRequired = getRound().minSeiRequired,
+    store = openVoteStore()
+) {
+    const minUsei = seiToUsei(minSeiRequired);
+    const { lookback, lookahead, samples } = getBorrowedBalanceWindow();
+    
+    // Votes already checked over the same, fully elapsed window keep their result
+    const votes = store.listVotes().filter(vote => vote.isValid === true && !(
+        vote.borrowedBalance?.complete &&
+        vote.borrowedBalance.lookback === lookback &&
+        vote.borrowedBalance.lookahead === lookahead
+    ));
+    
+    if (votes.length > 0) {
+        console.log(`Sampling balances ${lookback} blocks before and ${lookahead} blocks after ${votes.length} votes...`);
+    }
+    
+    for (const vote of votes) {
+        const sampleAt = async (blockNumber) => {
+            const lookup = await lookupSeiBalance(vote.cosmosAddress, blockNumber);
+            return { blockNumber, balance: lookup.status === 'ok' ? lookup.balance.toString() : null };
+        };
+        
+        // The eligibility rule already sampled the vote block and the block before it
+        const before = [];
+        for (const blockNumber of spreadHeights(vote.blockNumber - lookback, vote.blockNumber - 2, samples)) {
+            before.push(await sampleAt(blockNumber));
+        }
+        const after = [];
+        for (const blockNumber of spreadHeights(vote.blockNumber + 1, Math.min(vote.blockNumber + lookahead, lastBlock), samples)) {
+            after.push(await sampleAt(blockNumber));
+        }
+        
+        const belowBefore = isBelowMinimum(before, minUsei);
+        const belowAfter = isBelowMinimum(after, minUsei);
+        const flagged = belowBefore === false || belowAfter === false
+            ? false
+            : belowBefore && belowAfter ? true : null;
+        
+        store.upsertVote({
+            txHash: vote.txHash,
+            borrowedBalance: {
+                flagged,
+                lookback,
+                lookahead,
+                samples: [...before, ...after],
+                // Checked again on the next report until the look-ahead has elapsed and every sample is known
+                complete: vote.blockNumber + lookahead <= lastBlock && flagged !== null,
+                checkedAt: new Date().toISOString()
             }
+        });
+        
+        if (flagged) {
+            console.log(`  ${vote.txHash}: balance was below the minimum both before and after the vote (borrowed balance)`);
         }
     }
     
-    // Save updated data
-    saveWalletData(wallets, walletsFile);
-    saveVotingData(votes, votesFile);
+    const flaggedVotes = store.listVotes().filter(vote => vote.borrowedBalance?.flagged === true).length;
+    return { checked: votes.length, flagged: flaggedVotes };
+}
+
+/**
+ * Format a balance for a report cell (empty if unknown)
+ * @param {BigInt|string|null} balance Balance (usei)
+ * @returns {string} Balance in SEI or an empty string
+ */
+function formatReportBalance(balance) {
+    return balance === null || balance === undefined ? '' : formatSeiBalance(balance);
+}
+
+/**
+ * Format an eligibility outcome for a report cell
+ * @param {boolean|null} outcome Outcome
+ * @returns {string} 'true', 'false' or 'unknown'
+ */
+function formatOutcome(outcome) {
+    return outcome === null || outcome === undefined ? 'unknown' : String(outcome);
+}
+
+/**
+ * Format a vote's borrowed balance flag for a report cell
+ * @param {Object} vote Vote record
+ * @returns {string} 'true', 'false', 'unknown', or empty if the vote was not checked
+ */
+function formatBorrowedBalance(vote) {
+    return vote.borrowedBalance ? formatOutcome(vote.borrowedBalance.flagged) : '';
+}
+
+/**
+ * List the votes whose eligibility could not be determined, with the reason
+ * @param {Map} wallets Wallet data
+ * @param {Map} votes Vote data
+ * @returns {Array<Object>} Unresolved votes
+ */
+function getUnresolvedVotes(wallets, votes) {
+    const unresolved = [];
     
-    console.log('Final balance check complete.');
+    for (const vote of votes.values()) {
+        const wallet = wallets.get(vote.evmAddress);
+        
+        if (isVoteUnresolved(vote)) {
+            unresolved.push({
+                vote,
+                stage: 'initial',
+                pendingChecks: (vote.balanceRetry?.pendingChecks || []).map(check => `${check.name}@${check.blockHeight}`).join(' '),
+                attempts: vote.balanceRetry?.attempts || 0,
+                nextAttemptAt: vote.balanceRetry?.nextAttemptAt || '',
+                lastError: (vote.balanceRetry?.lastErrors || []).join('; ')
+            });
+        } else if (wallet?.finalDecision && wallet.finalBalanceValid === null && vote.finalIsValid === null) {
+            const unknownChecks = wallet.finalDecision.checks.filter(check => check.passed === null);
+            unresolved.push({
+                vote,
+                stage: 'final',
+                pendingChecks: unknownChecks.map(check => `${check.name}@${check.blockHeight}`).join(' '),
+                attempts: 0,
+                nextAttemptAt: 'next report',
+                lastError: wallet.finalDecision.error ||
+                    unknownChecks.flatMap(check => check.errors.map(({ method, error }) => `${check.name} ${method}: ${error}`)).join('; ')
+            });
+        }
+    }
+    
+    return unresolved;
+}
+
+/**
+ * Get a vote's validity for the reports: a reviewer override imported with
+ * importReviewOverrides takes precedence over the computed final validity
+ * @param {Object} vote Vote record
+ * @returns {boolean|null} Validity (null while unknown)
+ */
+export function getEffectiveValidity(vote) {
+    return vote.reviewOverride ? vote.reviewOverride.isValid : vote.finalIsValid;
+}
+
+/**
+ * Count a wallet's votes that are valid for the reports
+ * @param {Object} wallet Wallet record
+ * @param {Map} votes Vote data
+ * @returns {number} Valid votes
+ */
+function countValidVotes(wallet, votes) {
+    return wallet.votes.filter(txHash => {
+        const vote = votes.get(txHash);
+        return vote && getEffectiveValidity(vote) === true;
+    }).length;
+}
+
+// Columns of voting_report.csv ({key, label, value}); the reviewer columns are read back by import-csv
+export const VOTE_REPORT_COLUMNS = [
+    { key: 'txHash', label: 'Transaction hash', value: vote => vote.txHash },
+    { key: 'evmAddress', label: 'EVM address', value: vote => vote.evmAddress },
+    { key: 'cosmosAddress', label: 'Cosmos address', value: vote => vote.cosmosAddress },
+    { key: 'blockNumber', label: 'Block', value: vote => vote.blockNumber },
+    { key: 'timestamp', label: 'Time', value: vote => vote.timestamp },
+    { key: 'balanceAtVote', label: 'Balance at vote (SEI)', value: vote => formatReportBalance(vote.balanceAtVote) },
+    { key: 'balanceBeforeVote', label: 'Balance before vote (SEI)', value: vote => formatReportBalance(vote.balanceBeforeVote) },
+    { key: 'isValid', label: 'Valid at vote', value: vote => formatOutcome(vote.isValid) },
+    { key: 'finalIsValid', label: 'Valid at end', value: vote => formatOutcome(vote.finalIsValid) },
+    { key: 'borrowedBalance', label: 'Borrowed balance', value: formatBorrowedBalance },
+    { key: 'reviewOverride', label: 'Reviewer override', value: vote => vote.reviewOverride ? String(vote.reviewOverride.isValid) : '' },
+    { key: 'reviewNote', label: 'Reviewer note', value: vote => vote.reviewOverride?.note || '' }
+];
+
+// Columns of wallet_report.csv (validVoteCount follows reviewer overrides)
+export const WALLET_REPORT_COLUMNS = [
+    { key: 'evmAddress', label: 'EVM address', value: wallet => wallet.evmAddress },
+    { key: 'cosmosAddress', label: 'Cosmos address', value: wallet => wallet.cosmosAddress },
+    { key: 'voteCount', label: 'Votes', value: wallet => wallet.votes.length },
+    { key: 'validVoteCount', label: 'Valid votes', value: wallet => wallet.validVoteCount },
+    { key: 'finalBalance', label: 'Final balance (SEI)', value: wallet => formatReportBalance(wallet.finalBalance) },
+    { key: 'finalBalanceValid', label: 'Final balance valid', value: wallet => formatOutcome(wallet.finalBalanceValid) },
+    { key: 'minBalance', label: 'Minimum balance (SEI)', value: wallet => formatReportBalance(wallet.minBalance) },
+    { key: 'minBalanceBlock', label: 'Minimum balance block', value: wallet => wallet.minBalanceBlock }
+];
+
+// Columns of unresolved_votes.csv
+const UNRESOLVED_REPORT_COLUMNS = [
+    { key: 'txHash', label: 'Transaction hash', value: entry => entry.vote.txHash },
+    { key: 'evmAddress', label: 'EVM address', value: entry => entry.vote.evmAddress },
+    { key: 'cosmosAddress', label: 'Cosmos address', value: entry => entry.vote.cosmosAddress },
+    { key: 'blockNumber', label: 'Block', value: entry => entry.vote.blockNumber },
+    { key: 'stage', label: 'Stage', value: entry => entry.stage },
+    { key: 'pendingChecks', label: 'Pending checks', value: entry => entry.pendingChecks },
+    { key: 'attempts', label: 'Attempts', value: entry => entry.attempts },
+    { key: 'nextAttemptAt', label: 'Next attempt', value: entry => entry.nextAttemptAt },
+    { key: 'lastError', label: 'Last error', value: entry => entry.lastError }
+];
+
+// Columns of project_report.csv (amounts are raw base-unit integers)
+const PROJECT_REPORT_COLUMNS = [
+    { key: 'project', label: 'Project', value: project => project.project },
+    { key: 'token', label: 'Token', value: project => project.token },
+    { key: 'contributions', label: 'Contributions', value: project => project.contributions },
+    { key: 'uniqueContributors', label: 'Unique contributors', value: project => project.uniqueContributors },
+    { key: 'totalAmount', label: 'Total amount', value: project => project.totalAmount },
+    { key: 'validContributions', label: 'Valid contributions', value: project => project.validContributions },
+    { key: 'validContributors', label: 'Valid contributors', value: project => project.validContributors },
+    { key: 'validAmount', label: 'Valid amount', value: project => project.validAmount },
+    { key: 'invalidatedContributions', label: 'Invalidated contributions', value: project => project.invalidatedContributions },
+    { key: 'invalidatedAmount', label: 'Invalidated amount', value: project => project.invalidatedAmount },
+    { key: 'unresolvedContributions', label: 'Unresolved contributions', value: project => project.unresolvedContributions },
+    { key: 'unresolvedAmount', label: 'Unresolved amount', value: project => project.unresolvedAmount }
+];
+
+/**
+ * Read a reviewer's validity for a vote from a report cell
+ * @param {string} value Cell value
+ * @returns {boolean|null|undefined} Validity, null for an empty cell (no override), undefined if unreadable
+ */
+function parseOverride(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === '') return null;
+    if (['true', 'valid', 'yes', '1'].includes(text)) return true;
+    if (['false', 'invalid', 'no', '0'].includes(text)) return false;
+    return undefined;
+}
+
+/**
+ * Load reviewer overrides from an edited vote report into the store. Each row's
+ * override column sets the vote's validity for the reports (true/valid/yes or
+ * false/invalid/no); an empty cell removes an earlier override.
+ * @param {string} file Edited voting_report.csv (column keys or human-readable headers)
+ * @param {VoteStore} store Vote store
+ * @param {string} column Override column
+ * @param {string} noteColumn Reviewer note column (optional in the file)
+ * @returns {{rows: number, set: number, cleared: number, unchanged: number, unknownVotes: Array<string>, rejected: Array<Object>}} Import counts
+ */
+export function importReviewOverrides(file, store = openVoteStore(), column = 'reviewOverride', noteColumn = 'reviewNote') {
+    const { fields, rows } = readCsvFile(file, VOTE_REPORT_COLUMNS);
+    if (!fields.includes('txHash')) {
+        throw new Error(`${file} has no txHash column`);
+    }
+    if (!fields.includes(column)) {
+        throw new Error(`${file} has no ${column} column`);
+    }
+    
+    const result = { rows: rows.length, set: 0, cleared: 0, unchanged: 0, unknownVotes: [], rejected: [] };
+    const importedAt = new Date().toISOString();
+    
+    store.transaction(() => {
+        for (const row of rows) {
+            const txHash = (row.txHash || '').trim();
+            const vote = store.getVote(txHash);
+            if (!vote) {
+                result.unknownVotes.push(txHash);
+                continue;
+            }
+            
+            const isValid = parseOverride(row[column]);
+            if (isValid === undefined) {
+                result.rejected.push({ txHash, value: row[column] });
+                continue;
+            }
+            
+            const previous = vote.reviewOverride || null;
+            // A report written without the note column keeps the notes already imported
+            const note = fields.includes(noteColumn)
+                ? (row[noteColumn] || '').trim() || null
+                : previous?.note || null;
+            const unchanged = isValid === null
+                ? previous === null
+                : previous !== null && previous.isValid === isValid && (previous.note || null) === note;
+            if (unchanged) {
+                result.unchanged++;
+                continue;
+            }
+            
+            store.upsertVote({
+                txHash,
+                reviewOverride: isValid === null ? null : { isValid, note, importedAt, file }
+            });
+            if (isValid === null) {
+                result.cleared++;
+            } else {
+                result.set++;
+            }
+        }
+    });
+    
+    console.log(`Imported reviewer overrides from ${file}: ${result.set} set, ${result.cleared} cleared, ${result.unchanged} unchanged`);
+    return result;
 }
 
 /**
  * Generate report files
- * @param {string} walletsFile Wallets file path
- * @param {string} votesFile Votes file path
+ * @param {VoteStore} store Vote store
  * @param {number} minSeiRequired Minimum SEI required
  * @param {string} voteReportFile Vote report file path
  * @param {string} walletReportFile Wallet report file path
+ * @param {string} statsFile Statistics file path
+ * @param {string} unresolvedReportFile Unresolved votes report file path
+ * @param {string} projectReportFile Project report file path (CSV)
+ * @param {string} projectJsonFile Project report file path (JSON)
+ * @param {Object} csvOptions CSV output ({voteColumns, walletColumns, humanHeaders}; defaults from REPORT_CSV)
+ * @returns {Promise<{totalVotes: number, validVotes: number, unresolvedVotes: number, finalized: boolean}>} Report summary
  */
 export async function generateReport(
-    walletsFile = PATHS.WALLETS_FILE,
-    votesFile = PATHS.VOTES_FILE,
-    minSeiRequired = MIN_SEI_REQUIRED,
-    voteReportFile = PATHS.REPORT.VOTES,
-    walletReportFile = PATHS.REPORT.WALLETS
+    store = openVoteStore(),
+    minSeiRequired = getRound().minSeiRequired,
+    voteReportFile = getRoundPaths().REPORT.VOTES,
+    walletReportFile = getRoundPaths().REPORT.WALLETS,
+    statsFile = getRoundPaths().REPORT.STATS,
+    unresolvedReportFile = getRoundPaths().REPORT.UNRESOLVED,
+    projectReportFile = getRoundPaths().REPORT.PROJECTS,
+    projectJsonFile = getRoundPaths().REPORT.PROJECTS_JSON,
+    csvOptions = {}
 ) {
+    const humanHeaders = csvOptions.humanHeaders ?? REPORT_CSV.HUMAN_HEADERS;
+    // Validate the column selection before writing anything
+    const voteColumns = selectColumns(VOTE_REPORT_COLUMNS, csvOptions.voteColumns ?? REPORT_CSV.VOTE_COLUMNS);
+    const walletColumns = selectColumns(WALLET_REPORT_COLUMNS, csvOptions.walletColumns ?? REPORT_CSV.WALLET_COLUMNS);
+    
     // Load existing data
-    const wallets = loadWalletData(walletsFile);
-    const votes = loadVotingData(votesFile);
+    const { wallets, votes } = loadStoreData(store);
+    const unresolvedVotes = getUnresolvedVotes(wallets, votes);
     
     // Generate vote report
-    let voteReport = 'txHash,evmAddress,cosmosAddress,blockNumber,timestamp,balanceAtVote,balanceBeforeVote,isValid,finalIsValid\n';
-    
-    for (const [txHash, vote] of votes.entries()) {
-        voteReport += `${txHash},${vote.evmAddress},${vote.cosmosAddress},${vote.blockNumber},${vote.timestamp},${vote.balanceAtVote},${vote.balanceBeforeVote},${vote.isValid},${vote.finalIsValid}\n`;
-    }
-    
-    fs.writeFileSync(voteReportFile, voteReport, 'utf8');
+    writeCsvFile(voteReportFile, votes.values(), voteColumns, humanHeaders);
     
     // Generate wallet report
-    let walletReport = 'evmAddress,cosmosAddress,voteCount,validVoteCount,finalBalance,finalBalanceValid\n';
+    const walletRows = Array.from(wallets.values(), wallet => ({ ...wallet, validVoteCount: countValidVotes(wallet, votes) }));
+    writeCsvFile(walletReportFile, walletRows, walletColumns, humanHeaders);
     
-    for (const [evmAddress, wallet] of wallets.entries()) {
-        const voteCount = wallet.votes.length;
-        let validVoteCount = 0;
-        
-        for (const txHash of wallet.votes) {
-            const vote = votes.get(txHash);
-            if (vote && vote.finalIsValid) {
-                validVoteCount++;
-            }
-        }
-        
-        walletReport += `${evmAddress},${wallet.cosmosAddress},${voteCount},${validVoteCount},${wallet.finalBalance || 0},${wallet.finalBalanceValid || false}\n`;
-    }
+    // Generate unresolved votes report (votes whose eligibility could not be determined)
+    writeCsvFile(unresolvedReportFile, unresolvedVotes, UNRESOLVED_REPORT_COLUMNS, humanHeaders);
     
-    fs.writeFileSync(walletReportFile, walletReport, 'utf8');
+    // Generate per-project tallies
+    generateProjectReport(votes, projectReportFile, projectJsonFile, unresolvedVotes.length, humanHeaders);
     
     // Generate summary statistics
-    generateStatisticsFile(wallets, votes, PATHS.REPORT.STATS, minSeiRequired);
+    generateStatisticsFile(wallets, votes, statsFile, minSeiRequired, unresolvedVotes.length);
     
-    // Print summary
+    // Print summary (reviewer overrides take precedence)
     const totalVotes = votes.size;
-    const validVotes = Array.from(votes.values()).filter(vote => vote.finalIsValid).length;
+    const validVotes = Array.from(votes.values()).filter(vote => getEffectiveValidity(vote) === true).length;
     const totalWallets = wallets.size;
     const walletsWithValidVotes = Array.from(wallets.values()).filter(wallet => 
-        wallet.finalBalanceValid && 
-        wallet.votes.some(txHash => {
-            const vote = votes.get(txHash);
-            return vote && vote.finalIsValid;
-        })
+        wallet.finalBalanceValid && countValidVotes(wallet, votes) > 0
     ).length;
     
     console.log('\nVoting Summary:');
@@ -622,10 +1125,23 @@ export async function generateReport(
     console.log(`Valid votes: ${validVotes} (${(validVotes / totalVotes * 100).toFixed(2)}%)`);
     console.log(`Total wallets: ${totalWallets}`);
     console.log(`Wallets with valid votes: ${walletsWithValidVotes} (${(walletsWithValidVotes / totalWallets * 100).toFixed(2)}%)`);
+    if (unresolvedVotes.length > 0) {
+        console.log(`\nWARNING: ${unresolvedVotes.length} votes have unresolved balance lookups.`);
+        console.log('The report is PROVISIONAL and must not be treated as final until they are resolved.');
+    }
     console.log(`Reports generated at:`);
     console.log(`- Vote report: ${voteReportFile}`);
     console.log(`- Wallet report: ${walletReportFile}`);
-    console.log(`- Statistics: ${PATHS.REPORT.STATS}`);
+    console.log(`- Statistics: ${statsFile}`);
+    console.log(`- Unresolved votes: ${unresolvedReportFile}`);
+    console.log(`- Project report: ${projectReportFile}`);
+    
+    return {
+        totalVotes,
+        validVotes,
+        unresolvedVotes: unresolvedVotes.length,
+        finalized: totalVotes > 0 && unresolvedVotes.length === 0 && Array.from(votes.values()).every(vote => vote.finalIsValid !== null)
+    };
 }
 
 /**
@@ -634,19 +1150,16 @@ export async function generateReport(
  * @param {Map} votes Vote data
  * @param {string} statsFile Path to save statistics
  * @param {number} minSeiRequired Minimum SEI required
+ * @param {number} unresolvedVotes Number of votes with unresolved balance lookups
  */
-function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
+function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired, unresolvedVotes = 0) {
     try {
         // Calculate statistics
         const totalVotes = votes.size;
-        const validVotes = Array.from(votes.values()).filter(vote => vote.finalIsValid).length;
+        const validVotes = Array.from(votes.values()).filter(vote => getEffectiveValidity(vote) === true).length;
         const totalWallets = wallets.size;
         const walletsWithValidVotes = Array.from(wallets.values()).filter(wallet => 
-            wallet.finalBalanceValid && 
-            wallet.votes.some(txHash => {
-                const vote = votes.get(txHash);
-                return vote && vote.finalIsValid;
-            })
+            wallet.finalBalanceValid && countValidVotes(wallet, votes) > 0
         ).length;
         
         // Categorize wallets by vote count
@@ -680,13 +1193,15 @@ function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
         };
         
         for (const wallet of wallets.values()) {
-            const balance = wallet.finalBalance || 0;
+            // Wallets without a known final balance are not categorized
+            if (wallet.finalBalance === null) continue;
+            const balance = wallet.finalBalance;
             
-            if (balance < 100) {
+            if (balance < seiToUsei(100)) {
                 balanceCategories.lessThan100Sei++;
-            } else if (balance >= 100 && balance < 500) {
+            } else if (balance < seiToUsei(500)) {
                 balanceCategories.between100And500Sei++;
-            } else if (balance >= 500 && balance < 1000) {
+            } else if (balance < seiToUsei(1000)) {
                 balanceCategories.between500And1000Sei++;
             } else {
                 balanceCategories.moreThan1000Sei++;
@@ -699,15 +1214,12 @@ function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
                 address: wallet.evmAddress,
                 cosmosAddress: wallet.cosmosAddress,
                 voteCount: wallet.votes.length,
-                validVoteCount: wallet.votes.filter(txHash => {
-                    const vote = votes.get(txHash);
-                    return vote && vote.finalIsValid;
-                }).length,
+                validVoteCount: countValidVotes(wallet, votes),
                 totalVoted: wallet.votes.reduce((sum, txHash) => {
                     const vote = votes.get(txHash);
                     return sum + (vote ? (vote.voteAmount || vote.value || 0) : 0);
                 }, 0),
-                finalBalance: wallet.finalBalance || 0
+                finalBalance: formatReportBalance(wallet.finalBalance)
             }))
             .sort((a, b) => b.voteCount - a.voteCount || b.totalVoted - a.totalVoted)
             .slice(0, 10); // Top 10 voters
@@ -715,6 +1227,8 @@ function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
         // Create statistics object
         const statistics = {
             generatedAt: new Date().toISOString(),
+            // Provisional while any vote's eligibility is still unknown
+            status: unresolvedVotes > 0 ? 'provisional' : 'final',
             overview: {
                 totalVotes,
                 validVotes,
@@ -722,7 +1236,11 @@ function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
                 totalWallets,
                 walletsWithValidVotes,
                 validWalletPercentage: (walletsWithValidVotes / totalWallets * 100).toFixed(2),
-                minimumBalanceRequired: minSeiRequired
+                minimumBalanceRequired: minSeiRequired,
+                unresolvedVotes,
+                // Valid votes whose balance was above the minimum only briefly around the vote
+                borrowedBalanceVotes: Array.from(votes.values()).filter(vote => vote.borrowedBalance?.flagged === true).length,
+                reviewOverrides: Array.from(votes.values()).filter(vote => vote.reviewOverride).length
             },
             walletCategories: {
                 byVoteCount: voteCountCategories,
@@ -742,5 +1260,126 @@ function generateStatisticsFile(wallets, votes, statsFile, minSeiRequired) {
     }
 }
 
+/**
+ * Tally the decoded allocations of every vote per project and token. Allocations
+ * read heuristically from the calldata are a guess and are only counted.
+ * @param {Map} votes Vote data
+ * @returns {{projects: Array<Object>, undecodedVotes: number, heuristicVotes: number}} Project tallies
+ *   (amounts as raw base-unit strings, sorted by valid amount), the number of votes without a decoded
+ *   allocation and the number left out because their allocations were only guessed
+ */
+export function tallyProjects(votes) {
+    const tallies = new Map();
+    let undecodedVotes = 0;
+    let heuristicVotes = 0;
+    
+    for (const vote of votes.values()) {
+        // Votes recorded before decoding was added carry no allocations
+        const allocations = vote.allocations || [];
+        if (allocations.length === 0) {
+            undecodedVotes++;
+            continue;
+        }
+        if (!isReliableDecoding(vote.decodedFrom)) {
+            heuristicVotes++;
+            continue;
+        }
+        
+        const validity = getEffectiveValidity(vote);
+        const outcome = validity === true ? 'valid'
+            : validity === false ? 'invalidated'
+            : 'unresolved';
+        
+        for (const allocation of allocations) {
+            const key = `${allocation.project ?? ''}:${allocation.token ?? ''}`;
+            if (!tallies.has(key)) {
+                tallies.set(key, {
+                    project: allocation.project ?? null,
+                    token: allocation.token ?? null,
+                    contributors: new Set(),
+                    validContributors: new Set(),
+                    contributions: 0,
+                    totalAmount: 0n,
+                    valid: { contributions: 0, amount: 0n },
+                    invalidated: { contributions: 0, amount: 0n },
+                    unresolved: { contributions: 0, amount: 0n }
+                });
+            }
+            
+            const tally = tallies.get(key);
+            const amount = allocation.amount ? BigInt(allocation.amount) : 0n;
+            tally.contributors.add(vote.evmAddress);
+            if (outcome === 'valid') tally.validContributors.add(vote.evmAddress);
+            tally.contributions++;
+            tally.totalAmount += amount;
+            tally[outcome].contributions++;
+            tally[outcome].amount += amount;
+        }
+    }
+    
+    const projects = Array.from(tallies.values())
+        .sort((a, b) => (b.valid.amount > a.valid.amount) - (b.valid.amount < a.valid.amount)
+            || b.validContributors.size - a.validContributors.size)
+        .map(tally => ({
+            project: tally.project,
+            token: tally.token,
+            contributions: tally.contributions,
+            uniqueContributors: tally.contributors.size,
+            totalAmount: tally.totalAmount.toString(),
+            validContributions: tally.valid.contributions,
+            validContributors: tally.validContributors.size,
+            validAmount: tally.valid.amount.toString(),
+            invalidatedContributions: tally.invalidated.contributions,
+            invalidatedAmount: tally.invalidated.amount.toString(),
+            unresolvedContributions: tally.unresolved.contributions,
+            unresolvedAmount: tally.unresolved.amount.toString()
+        }));
+    
+    return { projects, undecodedVotes, heuristicVotes };
+}
+
+/**
+ * Generate the per-project report (CSV and JSON). Only valid contributions
+ * count towards matching; invalidated ones are listed so they can be audited.
+ * @param {Map} votes Vote data
+ * @param {string} projectReportFile Path to save the CSV report
+ * @param {string} projectJsonFile Path to save the JSON report
+ * @param {number} unresolvedVotes Number of votes with unresolved balance lookups
+ * @param {boolean} humanHeaders Use column labels as CSV headers
+ * @returns {Object|null} Project report, or null if it could not be written
+ */
+function generateProjectReport(votes, projectReportFile, projectJsonFile, unresolvedVotes = 0, humanHeaders = false) {
+    try {
+        const { projects, undecodedVotes, heuristicVotes } = tallyProjects(votes);
+        
+        writeCsvFile(projectReportFile, projects, PROJECT_REPORT_COLUMNS, humanHeaders);
+        
+        const report = {
+            generatedAt: new Date().toISOString(),
+            // Provisional while any vote's eligibility is still unknown
+            status: unresolvedVotes > 0 ? 'provisional' : 'final',
+            // Amounts are raw integers in the token's base units; a null token is native SEI (wei)
+            totalProjects: projects.length,
+            undecodedVotes,
+            heuristicVotes,
+            projects
+        };
+        
+        fs.writeFileSync(projectJsonFile, JSON.stringify(report, null, 2), 'utf8');
+        
+        if (undecodedVotes > 0) {
+            console.log(`${undecodedVotes} votes have no decoded allocation and are not in the project report`);
+        }
+        if (heuristicVotes > 0) {
+            console.log(`${heuristicVotes} votes were only decoded heuristically and are not in the project report (add the round's voteAbi)`);
+        }
+        
+        return report;
+    } catch (error) {
+        console.error('Error generating project report:', error.message);
+        return null;
+    }
+}
+
 // Export additional functions for memory management
 export { getCacheStats };
\ No newline at end of file